@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * CDB Writer Benchmark
+ *
+ * Measures CDBWriter.writeColumnData throughput for every DATA_TYPE, then a
+ * full sqliteToCDB export of a synthetic database with one table per type.
+ * Values are generated with a fixed seed, so runs are comparable.
+ *
+ * Usage:
+ *   node benchmark_writer.js [--rows <n>] [--runs <n>]
+ */
+
+import initSqlJs from 'sql.js';
+import { CDBWriter, DATA_TYPE, cdbToSQLite, sqliteToCDB } from './cdb_converter.js';
+import { buildCDB } from './cdb_fixtures.js';
+
+const DEFAULT_ROWS = 200000;
+const DEFAULT_RUNS = 5;
+const EXPORT_ROWS_PER_TABLE = 50000;
+
+/**
+ * Seeded PRNG (mulberry32), as in test_fuzz.js
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Values shaped like those in a career save; lists as arrays, the form cdb_fixtures.js takes
+function generateValues(dataType, rowCount, random) {
+    const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+    const float = () => Math.fround((random() - 0.5) * 1000);
+    const list = element => Array.from({ length: int(0, 6) }, element);
+
+    return Array.from({ length: rowCount }, () => {
+        switch (dataType) {
+            case DATA_TYPE.INTEGER: return int(-2147483648, 2147483647);
+            case DATA_TYPE.FLOAT: return float();
+            case DATA_TYPE.STRING: return random() < 0.1 ? 'Éric Müller-Ståhl' : `Rider_${int(0, 99999)}`;
+            case DATA_TYPE.BOOLEAN: return int(0, 1);
+            case DATA_TYPE.INTEGER_BYTE: return int(-128, 127);
+            case DATA_TYPE.INTEGER_SHORT: return int(0, 65535);
+            case DATA_TYPE.FLOAT_LIST: return list(float);
+            case DATA_TYPE.INTEGER_LIST: return list(() => int(-1000, 100000));
+        }
+    });
+}
+
+// The form cdbToSQLite hands values to SQLite in, which is what CDBWriter gets back
+function toSQLiteValue(value) {
+    return Array.isArray(value) ? '(' + value.join(',') + ')' : value;
+}
+
+function median(numbers) {
+    const sorted = [...numbers].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Run fn `runs` times after one warm-up run; returns the median time in ms and the last result
+ */
+function time(runs, fn) {
+    let result = fn();
+    const times = [];
+    for (let i = 0; i < runs; i++) {
+        const start = performance.now();
+        result = fn();
+        times.push(performance.now() - start);
+    }
+    return { ms: median(times), result };
+}
+
+function formatThroughput(bytes, rows, ms) {
+    const mbPerSecond = (bytes / 1048576) / (ms / 1000);
+    const rowsPerSecond = rows / (ms / 1000);
+    return `${ms.toFixed(1).padStart(8)} ms ${mbPerSecond.toFixed(1).padStart(8)} MB/s ${(rowsPerSecond / 1e6).toFixed(2).padStart(7)} M rows/s`;
+}
+
+function parseOptions(argv) {
+    const options = { rows: DEFAULT_ROWS, runs: DEFAULT_RUNS };
+    const numeric = { '--rows': 'rows', '--runs': 'runs' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!numeric[argv[i]]) throw new Error(`Unknown option: ${argv[i]}`);
+        const value = parseInt(argv[++i]);
+        if (isNaN(value) || value < 1) throw new Error(`Invalid value for ${argv[i - 1]}`);
+        options[numeric[argv[i - 1]]] = value;
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const random = createRandom(20250101);
+
+    console.log('='.repeat(70));
+    console.log(`CDB Writer Benchmark (${options.rows} rows per column, median of ${options.runs} runs)`);
+    console.log('='.repeat(70));
+    console.log('');
+
+    console.log('writeColumnData');
+    for (const [typeName, dataType] of Object.entries(DATA_TYPE)) {
+        const values = generateValues(dataType, options.rows, random).map(toSQLiteValue);
+        const { ms, result } = time(options.runs, () => {
+            const writer = new CDBWriter();
+            writer.writeColumnData(dataType, values);
+            return writer.getData().length;
+        });
+        console.log(`  ${typeName.padEnd(14)} ${formatThroughput(result, options.rows, ms)}`);
+    }
+    console.log('');
+
+    console.log('sqliteToCDB');
+    const SQL = await initSqlJs();
+    const tables = Object.entries(DATA_TYPE).map(([typeName, dataType], i) => ({
+        name: `BENCH_${typeName.toLowerCase()}`,
+        id: i + 1,
+        flags: 241,
+        columns: [0, 1, 2].map(index => ({
+            name: `value_${index}`,
+            index,
+            type: dataType,
+            values: generateValues(dataType, EXPORT_ROWS_PER_TABLE, random)
+        }))
+    }));
+    const db = cdbToSQLite(buildCDB({ tables }), SQL);
+    try {
+        const rowCount = tables.length * EXPORT_ROWS_PER_TABLE;
+        for (const [label, compressed] of [['uncompressed', 0], ['compressed', 1]]) {
+            db.run(`UPDATE CDB_METADATA SET Value = ? WHERE Name = 'COMPRESSED'`, [compressed]);
+            const { ms, result } = time(options.runs, () => sqliteToCDB(db).byteLength);
+            console.log(`  ${label.padEnd(14)} ${formatThroughput(result, rowCount, ms)}`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,248 @@
+/**
+ * Bulk Edit
+ * Apply one field change to many records of a task at once: pick the records, the field and
+ * the operation, preview the result per record, then apply it in one transaction
+ * (see planBulkEdit and applyBulkEdit in task_processor.js)
+ */
+
+import * as TaskProcessor from './task_processor.js';
+import { escapeHtml, formatCellValue } from './sql_console.js';
+
+const PREVIEW_ROWS = 200;
+
+/**
+ * Record ids and labels of every record the task shows, as in the record selector
+ */
+function listRecords(task, db) {
+    const result = db.exec(TaskProcessor.buildRecordQuery(task));
+    if (result.length === 0) return [];
+
+    const { columns, values } = result[0];
+    const keyIndices = TaskProcessor.getRecordKey(task).map(column => columns.indexOf(column));
+    const displayIndices = TaskProcessor.findDisplayIndices(task, columns);
+    return values.map(row => ({
+        id: TaskProcessor.encodeRecordId(keyIndices.map(idx => row[idx])),
+        label: TaskProcessor.formatRecordLabel(task, row, columns, keyIndices, displayIndices)
+    }));
+}
+
+function attributeValue(text) {
+    return escapeHtml(String(text)).replace(/"/g, '&quot;');
+}
+
+function formatValue(value) {
+    return value === null || value === undefined ? 'NULL' : formatCellValue(value);
+}
+
+function renderOperand(field, bulkState) {
+    if (bulkState.operation === 'clamp') return '';
+
+    if (bulkState.operation === 'set') {
+        const options = field.options.map(option => {
+            const value = typeof option === 'object' && option !== null ? option.value : option;
+            const display = typeof option === 'object' && option !== null ? option.display : formatCellValue(option);
+            const selected = String(value) === bulkState.operand ? ' selected' : '';
+            return `<option value="${attributeValue(value)}"${selected}>${escapeHtml(String(display))}</option>`;
+        }).join('');
+        return `<select id="bulkOperand" style="width: auto;">${options}</select>`;
+    }
+
+    return `<input type="number" id="bulkOperand" step="any" value="${attributeValue(bulkState.operand)}" style="width: 100px;">
+        <label style="display: inline; font-weight: normal; width: auto;">
+            <input type="checkbox" id="bulkClampResults"${bulkState.clampResults ? ' checked' : ''}> Clamp results to allowed values
+        </label>`;
+}
+
+function renderPlan(plan, labels) {
+    const label = recordId => escapeHtml(labels.get(recordId) ?? recordId);
+
+    if (plan.problems.length > 0) {
+        const items = plan.problems.slice(0, PREVIEW_ROWS).map(problem =>
+            `<li>${label(problem.recordId)}: ${escapeHtml(problem.message)}</li>`
+        ).join('');
+        const more = plan.problems.length > PREVIEW_ROWS ? `<li>… ${plan.problems.length - PREVIEW_ROWS} more</li>` : '';
+
+        return `<div style="background: #f8d7da; color: #721c24; padding: 10px; border-radius: 4px; margin-bottom: 10px; max-height: 300px; overflow-y: auto;">
+            <strong>${plan.problems.length} record(s) cannot be changed this way, nothing can be applied</strong>
+            <ul style="margin: 5px 0 0 20px; font-size: 13px;">${items}${more}</ul>
+        </div>
+        <button type="button" id="bulkDiscard">Discard</button>`;
+    }
+
+    if (plan.changes.length === 0) {
+        return `<div style="background: #d4edda; color: #155724; padding: 10px; border-radius: 4px; margin-bottom: 10px;">
+            No changes: ${plan.unchangedCount} record(s) already have the resulting value
+        </div>`;
+    }
+
+    const rows = plan.changes.slice(0, PREVIEW_ROWS).map(change => `<tr>
+        <td style="padding: 4px 8px; border-bottom: 1px solid #eee;">${label(change.recordId)}</td>
+        <td style="padding: 4px 8px; border-bottom: 1px solid #eee; color: #721c24;">${escapeHtml(formatValue(change.oldValue))}</td>
+        <td style="padding: 4px 8px; border-bottom: 1px solid #eee; color: #155724;">${escapeHtml(formatValue(change.newValue))}</td>
+        <td style="padding: 4px 8px; border-bottom: 1px solid #eee; color: #856404;">${escapeHtml(change.warnings.join('; '))}</td>
+    </tr>`).join('');
+    const more = plan.changes.length > PREVIEW_ROWS
+        ? `<div style="color: #666; font-size: 13px;">… ${plan.changes.length - PREVIEW_ROWS} more change(s)</div>`
+        : '';
+    const unchanged = plan.unchangedCount > 0
+        ? `<div style="color: #666; font-size: 13px;">${plan.unchangedCount} record(s) already have the resulting value</div>`
+        : '';
+
+    return `<div style="max-height: 400px; overflow-y: auto; margin-bottom: 10px;">
+        <table style="border-collapse: collapse; width: 100%; font-size: 13px;">
+            <thead><tr style="background: #f5f5f5; text-align: left;">
+                <th style="padding: 4px 8px;">Record</th><th style="padding: 4px 8px;">Current</th><th style="padding: 4px 8px;">New</th>
+                <th style="padding: 4px 8px;">Warnings</th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${more}${unchanged}
+    </div>
+    <button type="button" id="bulkApply">Apply to ${plan.changes.length} record(s)</button>
+    <button type="button" id="bulkDiscard">Discard</button>`;
+}
+
+/**
+ * Render bulk edit for a task into #bulk-section
+ * onApplied() is called after changes were written, showStatus(message, type) reports results
+ */
+export function renderBulkEdit(db, task, bulkState, { showStatus, onApplied }) {
+    const section = document.getElementById('bulk-section');
+    const fields = TaskProcessor.getBulkEditableFields(task, db);
+    const records = listRecords(task, db);
+    const labels = new Map(records.map(record => [record.id, record.label]));
+
+    if (fields.length === 0) {
+        section.innerHTML = '<div style="color: #666;">This task has no editable fields</div>';
+        section.classList.add('active');
+        return;
+    }
+    const field = fields.find(candidate => candidate.column === bulkState.column) ?? fields[0];
+    bulkState.column = field.column;
+
+    const recordOptions = records.map(record =>
+        `<option value="${attributeValue(record.id)}"${bulkState.selectedIds.has(record.id) ? ' selected' : ''}>${escapeHtml(record.label)}</option>`
+    ).join('');
+    const fieldOptions = fields.map(candidate =>
+        `<option value="${attributeValue(candidate.column)}"${candidate === field ? ' selected' : ''}>${escapeHtml(candidate.label)}</option>`
+    ).join('');
+    const operationOptions = Object.entries(TaskProcessor.BULK_OPERATIONS).map(([operation, label]) =>
+        `<option value="${operation}"${operation === bulkState.operation ? ' selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+
+    section.innerHTML = `
+        <div style="margin-bottom: 10px;">
+            <label for="bulkRecords">Records (<span id="bulkSelectedCount">${bulkState.selectedIds.size}</span> of ${records.length} selected):</label>
+            <select id="bulkRecords" multiple size="10" style="width: 100%;">${recordOptions}</select>
+            <button type="button" id="bulkSelectAll">Select all</button>
+            <button type="button" id="bulkSelectNone" class="button-secondary">Select none</button>
+        </div>
+        <div style="margin-bottom: 10px;">
+            <label for="bulkCondition">Select by condition:</label>
+            <input type="text" id="bulkCondition" value="${attributeValue(bulkState.condition)}" placeholder="e.g. charac_i_mountain >= 75" style="width: 300px;">
+            <button type="button" id="bulkSelectCondition">Select matching</button>
+        </div>
+        <div style="margin-bottom: 10px;">
+            <label for="bulkField">Change:</label>
+            <select id="bulkField" style="width: auto;">${fieldOptions}</select>
+            <select id="bulkOperation" style="width: auto;">${operationOptions}</select>
+            ${renderOperand(field, bulkState)}
+            <button type="button" id="bulkPreview">Preview</button>
+        </div>
+        <div id="bulkPreviewResult">${bulkState.plan ? renderPlan(bulkState.plan, labels) : ''}</div>
+    `;
+    section.classList.add('active');
+
+    const rerender = () => renderBulkEdit(db, task, bulkState, { showStatus, onApplied });
+    // Any change to what would be edited makes the preview stale
+    const clearPreview = () => {
+        bulkState.plan = null;
+        document.getElementById('bulkPreviewResult').innerHTML = '';
+    };
+    const update = (change) => {
+        change();
+        bulkState.plan = null;
+        rerender();
+    };
+    const selectIds = ids => update(() => {
+        bulkState.selectedIds = new Set(ids);
+    });
+
+    // Not re-rendered, so the list keeps its scroll position while picking records
+    document.getElementById('bulkRecords').addEventListener('change', (e) => {
+        bulkState.selectedIds = new Set(Array.from(e.target.selectedOptions, option => option.value));
+        document.getElementById('bulkSelectedCount').textContent = bulkState.selectedIds.size;
+        clearPreview();
+    });
+    document.getElementById('bulkSelectAll').addEventListener('click', () => selectIds(records.map(record => record.id)));
+    document.getElementById('bulkSelectNone').addEventListener('click', () => selectIds([]));
+
+    document.getElementById('bulkSelectCondition').addEventListener('click', () => {
+        bulkState.condition = document.getElementById('bulkCondition').value;
+        try {
+            selectIds(TaskProcessor.findRecordIds(task, db, bulkState.condition));
+        } catch (error) {
+            showStatus('Error: ' + error.message, 'error');
+        }
+    });
+
+    document.getElementById('bulkField').addEventListener('change', (e) => update(() => {
+        bulkState.column = e.target.value;
+        bulkState.operand = '';
+    }));
+    document.getElementById('bulkOperation').addEventListener('change', (e) => update(() => {
+        bulkState.operation = e.target.value;
+        bulkState.operand = '';
+    }));
+    document.getElementById('bulkOperand')?.addEventListener('input', (e) => {
+        bulkState.operand = e.target.value;
+        clearPreview();
+    });
+    document.getElementById('bulkOperand')?.addEventListener('change', (e) => {
+        bulkState.operand = e.target.value;
+        clearPreview();
+    });
+    document.getElementById('bulkClampResults')?.addEventListener('change', (e) => {
+        bulkState.clampResults = e.target.checked;
+        clearPreview();
+    });
+
+    document.getElementById('bulkPreview').addEventListener('click', () => {
+        const operandInput = document.getElementById('bulkOperand');
+        bulkState.operand = operandInput ? operandInput.value : '';
+        const operand = bulkState.operation === 'set' || bulkState.operation === 'clamp' ? bulkState.operand : Number(bulkState.operand);
+
+        if (bulkState.selectedIds.size === 0) {
+            showStatus('Select at least one record', 'error');
+            return;
+        }
+        // Number('') is 0, so an empty box would otherwise add or multiply by zero
+        if (bulkState.operation !== 'clamp' && bulkState.operand.trim() === '') {
+            showStatus('Enter a value for the bulk edit', 'error');
+            return;
+        }
+        try {
+            bulkState.plan = TaskProcessor.planBulkEdit(task, db, [...bulkState.selectedIds], bulkState.column, bulkState.operation, operand, {
+                clampResults: bulkState.clampResults
+            });
+        } catch (error) {
+            showStatus('Error: ' + error.message, 'error');
+            return;
+        }
+        rerender();
+    });
+
+    document.getElementById('bulkApply')?.addEventListener('click', () => {
+        try {
+            const count = TaskProcessor.applyBulkEdit(task, db, bulkState.plan);
+            showStatus(`Updated ${count} record(s)`, 'success');
+            bulkState.plan = null;
+            onApplied();
+        } catch (error) {
+            showStatus('Error: ' + error.message, 'error');
+        }
+        rerender();
+    });
+
+    document.getElementById('bulkDiscard')?.addEventListener('click', clearPreview);
+}
@@ -4,8 +4,9 @@
  */
 
 import pako from 'pako';
+import { DEFAULT_PROFILE_ID, getProfile, detectProfile } from './cdb_profiles.js';
 
-const MAGIC = {
+export const MAGIC = {
 CHUNK_BEGIN: 0xAAAAAAAA,
 CHUNK_SEPARATOR: 0xBBBBBBBB,
 CHUNK_END: 0xCCCCCCCC,
@@ -13,7 +14,7 @@ ARRAY_BEGIN: 0xDDDDDDDD,
 ARRAY_END: 0xEEEEEEEE
 };
 
-const CHUNK_TYPE = {
+export const CHUNK_TYPE = {
 WRAPPER: 0x00,
 DATABASE_TABLES: 0x01,        // Contains array of tables
 DATABASE_FLAGS: 0x02,          // Database-level flags/metadata
@@ -29,7 +30,7 @@ COLUMN_BLOB_DATA: 0x23,        // Variable-length data (strings, lists)
 COLUMN_INDEX: 0x24             // Column index (used in encoding formula)
 };
 
-const DATA_TYPE = {
+export const DATA_TYPE = {
     INTEGER: 0,
     FLOAT: 1,
     STRING: 2,
@@ -40,99 +41,766 @@ const DATA_TYPE = {
     INTEGER_LIST: 11
 };
 
-// TABLE_FLAGS values by table ID (extracted from a save file, meaning unknown)
-const TABLE_FLAGS_BY_ID = {
-3: 65, 4: 50, 8: 129, 9: 241, 10: 209, 11: 241, 12: 241, 14: 129, 16: 65, 17: 97,
-18: 49, 19: 49, 22: 225, 23: 161, 24: 65, 25: 188, 26: 113, 27: 33, 28: 51, 29: 33,
-30: 129, 31: 177, 35: 129, 36: 241, 39: 49, 40: 241, 41: 81, 44: 241, 45: 113, 50: 33,
-51: 76, 52: 97, 53: 81, 54: 33, 55: 81, 59: 241, 65: 227, 80: 33, 81: 19, 83: 19,
-84: 19, 85: 35, 86: 33, 87: 241, 92: 113, 93: 35, 94: 82, 98: 49, 99: 35, 100: 65,
-101: 83, 107: 163, 108: 241, 109: 75, 110: 49, 111: 81, 113: 49, 117: 35, 118: 129, 119: 33,
-122: 241, 124: 65, 125: 60, 126: 19, 127: 19, 128: 65, 129: 81, 131: 241, 132: 44, 134: 241,
-135: 51, 136: 99, 137: 227, 142: 195, 143: 145, 144: 113, 145: 33, 146: 35, 147: 49, 149: 19,
-152: 241, 153: 49, 155: 33, 159: 33, 164: 243, 166: 241, 168: 161, 170: 146, 172: 241, 173: 33,
-175: 241, 177: 130, 179: 113, 180: 145, 181: 97, 185: 82, 186: 193, 192: 65, 193: 242, 200: 50,
-202: 98, 203: 33, 204: 65, 205: 49, 206: 92, 207: 145, 208: 65, 209: 33, 210: 49, 211: 34,
-213: 17, 215: 177, 217: 81, 218: 156, 220: 241, 221: 145, 223: 65, 224: 97, 225: 65, 228: 241,
-229: 161, 230: 49, 231: 33, 236: 33, 240: 241, 241: 65, 242: 19, 244: 178, 245: 241, 246: 33,
-249: 115, 250: 193, 251: 83, 252: 193, 253: 49, 254: 92, 255: 83, 256: 19, 257: 81, 258: 97,
-259: 33, 263: 65, 264: 129, 265: 33, 266: 129, 268: 33, 270: 19, 273: 65, 274: 129
-};
+export const DATA_TYPE_NAMES = Object.fromEntries(Object.entries(DATA_TYPE).map(([name, value]) => [value, name]));
 
-export function cdbToSQLite(cdbData, SQL) {
-    const decompressedData = decompressCDB(cdbData);
-    const reader = new CDBReader(decompressedData);
-    const db = new SQL.Database();
+// The zlib header's FLEVEL bits (0-3) only record a range of levels, so the exact level a file
+// was written with is unknown; FLEVEL is read back as the common level in its range (zlib's own
+// 1, 6 and 9, and 5 for the middle range), which writes the same FLEVEL again. Level 0 shares
+// FLEVEL 0 with level 1 and is told apart by its stored (uncompressed) deflate blocks
+const ZLIB_FLEVEL_RANGES = [[1, 1], [2, 5], [6, 6], [7, 9]];
+const ZLIB_FLEVEL_TO_LEVEL = [1, 5, 6, 9];
+
+// Smallest possible chunk: header without description, separator and end marker
+export const MIN_CHUNK_SIZE = 28;
+
+export function hexDigits(value, digits = 8) {
+    return (value >>> 0).toString(16).toUpperCase().padStart(digits, '0');
+}
+
+export function hex(value) {
+    return '0x' + hexDigits(value);
+}
 
+/**
+ * Number of COLUMN_VALUES bytes (before padding) a column of this type needs
+ */
+export function valueByteCount(dataType, rowCount) {
+    switch (dataType) {
+        case DATA_TYPE.BOOLEAN:
+            return Math.ceil(rowCount / 8);
+        case DATA_TYPE.INTEGER_BYTE:
+            return rowCount;
+        case DATA_TYPE.INTEGER_SHORT:
+            return rowCount * 2;
+        default:
+            return rowCount * 4;
+    }
+}
+
+/**
+ * Parse CDB data (compressed or not) into its decoded tables
+ * Returns { compression, databaseFlags, tables, unknownChunks, data }
+ *
+ * options.indexOnly - skip column values: tables carry their names, IDs, row counts, column
+ *   definitions and byte range (offset, size) in data, the decompressed buffer; decode one
+ *   later with readCDBTable
+ */
+export function readCDB(cdbData, options = {}) {
+    const compression = getCompressionInfo(cdbData);
+    const data = decompressCDB(cdbData);
+    const reader = new CDBReader(data, options);
     const wrapperChunk = reader.readChunk();
-    const tables = wrapperChunk.children[CHUNK_TYPE.DATABASE_TABLES];
+
+    if (wrapperChunk.type !== CHUNK_TYPE.WRAPPER) {
+        throw new Error(`Expected WRAPPER chunk at position 0, found type 0x${wrapperChunk.type.toString(16)}`);
+    }
+    if (!wrapperChunk.children[CHUNK_TYPE.DATABASE_TABLES]) {
+        throw new Error('Database has no DATABASE_TABLES chunk');
+    }
+
+    return {
+        compression,
+        databaseFlags: wrapperChunk.children[CHUNK_TYPE.DATABASE_FLAGS],
+        tables: wrapperChunk.children[CHUNK_TYPE.DATABASE_TABLES],
+        unknownChunks: wrapperChunk.unknownChunks,
+        data
+    };
+}
+
+/**
+ * Decode one table indexed by readCDB(cdbData, { indexOnly: true })
+ */
+export function readCDBTable(data, table) {
+    const reader = new CDBReader(data);
+    reader.pos = table.offset;
+    return reader.readTable();
+}
+
+/**
+ * Convert CDB data to an SQLite database
+ *
+ * options.onWarning(message) - called for recoverable problems (default: console.warn)
+ * options.onProgress({ stage, table, current, total }) - called per stage and per table
+ */
+export function cdbToSQLite(cdbData, SQL, options = {}) {
+    const onWarning = options.onWarning ?? (message => console.warn(message));
+    const onProgress = options.onProgress ?? (() => {});
+
+    onProgress({ stage: 'parse' });
+    const parsed = readCDB(cdbData);
+    const db = createCDBSchema(SQL, parsed, onWarning);
+
+    parsed.tables.forEach((table, tableIdx) => {
+        onProgress({ stage: 'table', table: table.name, current: tableIdx + 1, total: parsed.tables.length });
+        insertTableRows(db, table);
+    });
+
+    return db;
+}
+
+/**
+ * Create an SQLite database with the bookkeeping tables filled in and one empty table per CDB table
+ * Works on tables from readCDB with or without indexOnly
+ */
+export function createCDBSchema(SQL, { compression, databaseFlags, tables, unknownChunks }, onWarning) {
+    const detection = detectProfile({ databaseFlags, tables: tables.map(({ name, tableId, tableFlags }) => ({ name, tableId, tableFlags })) });
+    const profile = detection.profile ?? getProfile(DEFAULT_PROFILE_ID);
+    if (!detection.profile) {
+        onWarning(`File matches no known game version (see cdb_profiles.js), using ${profile.name} defaults`);
+    }
+
+    const db = new SQL.Database();
 
     // DB_STRUCTURE uses special encoding: table_id=1, columns indexed from 1
     db.run(`CREATE TABLE DB_STRUCTURE (TableName TEXT '274', ID INTEGER)`);
 
-    // Store TABLE_FLAGS in memory (attached to db object, not in SQLite)
-    db._tableFlagsMap = new Map();
+    // CDB-level values with no place in the table data, read back by sqliteToCDB
+    db.run(`CREATE TABLE CDB_METADATA (Name TEXT, TableID INTEGER, Value INTEGER)`);
+    db.run(`INSERT INTO CDB_METADATA VALUES ('DATABASE_FLAGS', NULL, ?), ('COMPRESSED', NULL, ?), ('COMPRESSION_LEVEL', NULL, ?)`, [
+        databaseFlags ?? profile.databaseFlags,
+        compression.compressed ? 1 : 0,
+        compression.level
+    ]);
+
+    // Chunks this converter does not understand, kept as raw bytes so sqliteToCDB can re-emit them
+    db.run(`CREATE TABLE CDB_UNKNOWN_CHUNKS (TableID INTEGER, ColumnIndex INTEGER, After INTEGER, Data BLOB)`);
+    const preserved = [];
+    const storeUnknownChunks = (unknownChunks, tableId, columnIndex, location) => {
+        unknownChunks.forEach(chunk => {
+            db.run(`INSERT INTO CDB_UNKNOWN_CHUNKS VALUES (?, ?, ?, ?)`, [tableId, columnIndex, chunk.after, chunk.data]);
+            preserved.push(`0x${chunk.type.toString(16)} (${chunk.data.length} bytes) in ${location}`);
+        });
+    };
+    storeUnknownChunks(unknownChunks, null, null, 'database wrapper');
 
-    tables.forEach((table) => {
+    tables.forEach(table => {
         if (table.tableId === null) {
             throw new Error(`Table '${table.name}' has null tableId`);
         }
         db.run(`INSERT INTO DB_STRUCTURE VALUES (?, ?)`, [table.name, table.tableId]);
-        db._tableFlagsMap.set(table.tableId, table.tableFlags);
+        db.run(`INSERT INTO CDB_METADATA VALUES ('TABLE_FLAGS', ?, ?)`, [table.tableId, table.tableFlags]);
+        storeUnknownChunks(table.unknownChunks, table.tableId, null, `table '${table.name}'`);
+        table.columns.forEach(col => {
+            storeUnknownChunks(col.unknownChunks, table.tableId, col.columnIndex, `column '${table.name}.${col.name}'`);
+        });
 
         // Keep columns in original file order (do NOT sort)
         const columnDefs = table.columns.map((col) => {
-            let baseType;
-            switch (col.type) {
-                case DATA_TYPE.FLOAT:
-                    baseType = 'REAL';
-                    break;
-                case DATA_TYPE.STRING:
-                case DATA_TYPE.INTEGER_LIST:
-                case DATA_TYPE.FLOAT_LIST:
-                    baseType = 'TEXT';
-                    break;
-                case DATA_TYPE.BOOLEAN:
-                    baseType = 'NUMERIC';
-                    break;
-                default:
-                    baseType = 'INTEGER';
-                    break;
-            }
-
-            const encodedValue = (table.tableId * 256 + col.columnIndex) * 16 + (col.type & 0xF);
-            return `"${col.name}" '${baseType} ${encodedValue}'`;
+            return `"${col.name}" '${encodeColumnType(table.tableId, col.columnIndex, col.type)}'`;
         }).join(', ');
 
         db.run(`CREATE TABLE "${table.name}" (${columnDefs})`);
+    });
 
-        // Insert rows in batches (SQLite limit: 999 variables)
-        if (table.rowCount > 0) {
-            const columnsPerRow = table.columns.length;
-            const maxRowsPerBatch = Math.floor(999 / columnsPerRow);
-            const placeholders = table.columns.map(() => '?').join(', ');
+    if (preserved.length > 0) {
+        onWarning(`Preserved ${preserved.length} unknown chunk(s) as raw data:\n  - ${preserved.join('\n  - ')}`);
+    }
 
-            for (let i = 0; i < table.rowCount; i += maxRowsPerBatch) {
-                const end = Math.min(i + maxRowsPerBatch, table.rowCount);
-                const batchCount = end - i;
-                const valueSets = Array(batchCount).fill(`(${placeholders})`).join(', ');
-                const params = [];
+    return db;
+}
 
-                for (let rowIdx = i; rowIdx < end; rowIdx++) {
-                    table.columns.forEach(col => params.push(col.data[rowIdx]));
-                }
+/**
+ * Insert a decoded table's rows into the table createCDBSchema made for it
+ */
+export function insertTableRows(db, table) {
+    if (table.rowCount === 0) return;
+
+    // Insert rows in batches (SQLite limit: 999 variables)
+    const columnsPerRow = table.columns.length;
+    const maxRowsPerBatch = Math.floor(999 / columnsPerRow);
+    const placeholders = table.columns.map(() => '?').join(', ');
+
+    for (let i = 0; i < table.rowCount; i += maxRowsPerBatch) {
+        const end = Math.min(i + maxRowsPerBatch, table.rowCount);
+        const batchCount = end - i;
+        const valueSets = Array(batchCount).fill(`(${placeholders})`).join(', ');
+        const params = [];
+
+        for (let rowIdx = i; rowIdx < end; rowIdx++) {
+            table.columns.forEach(col => params.push(col.data[rowIdx]));
+        }
+
+        db.run(`INSERT INTO "${table.name}" VALUES ${valueSets}`, params);
+    }
+}
+
+/**
+ * Read chunks preserved by cdbToSQLite, grouped by the table/column they belong to
+ */
+function readUnknownChunks(db) {
+    const unknownChunks = new Map();
+
+    const tableResult = db.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name='CDB_UNKNOWN_CHUNKS'`);
+    if (tableResult.length === 0) return unknownChunks;
+
+    const result = db.exec(`SELECT TableID, ColumnIndex, After, Data FROM CDB_UNKNOWN_CHUNKS ORDER BY rowid`);
+    const rows = result.length > 0 ? result[0].values : [];
+
+    rows.forEach(([tableId, columnIndex, after, data]) => {
+        const key = unknownChunkKey(tableId, columnIndex);
+        if (!unknownChunks.has(key)) unknownChunks.set(key, []);
+        unknownChunks.get(key).push({ after, data });
+    });
+
+    return unknownChunks;
+}
+
+function unknownChunkKey(tableId = null, columnIndex = null) {
+    return `${tableId ?? ''}:${columnIndex ?? ''}`;
+}
+
+/**
+ * Read CDB-level metadata stored by cdbToSQLite, with defaults for SQLite files without it
+ * (databaseFlags is null then; sqliteToCDB takes it from the game-version profile)
+ */
+export function readCDBMetadata(db) {
+    const metadata = {
+        databaseFlags: null,
+        compressed: true,
+        compressionLevel: null,
+        tableFlags: new Map()
+    };
+
+    const tableResult = db.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name='CDB_METADATA'`);
+    if (tableResult.length === 0) return metadata;
+
+    const result = db.exec(`SELECT Name, TableID, Value FROM CDB_METADATA`);
+    const rows = result.length > 0 ? result[0].values : [];
+
+    rows.forEach(([name, tableId, value]) => {
+        switch (name) {
+            case 'DATABASE_FLAGS':
+                metadata.databaseFlags = value;
+                break;
+            case 'COMPRESSED':
+                metadata.compressed = value !== 0;
+                break;
+            case 'COMPRESSION_LEVEL':
+                metadata.compressionLevel = value;
+                break;
+            case 'TABLE_FLAGS':
+                metadata.tableFlags.set(tableId, value);
+                break;
+        }
+    });
+
+    return metadata;
+}
+
+/**
+ * Detect the game version of a database made by cdbToSQLite from its DATABASE_FLAGS,
+ * tables, IDs and table flags; returns what detectProfile (cdb_profiles.js) does
+ */
+export function detectDatabaseProfile(db) {
+    const metadata = readCDBMetadata(db);
+    const result = db.exec(`SELECT TableName, ID FROM DB_STRUCTURE`);
+    const tables = (result[0]?.values ?? []).map(([name, tableId]) => ({
+        name,
+        tableId,
+        tableFlags: metadata.tableFlags.get(tableId) ?? null
+    }));
+    return detectProfile({ databaseFlags: metadata.databaseFlags, tables });
+}
+
+// Detected profile, or the default one with a warning
+function resolveProfile(db, onWarning) {
+    const { profile } = detectDatabaseProfile(db);
+    if (profile) return profile;
+
+    const fallback = getProfile(DEFAULT_PROFILE_ID);
+    onWarning(`Database matches no known game version (see cdb_profiles.js), using ${fallback.name} defaults`);
+    return fallback;
+}
+
+/**
+ * SQLite column type for a CDB column, e.g. 'INTEGER 12345'
+ * Formula: (table_id * 256 + column_index) * 16 + dataType
+ */
+function encodeColumnType(tableId, columnIndex, dataType) {
+    let baseType;
+    switch (dataType) {
+        case DATA_TYPE.FLOAT:
+            baseType = 'REAL';
+            break;
+        case DATA_TYPE.STRING:
+        case DATA_TYPE.INTEGER_LIST:
+        case DATA_TYPE.FLOAT_LIST:
+            baseType = 'TEXT';
+            break;
+        case DATA_TYPE.BOOLEAN:
+            baseType = 'NUMERIC';
+            break;
+        default:
+            baseType = 'INTEGER';
+            break;
+    }
+
+    return `${baseType} ${(tableId * 256 + columnIndex) * 16 + (dataType & 0xF)}`;
+}
+
+/**
+ * Decode a column type written by encodeColumnType; null if it carries no encoded value
+ */
+function decodeColumnType(colType) {
+    const match = colType.match(/\s+(\d+)/);
+    if (!match) return null;
+
+    const encodedValue = parseInt(match[1]);
+    return {
+        sqliteType: colType.split(' ')[0],
+        cdbDataType: encodedValue & 0xF,
+        cdbColumnIndex: Math.floor(encodedValue / 16) & 0xFF,
+        tableId: Math.floor(encodedValue / (256 * 16))
+    };
+}
+
+/**
+ * Read a table's CDB column layout from the encoded SQLite column types
+ * Returns { columnName: { sqliteType, cdbDataType, cdbColumnIndex } } in column order
+ */
+export function readColumnInfo(db, tableName) {
+    const schemaResult = db.exec(`PRAGMA table_info("${tableName}")`);
+    const columnInfo = {};
+    schemaResult[0].values.forEach(([, colName, colType]) => {
+        const decoded = decodeColumnType(colType);
+        if (!decoded) {
+            throw new Error(`Column '${tableName}.${colName}' has no CDB type encoding (declared type '${colType}')`);
+        }
+        const { tableId, ...info } = decoded;
+        columnInfo[colName] = info;
+    });
+    return columnInfo;
+}
+
+/**
+ * CDB DATA_TYPE of each column of a table; columns without a CDB type encoding are left out
+ */
+export function readColumnDataTypes(db, tableName) {
+    const schemaResult = db.exec(`PRAGMA table_info("${tableName}")`);
+    const dataTypes = {};
+    (schemaResult[0]?.values ?? []).forEach(([, colName, colType]) => {
+        const decoded = decodeColumnType(colType);
+        if (decoded) dataTypes[colName] = decoded.cdbDataType;
+    });
+    return dataTypes;
+}
+
+// Integer ranges each fixed-width DATA_TYPE can store
+const INTEGER_RANGES = {
+    [DATA_TYPE.INTEGER]: [-2147483648, 2147483647],
+    [DATA_TYPE.BOOLEAN]: [0, 1],
+    [DATA_TYPE.INTEGER_BYTE]: [-128, 127],
+    [DATA_TYPE.INTEGER_SHORT]: [0, 65535]
+};
+
+// What each DATA_TYPE accepts, for messages about values that do not fit
+export const ALLOWED_VALUES = {
+    [DATA_TYPE.INTEGER]: 'integer from -2147483648 to 2147483647',
+    [DATA_TYPE.FLOAT]: 'finite number within float32 range',
+    [DATA_TYPE.STRING]: 'text',
+    [DATA_TYPE.BOOLEAN]: '0 or 1',
+    [DATA_TYPE.INTEGER_BYTE]: 'integer from -128 to 127',
+    [DATA_TYPE.INTEGER_SHORT]: 'integer from 0 to 65535',
+    [DATA_TYPE.FLOAT_LIST]: 'list of finite float32 numbers, e.g. (1.5,2.0) or ()',
+    [DATA_TYPE.INTEGER_LIST]: 'list of integers from -2147483648 to 2147483647, e.g. (1,2) or ()'
+};
+
+function isInRange(value, [min, max]) {
+    return typeof value === 'number' && Number.isInteger(value) && value >= min && value <= max;
+}
+
+function isFloat32(value) {
+    return typeof value === 'number' && Number.isFinite(Math.fround(value));
+}
+
+/**
+ * Shortest decimal text that reads back as the same float32
+ * getFloat32 widens 0.3 to 0.30000001192092896; this gives '0.3' again. 9 significant digits always suffice.
+ */
+export function formatFloat32(value) {
+    const single = Math.fround(value);
+    for (let precision = 1; precision < 9; precision++) {
+        const candidate = Number(single.toPrecision(precision));
+        if (Math.fround(candidate) === single) return String(candidate);
+    }
+    return String(Number(single.toPrecision(9)));
+}
+
+// FLOAT_LIST element as cdbToSQLite writes it into the list text
+function formatFloatListElement(value, count) {
+    const formatted = formatFloat32(value);
+    return count > 1 && !/[.e]/.test(formatted) ? formatted + '.0' : formatted;
+}
+
+/**
+ * An edited FLOAT or FLOAT_LIST value as it will read back from the CDB file: numbers rounded
+ * to float32, lists reformatted the way cdbToSQLite writes them. Anything else, including
+ * values that do not fit the type, is returned unchanged.
+ */
+export function normalizeFloat32(dataType, value) {
+    if (dataType === DATA_TYPE.FLOAT && value !== null && value !== '') {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.fround(number) : value;
+    }
+    if (dataType === DATA_TYPE.FLOAT_LIST) {
+        const list = listToJSON(dataType, value);
+        return Array.isArray(list) ? listFromJSON(dataType, list) : value;
+    }
+    return value;
+}
+
+// Lists of plain numbers short enough to be in range; anything else is checked element by element
+const SIMPLE_LIST_PATTERNS = {
+    [DATA_TYPE.INTEGER_LIST]: /^\(\s*(?:-?\d{1,9}\s*(?:,\s*-?\d{1,9}\s*)*)?\)$/,
+    [DATA_TYPE.FLOAT_LIST]: /^\(\s*(?:-?\d{1,38}(?:\.\d*)?\s*(?:,\s*-?\d{1,38}(?:\.\d*)?\s*)*)?\)$/
+};
+
+function isValidListElement(dataType, text) {
+    if (dataType === DATA_TYPE.INTEGER_LIST) {
+        return /^-?\d+$/.test(text) && isInRange(Number(text), INTEGER_RANGES[DATA_TYPE.INTEGER]);
+    }
+    return text !== '' && isFloat32(Number(text));
+}
+
+/**
+ * Whether sqliteToCDB can write a value to a column of this DATA_TYPE without changing it
+ */
+export function isValidCDBValue(dataType, value) {
+    if (INTEGER_RANGES[dataType]) {
+        return isInRange(value, INTEGER_RANGES[dataType]);
+    }
+
+    switch (dataType) {
+        case DATA_TYPE.FLOAT:
+            return isFloat32(value);
+        case DATA_TYPE.STRING:
+            return typeof value === 'string';
+        case DATA_TYPE.FLOAT_LIST:
+        case DATA_TYPE.INTEGER_LIST: {
+            if (typeof value !== 'string' || !value.startsWith('(') || !value.endsWith(')')) return false;
+            if (SIMPLE_LIST_PATTERNS[dataType].test(value)) return true;
+            const content = value.slice(1, -1);
+            return content.trim() === '' || content.split(',').every(elem => isValidListElement(dataType, elem.trim()));
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * SQL condition true for at least every invalid value of a column (an SQL expression), so that
+ * findInvalidValues only hands the few candidates to isValidCDBValue
+ */
+function invalidCandidateCondition(column, dataType) {
+    const range = INTEGER_RANGES[dataType];
+    if (range) {
+        return `NOT (typeof(${column}) = 'integer' AND ${column} BETWEEN ${range[0]} AND ${range[1]})`;
+    }
+
+    switch (dataType) {
+        case DATA_TYPE.FLOAT:
+            // Slightly below the float32 limit: values in between are rechecked exactly
+            return `NOT (typeof(${column}) IN ('integer', 'real') AND abs(${column}) < 3.4e38)`;
+        case DATA_TYPE.STRING:
+            return `typeof(${column}) != 'text'`;
+        default:
+            // Lists need parsing, so every row is a candidate
+            return '1';
+    }
+}
+
+/**
+ * Find every cell that sqliteToCDB would have to mask, truncate or coerce
+ * (out-of-range integers, non-0/1 booleans, NULLs, malformed lists, ...)
+ *
+ * Returns [{ table, column, rowid, value, dataType, allowed }], ordered by table, row and column
+ */
+export function findInvalidValues(db) {
+    const tablesResult = db.exec(`SELECT TableName FROM DB_STRUCTURE ORDER BY ID`);
+    const tableNames = tablesResult.length > 0 ? tablesResult[0].values.map(row => row[0]) : [];
+    const problems = [];
+
+    tableNames.forEach(tableName => {
+        const columns = Object.entries(readColumnInfo(db, tableName)).map(([name, info]) => ({ name, info, assigned: false }));
+        addInvalidValues(problems, findTableInvalidValues(db, { name: tableName, columns }));
+    });
 
-                db.run(`INSERT INTO "${table.name}" VALUES ${valueSets}`, params);
+    return problems;
+}
+
+// findInvalidValues for one table as planCDBLayout describes it, reading values as layoutSelect does
+function findTableInvalidValues(db, table) {
+    const tableProblems = [];
+
+    table.columns.forEach((col, colIdx) => {
+        const column = layoutColumnSQL(col);
+        const condition = invalidCandidateCondition(column, col.info.cdbDataType);
+        const result = db.exec(`SELECT rowid, ${column} FROM "${table.name}" WHERE ${condition}`);
+        const rows = result.length > 0 ? result[0].values : [];
+
+        rows.forEach(([rowid, value]) => {
+            if (!isValidCDBValue(col.info.cdbDataType, value)) {
+                tableProblems.push(invalidValue(table.name, col.name, col.info, colIdx, rowid, value));
             }
+        });
+    });
+
+    return tableProblems;
+}
+
+function invalidValue(tableName, columnName, info, colIdx, rowid, value) {
+    return {
+        table: tableName,
+        column: columnName,
+        rowid,
+        value,
+        dataType: DATA_TYPE_NAMES[info.cdbDataType] ?? `type ${info.cdbDataType}`,
+        allowed: ALLOWED_VALUES[info.cdbDataType] ?? 'nothing (unknown data type)',
+        colIdx
+    };
+}
+
+// Append one table's problems in row, then column order
+function addInvalidValues(problems, tableProblems) {
+    tableProblems
+        .sort((a, b) => a.rowid - b.rowid || a.colIdx - b.colIdx)
+        .forEach(({ colIdx, ...problem }) => problems.push(problem));
+}
+
+/**
+ * Describe one problem from findInvalidValues as a single line
+ */
+export function formatInvalidValue(problem) {
+    const value = problem.value === null ? 'NULL' : JSON.stringify(problem.value) ?? String(problem.value);
+    return `${problem.table}.${problem.column} rowid ${problem.rowid}: ${value} (${problem.dataType}, allowed: ${problem.allowed})`;
+}
+
+// Tables cdbToSQLite adds for its own bookkeeping; never written as CDB tables
+export const INTERNAL_TABLES = ['DB_STRUCTURE', 'CDB_METADATA', 'CDB_UNKNOWN_CHUNKS'];
+
+// Declared types accepted as a DATA_TYPE annotation on new columns,
+// e.g. ALTER TABLE DYN_rider ADD COLUMN my_flag INTEGER_BYTE
+const TYPE_ANNOTATIONS = {
+    INTEGER: DATA_TYPE.INTEGER,
+    INT: DATA_TYPE.INTEGER,
+    FLOAT: DATA_TYPE.FLOAT,
+    REAL: DATA_TYPE.FLOAT,
+    DOUBLE: DATA_TYPE.FLOAT,
+    STRING: DATA_TYPE.STRING,
+    BOOLEAN: DATA_TYPE.BOOLEAN,
+    BOOL: DATA_TYPE.BOOLEAN,
+    INTEGER_BYTE: DATA_TYPE.INTEGER_BYTE,
+    BYTE: DATA_TYPE.INTEGER_BYTE,
+    INTEGER_SHORT: DATA_TYPE.INTEGER_SHORT,
+    SHORT: DATA_TYPE.INTEGER_SHORT,
+    FLOAT_LIST: DATA_TYPE.FLOAT_LIST,
+    INTEGER_LIST: DATA_TYPE.INTEGER_LIST
+};
+
+// SQL literal for the value a new column's NULLs become
+function defaultValueSQL(dataType) {
+    switch (dataType) {
+        case DATA_TYPE.STRING:
+            return `''`;
+        case DATA_TYPE.FLOAT_LIST:
+        case DATA_TYPE.INTEGER_LIST:
+            return `'()'`;
+        default:
+            return '0';
+    }
+}
+
+/**
+ * Pick a DATA_TYPE for an unannotated column from its non-NULL values
+ * Integers become INTEGER, other numbers FLOAT, list text a list type, anything else STRING
+ */
+function inferDataType(values, declaredType) {
+    if (values.length === 0) {
+        // SQLite's own rule for text affinity
+        return /CHAR|CLOB|TEXT/i.test(declaredType) ? DATA_TYPE.STRING : DATA_TYPE.INTEGER;
+    }
+    if (values.every(value => typeof value === 'number')) {
+        return values.every(Number.isInteger) ? DATA_TYPE.INTEGER : DATA_TYPE.FLOAT;
+    }
+    for (const listType of [DATA_TYPE.INTEGER_LIST, DATA_TYPE.FLOAT_LIST]) {
+        if (values.every(value => isValidCDBValue(listType, value))) return listType;
+    }
+    return DATA_TYPE.STRING;
+}
+
+/**
+ * Recreate a table with new declared column types, keeping rowids and row order
+ */
+function rebuildTable(db, table) {
+    const tempName = `${table.name}__cdb_layout`;
+    const definitions = table.columns.map(col => `"${col.name}" '${col.declaredType}'`).join(', ');
+    const names = table.columns.map(col => `"${col.name}"`).join(', ');
+
+    db.run(`CREATE TABLE "${tempName}" (${definitions})`);
+    db.run(`INSERT INTO "${tempName}" (rowid, ${names}) SELECT rowid, ${layoutSelect(table)} FROM "${table.name}" ORDER BY rowid`);
+    db.run(`DROP TABLE "${table.name}"`);
+    db.run(`ALTER TABLE "${tempName}" RENAME TO "${table.name}"`);
+}
+
+/**
+ * Work out the CDB layout of every table, including tables and columns added in SQLite,
+ * without changing db
+ *
+ * - Tables missing from DB_STRUCTURE get the next free ID and the profile's defaultTableFlags
+ * - Columns whose declared type has no encoded value get the next free column index and a
+ *   DATA_TYPE from their declared type (see TYPE_ANNOTATIONS) or, failing that, inferred from
+ *   their values; their NULLs are read as the type's default (see layoutSelect)
+ * - Columns encoded for a different table ID (copied schemas) keep their index and type
+ *
+ * Returns { tables, changes }: tables in ID order as
+ * { name, id, registered, tableFlags, retyped, columns: [{ name, declaredType, info, assigned }] }, where
+ * info is what readColumnInfo gives for the column, declaredType its encoded SQLite type, tableFlags null
+ * for registered tables and retyped whether any declared type differs from db's; changes describes
+ * every assignment made.
+ */
+function planCDBLayout(db, profile) {
+    const structureResult = db.exec(`SELECT TableName, ID FROM DB_STRUCTURE ORDER BY ID`);
+    const registered = new Map(structureResult.length > 0 ? structureResult[0].values : []);
+    const tablesResult = db.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY rowid`);
+    const existing = new Set(tablesResult[0].values.map(row => row[0]));
+    const added = [...existing].filter(name => !registered.has(name) && !INTERNAL_TABLES.includes(name));
+
+    let nextTableId = Math.max(0, ...registered.values()) + 1;
+    const changes = [];
+
+    const tables = [...registered.keys(), ...added].map(tableName => {
+        if (!existing.has(tableName)) {
+            throw new Error(`Table '${tableName}' is listed in DB_STRUCTURE but missing from the database`);
+        }
+        let tableId = registered.get(tableName);
+        const isRegistered = tableId !== undefined;
+        if (!isRegistered) {
+            tableId = nextTableId++;
+            changes.push(`Registered table '${tableName}' with ID ${tableId}`);
         }
+
+        const columns = db.exec(`PRAGMA table_info("${tableName}")`)[0].values.map(([, name, declaredType]) => ({
+            name,
+            declaredType,
+            decoded: decodeColumnType(declaredType)
+        }));
+        let nextColumnIndex = Math.max(-1, ...columns.filter(col => col.decoded).map(col => col.decoded.cdbColumnIndex)) + 1;
+
+        const layout = columns.map(col => {
+            if (col.decoded) {
+                const { tableId: encodedTableId, ...info } = col.decoded;
+                const declaredType = encodedTableId === tableId
+                    ? col.declaredType
+                    : encodeColumnType(tableId, info.cdbColumnIndex, info.cdbDataType);
+                return { name: col.name, declaredType, info, assigned: false };
+            }
+
+            if (nextColumnIndex > 255) {
+                throw new Error(`Table '${tableName}' has no free column index for '${col.name}' (CDB allows 0-255)`);
+            }
+            const columnIndex = nextColumnIndex++;
+            const annotation = TYPE_ANNOTATIONS[col.declaredType.trim().toUpperCase()];
+            let dataType = annotation;
+            if (dataType === undefined) {
+                const result = db.exec(`SELECT "${col.name}" FROM "${tableName}" WHERE "${col.name}" IS NOT NULL`);
+                dataType = inferDataType(result.length > 0 ? result[0].values.map(row => row[0]) : [], col.declaredType);
+            }
+
+            changes.push(`Column '${tableName}.${col.name}' assigned index ${columnIndex}, ${DATA_TYPE_NAMES[dataType]} ` +
+                `(${annotation !== undefined ? `declared as ${col.declaredType}` : 'inferred from values'})`);
+            const declaredType = encodeColumnType(tableId, columnIndex, dataType);
+            const info = { sqliteType: declaredType.split(' ')[0], cdbDataType: dataType, cdbColumnIndex: columnIndex };
+            return { name: col.name, declaredType, info, assigned: true };
+        });
+
+        return {
+            name: tableName,
+            id: tableId,
+            registered: isRegistered,
+            tableFlags: isRegistered ? null : profile.defaultTableFlags,
+            retyped: layout.some((col, colIdx) => col.declaredType !== columns[colIdx].declaredType),
+            columns: layout
+        };
     });
 
-    return db;
+    return { tables, changes };
 }
 
-export function compressCDB(uncompressedData) {
+// Column info of a planned table, in the shape readColumnInfo returns
+function layoutColumnInfo(table) {
+    return Object.fromEntries(table.columns.map(col => [col.name, col.info]));
+}
+
+// SQL expression for a planned column's values: assigned columns read their NULLs as the type's default
+function layoutColumnSQL(col) {
+    return col.assigned ? `COALESCE("${col.name}", ${defaultValueSQL(col.info.cdbDataType)})` : `"${col.name}"`;
+}
 
-    const compressed = pako.deflate(uncompressedData);
+// SELECT list for a planned table's values
+function layoutSelect(table) {
+    return table.columns.map(layoutColumnSQL).join(', ');
+}
+
+/**
+ * Give tables and columns added in SQLite a CDB layout in db itself (see planCDBLayout),
+ * registering new tables and rewriting the declared types of their columns
+ *
+ * sqliteToCDB and databaseToJSON do not need this: they plan the layout without touching db.
+ * It is for checking such a database's values with findInvalidValues, which reads the declared types.
+ * Returns a description of every assignment made.
+ * profile defaults to the one detectDatabaseProfile finds.
+ */
+export function assignCDBLayout(db, profile = null) {
+    profile ??= detectDatabaseProfile(db).profile ?? getProfile(DEFAULT_PROFILE_ID);
+    const { tables, changes } = planCDBLayout(db, profile);
+    const hasMetadata = db.exec(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='CDB_METADATA'`).length > 0;
+
+    db.run('SAVEPOINT cdb_layout');
+    try {
+        tables.forEach(table => {
+            if (!table.registered) {
+                db.run(`INSERT INTO DB_STRUCTURE VALUES (?, ?)`, [table.name, table.id]);
+                if (hasMetadata) {
+                    db.run(`INSERT INTO CDB_METADATA VALUES ('TABLE_FLAGS', ?, ?)`, [table.id, table.tableFlags]);
+                }
+            }
+            if (table.retyped) rebuildTable(db, table);
+        });
+        db.run('RELEASE cdb_layout');
+    } catch (error) {
+        db.run('ROLLBACK TO cdb_layout');
+        db.run('RELEASE cdb_layout');
+        throw error;
+    }
+
+    return changes;
+}
+
+/**
+ * Parse a compression setting as pcmdb.js and the download options spell it:
+ * 'none' for an uncompressed file, or a zlib level from 0 to 9
+ * Returns { compressed, level }, the shape getCompressionInfo returns
+ */
+export function parseCompression(text) {
+    const value = String(text).trim().toLowerCase();
+    if (value === 'none') return { compressed: false, level: null };
+
+    const level = Number(value);
+    if (value === '' || !Number.isInteger(level) || level < 0 || level > 9) {
+        throw new Error(`Invalid compression '${text}', expected 'none' or a level from 0 to 9`);
+    }
+    return { compressed: true, level };
+}
+
+/**
+ * zlib-wrap CDB data; level null uses pako's default (6)
+ */
+export function compressCDB(uncompressedData, level = null) {
+    if (level !== null && !(Number.isInteger(level) && level >= 0 && level <= 9)) {
+        throw new Error(`Invalid compression level ${level}, expected 0 to 9`);
+    }
+
+    const compressed = pako.deflate(uncompressedData, level === null ? undefined : { level });
     const result = new Uint8Array(12 + compressed.length);
     const view = new DataView(result.buffer);
     view.setUint32(0, 0xFFFFFFFF, true);
@@ -143,126 +811,623 @@ export function compressCDB(uncompressedData) {
     return result.buffer;
 }
 
-export function sqliteToCDB(db) {
-    const tablesResult = db.exec(`SELECT TableName, ID FROM DB_STRUCTURE ORDER BY ID`);
-    if (tablesResult.length === 0) {
+/**
+ * Decode one column of a table indexed by readCDB(cdbData, { indexOnly: true })
+ */
+function readCDBColumn(data, column, rowCount) {
+    const reader = new CDBReader(data);
+    reader.pos = column.offset;
+    return reader.convertColumnData(reader.readChunk(), rowCount);
+}
+
+/**
+ * Find the source column a column can be copied from: same name, index and type, same values
+ */
+function findUnchangedColumn(source, sourceTable, columnName, info, values) {
+    if (!sourceTable || sourceTable.rowCount !== values.length) return null;
+
+    const sourceColumn = sourceTable.columns.find(col =>
+        col.name === columnName && col.columnIndex === info.cdbColumnIndex && col.type === info.cdbDataType
+    );
+    if (!sourceColumn) return null;
+
+    const sourceValues = readCDBColumn(source.data, sourceColumn, sourceTable.rowCount);
+    return sourceValues.every((value, rowIdx) => Object.is(value, values[rowIdx])) ? sourceColumn : null;
+}
+
+function reportLayoutChanges(changes, onWarning) {
+    if (changes.length > 0) {
+        onWarning(`Assigned a CDB layout to ${changes.length} new table(s)/column(s):\n  - ${changes.join('\n  - ')}`);
+    }
+}
+
+/**
+ * Convert an SQLite database created by cdbToSQLite back to CDB data
+ *
+ * options.onProgress({ stage, table, current, total }) - called per stage, per table and before compression
+ * options.onWarning(message) - called with the layout assigned to new tables/columns (default: console.warn)
+ * options.allowInvalidValues - write cells findInvalidValues reports (masked/coerced) instead of throwing
+ * options.source - the CDB data db was loaded from; columns whose values did not change are copied
+ *   from it byte for byte, and tables with no changes at all are copied whole
+ * options.unloadedTables - names of tables left empty by on-demand loading (cdb_lazy.js); copied
+ *   from options.source without looking at db
+ * options.compression - { compressed, level } to write with (see parseCompression); either field
+ *   left undefined keeps what the loaded file used, as recorded in CDB_METADATA
+ * options.profile - id of the game-version profile (cdb_profiles.js) supplying values CDB_METADATA
+ *   lacks; detected from db by default
+ *
+ * Tables and columns added in SQLite are written with the IDs, indexes and types planCDBLayout gives
+ * them; db itself is not changed. Without allowInvalidValues, invalid cells throw an Error whose invalidValues
+ * property lists them all.
+ */
+export function sqliteToCDB(db, options = {}) {
+    const onProgress = options.onProgress ?? (() => {});
+    const onWarning = options.onWarning ?? (message => console.warn(message));
+
+    const structureResult = db.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name='DB_STRUCTURE'`);
+    if (structureResult.length === 0) {
         throw new Error('No DB_STRUCTURE table found');
     }
 
-    const tables = tablesResult[0].values.map(row => ({ name: row[0], id: row[1] }));
+    const profile = options.profile ? getProfile(options.profile) : resolveProfile(db, onWarning);
+    const { tables, changes } = planCDBLayout(db, profile);
+    reportLayoutChanges(changes, onWarning);
+    if (tables.length === 0) {
+        throw new Error('DB_STRUCTURE has no tables');
+    }
 
-    // Use in-memory table flags map if available, otherwise fall back to hardcoded values
-    const tableFlagsMap = db._tableFlagsMap || new Map();
+    if (!options.allowInvalidValues) {
+        onProgress({ stage: 'check' });
+        const invalidValues = [];
+        tables.forEach(table => addInvalidValues(invalidValues, findTableInvalidValues(db, table)));
+        if (invalidValues.length > 0) {
+            const shown = invalidValues.slice(0, 10).map(problem => `  - ${formatInvalidValue(problem)}`);
+            if (invalidValues.length > shown.length) shown.push(`  … ${invalidValues.length - shown.length} more`);
+            const error = new Error(`${invalidValues.length} value(s) cannot be written to CDB unchanged:\n${shown.join('\n')}`);
+            error.invalidValues = invalidValues;
+            throw error;
+        }
+    }
 
-    const estimatedSize = db.export().length;
+    const source = options.source ? readCDB(options.source, { indexOnly: true }) : null;
+    const sourceBytes = source ? new Uint8Array(source.data) : null;
+    const sourceTables = new Map((source?.tables ?? []).map(table => [table.name, table]));
+    const unloadedTables = new Set(options.unloadedTables ?? []);
+    unloadedTables.forEach(tableName => {
+        if (!sourceTables.has(tableName)) {
+            throw new Error(`Table '${tableName}' was not loaded and is not in the source CDB data`);
+        }
+    });
+    const copySourceChunk = chunk => writer.writeBytes(sourceBytes.subarray(chunk.offset, chunk.offset + chunk.size));
+
+    // Use table flags stored in CDB_METADATA if available, otherwise fall back to the profile's
+    const metadata = readCDBMetadata(db);
+    const compressed = options.compression?.compressed ?? metadata.compressed;
+    const level = options.compression?.level !== undefined ? options.compression.level : metadata.compressionLevel;
+    // Fail before writing anything rather than after
+    if (compressed && level !== null) parseCompression(level);
+    const unknownChunks = readUnknownChunks(db);
+    const writeUnknownChunks = (key, after) => {
+        (unknownChunks.get(key) ?? [])
+            .filter(chunk => chunk.after === after)
+            .forEach(chunk => writer.writeBytes(chunk.data));
+    };
+
+    // The SQLite file size is close to the CDB size, and asking for it does not serialize the database
+    const estimatedSize = source ? source.data.byteLength :
+        db.exec('PRAGMA page_count')[0].values[0][0] * db.exec('PRAGMA page_size')[0].values[0][0];
     const writer = new CDBWriter(estimatedSize);
 
+    const wrapperKey = unknownChunkKey();
+
     writer.writeChunkOpen(CHUNK_TYPE.WRAPPER, 'cyanide database');
+    writeUnknownChunks(wrapperKey, null);
     writer.writeChunkOpen(CHUNK_TYPE.DATABASE_FLAGS);
-    writer.write32(274);
+    writer.write32(metadata.databaseFlags ?? profile.databaseFlags);
     writer.writeChunkClose();
+    writeUnknownChunks(wrapperKey, CHUNK_TYPE.DATABASE_FLAGS);
 
     writer.writeChunkOpen(CHUNK_TYPE.DATABASE_TABLES);
     writer.write32(MAGIC.ARRAY_BEGIN);
     writer.write32(tables.length);
 
-    tables.forEach(tableInfo => {
-        const schemaResult = db.exec(`PRAGMA table_info("${tableInfo.name}")`);
-        const columnInfo = {};
-        schemaResult[0].values.forEach(([, colName, colType]) => {
-            // Extract encoded value from column type (e.g., 'INTEGER 12345')
-            const match = colType.match(/\s+(\d+)/);
-            const encodedValue = parseInt(match[1]);
-            // Formula: (table_id * 256 + column_index) * 16 + dataType
-            const dataType = encodedValue & 0xF;
-            const columnIndex = Math.floor(encodedValue / 16) & 0xFF;
-            columnInfo[colName] = {
-                sqliteType: colType.split(' ')[0],
-                cdbDataType: dataType,
-                cdbColumnIndex: columnIndex
-            };
-        });
+    tables.forEach((tableInfo, tableIdx) => {
+        onProgress({ stage: 'table', table: tableInfo.name, current: tableIdx + 1, total: tables.length });
+        const sourceTable = sourceTables.get(tableInfo.name);
+        if (unloadedTables.has(tableInfo.name)) {
+            copySourceChunk(sourceTable);
+            return;
+        }
 
-        const dataResult = db.exec(`SELECT * FROM "${tableInfo.name}"`);
+        const columnInfo = layoutColumnInfo(tableInfo);
+
+        const dataResult = db.exec(`SELECT ${layoutSelect(tableInfo)} FROM "${tableInfo.name}"`);
         const rows = dataResult.length > 0 ? dataResult[0].values : [];
+        const tableFlags = tableInfo.tableFlags ?? metadata.tableFlags.get(tableInfo.id) ?? profile.tableFlags[tableInfo.id] ?? profile.defaultTableFlags;
+
+        // Transpose row data to column data in single pass
+        const columnNames = Object.keys(columnInfo);
+        const columnData = columnNames.map(() => new Array(rows.length));
+        rows.forEach((row, rowIdx) => {
+            for (let colIdx = 0; colIdx < columnNames.length; colIdx++) {
+                columnData[colIdx][rowIdx] = row[colIdx];
+            }
+        });
+
+        const unchangedColumns = columnNames.map((columnName, colIdx) =>
+            findUnchangedColumn(source, sourceTable, columnName, columnInfo[columnName], columnData[colIdx])
+        );
+
+        const tableUnchanged = sourceTable &&
+            sourceTable.tableId === tableInfo.id &&
+            sourceTable.tableFlags === tableFlags &&
+            sourceTable.columns.length === columnNames.length &&
+            unchangedColumns.every((column, colIdx) => column === sourceTable.columns[colIdx]);
+        if (tableUnchanged) {
+            copySourceChunk(sourceTable);
+            return;
+        }
+
+        const tableKey = unknownChunkKey(tableInfo.id);
 
         writer.writeChunkOpen(CHUNK_TYPE.TABLE, tableInfo.name);
+        writeUnknownChunks(tableKey, null);
 
         writer.writeChunkOpen(CHUNK_TYPE.TABLE_ID);
         writer.write32(tableInfo.id);
         writer.writeChunkClose();
+        writeUnknownChunks(tableKey, CHUNK_TYPE.TABLE_ID);
 
         writer.writeChunkOpen(CHUNK_TYPE.ROW_COUNT);
         writer.write32(rows.length);
         writer.writeChunkClose();
+        writeUnknownChunks(tableKey, CHUNK_TYPE.ROW_COUNT);
 
         writer.writeChunkOpen(CHUNK_TYPE.TABLE_FLAGS);
-        const tableFlags = tableFlagsMap.get(tableInfo.id) ?? TABLE_FLAGS_BY_ID[tableInfo.id];
         writer.write32(tableFlags);
         writer.writeChunkClose();
+        writeUnknownChunks(tableKey, CHUNK_TYPE.TABLE_FLAGS);
 
         writer.writeChunkOpen(CHUNK_TYPE.COLUMN_DEFINITIONS);
         writer.write32(MAGIC.ARRAY_BEGIN);
-        writer.write32(Object.keys(columnInfo).length);
-
-        // Transpose row data to column data in single pass
-        const columnNames = Object.keys(columnInfo);
-        const columnData = columnNames.map(() => []);
-        rows.forEach(row => {
-            row.forEach((value, colIdx) => {
-                columnData[colIdx].push(value);
-            });
-        });
+        writer.write32(columnNames.length);
 
         columnNames.forEach((columnName, colIdx) => {
+            if (unchangedColumns[colIdx]) {
+                copySourceChunk(unchangedColumns[colIdx]);
+                return;
+            }
+
             writer.writeChunkOpen(CHUNK_TYPE.COLUMN, columnName);
 
             const info = columnInfo[columnName];
+            const columnKey = unknownChunkKey(tableInfo.id, info.cdbColumnIndex);
+            writeUnknownChunks(columnKey, null);
 
             writer.writeChunkOpen(CHUNK_TYPE.COLUMN_INDEX);
             writer.write32(info.cdbColumnIndex);
             writer.writeChunkClose();
+            writeUnknownChunks(columnKey, CHUNK_TYPE.COLUMN_INDEX);
 
             writer.writeChunkOpen(CHUNK_TYPE.COLUMN_DATA_TYPE, columnName);
             writer.write32(info.cdbDataType);
             writer.writeChunkClose();
+            writeUnknownChunks(columnKey, CHUNK_TYPE.COLUMN_DATA_TYPE);
 
             writer.writeColumnData(info.cdbDataType, columnData[colIdx]);
+            writeUnknownChunks(columnKey, CHUNK_TYPE.COLUMN_VALUES);
+            writeUnknownChunks(columnKey, CHUNK_TYPE.COLUMN_BLOB_DATA);
 
             writer.writeChunkClose();
         });
 
         writer.write32(MAGIC.ARRAY_END);
         writer.writeChunkClose();
+        writeUnknownChunks(tableKey, CHUNK_TYPE.COLUMN_DEFINITIONS);
 
         writer.writeChunkClose();
     });
 
     writer.write32(MAGIC.ARRAY_END);
     writer.writeChunkClose();
+    writeUnknownChunks(wrapperKey, CHUNK_TYPE.DATABASE_TABLES);
     writer.writeChunkClose();
 
-    return compressCDB(writer.getData());
+    if (!compressed) {
+        return writer.getData().slice().buffer;
+    }
+    onProgress({ stage: 'compress' });
+    return compressCDB(writer.getData(), level);
+}
+
+// Marks JSON written by databaseToJSON; the version changes when the layout does
+const JSON_FORMAT = 'pcmdb-json';
+const JSON_FORMAT_VERSION = 1;
+
+// A JSON list as the text cdbToSQLite would have stored for it
+function listFromJSON(dataType, values) {
+    const elements = dataType === DATA_TYPE.FLOAT_LIST
+        ? values.map(value => formatFloatListElement(Math.fround(value), values.length))
+        : values;
+    return '(' + elements.join(',') + ')';
+}
+
+function isListType(dataType) {
+    return dataType === DATA_TYPE.FLOAT_LIST || dataType === DATA_TYPE.INTEGER_LIST;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// '(1,2.5)' as [1, 2.5]; text that is not a valid list stays text, for sqliteToCDB to report
+function listToJSON(dataType, value) {
+    if (!isValidCDBValue(dataType, value)) return value;
+    const content = value.slice(1, -1).trim();
+    return content === '' ? [] : content.split(',').map(Number);
+}
+
+/**
+ * Export a database made by cdbToSQLite as a JSON document, for keeping saves in
+ * git: table IDs, flags, column indexes and DATA_TYPE names alongside the rows,
+ * with FLOAT_LIST/INTEGER_LIST values as arrays
+ *
+ * {
+ *   format: 'pcmdb-json', version: 1, databaseFlags, compression: { compressed, level },
+ *   unknownChunks: [{ after, data }],
+ *   tables: [{ name, id, flags, unknownChunks, columns: [{ name, index, type, unknownChunks }], rows: [[...]] }]
+ * }
+ *
+ * unknownChunks (data as base64) only appear where there are some. Values are not
+ * range-checked here; sqliteToCDB does that. Like sqliteToCDB, new tables and columns get a layout
+ * (see planCDBLayout) without db being changed, reported through options.onWarning (default: console.warn).
+ */
+export function databaseToJSON(db, options = {}) {
+    const onWarning = options.onWarning ?? (message => console.warn(message));
+
+    const structureResult = db.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name='DB_STRUCTURE'`);
+    if (structureResult.length === 0) {
+        throw new Error('No DB_STRUCTURE table found');
+    }
+
+    const profile = options.profile ? getProfile(options.profile) : resolveProfile(db, onWarning);
+    const { tables: layout, changes } = planCDBLayout(db, profile);
+    reportLayoutChanges(changes, onWarning);
+
+    const metadata = readCDBMetadata(db);
+    const unknownChunks = readUnknownChunks(db);
+    // Left out where there are none, which is almost everywhere
+    const withChunks = (entry, key) => {
+        const chunks = unknownChunks.get(key);
+        return chunks ? { ...entry, unknownChunks: chunks.map(chunk => ({ after: chunk.after, data: bytesToBase64(chunk.data) })) } : entry;
+    };
+
+    const tables = layout.map(table => {
+        const { name, id } = table;
+        const columnInfo = Object.entries(layoutColumnInfo(table));
+        const columns = columnInfo.map(([columnName, info]) => withChunks({
+            name: columnName,
+            index: info.cdbColumnIndex,
+            type: DATA_TYPE_NAMES[info.cdbDataType]
+        }, unknownChunkKey(id, info.cdbColumnIndex)));
+
+        const dataResult = db.exec(`SELECT ${layoutSelect(table)} FROM "${name}"`);
+        const rows = (dataResult[0]?.values ?? []).map(row => row.map((value, colIdx) => {
+            const dataType = columnInfo[colIdx][1].cdbDataType;
+            return isListType(dataType) ? listToJSON(dataType, value) : value;
+        }));
+
+        const flags = table.tableFlags ?? metadata.tableFlags.get(id) ?? profile.tableFlags[id] ?? profile.defaultTableFlags;
+        return { ...withChunks({ name, id, flags }, unknownChunkKey(id)), columns, rows };
+    });
+
+    return {
+        ...withChunks({
+            format: JSON_FORMAT,
+            version: JSON_FORMAT_VERSION,
+            databaseFlags: metadata.databaseFlags ?? profile.databaseFlags,
+            compression: { compressed: metadata.compressed, level: metadata.compressionLevel }
+        }, unknownChunkKey()),
+        tables
+    };
+}
+
+/**
+ * Check the layout of a document before jsonToDatabase builds anything from it
+ * Errors name the table and row, e.g. "tables[2] 'DYN_team' row 5: ..."
+ */
+function checkDatabaseJSON(doc) {
+    if (doc?.format !== JSON_FORMAT) {
+        throw new Error(`Not a ${JSON_FORMAT} document (format: ${JSON.stringify(doc?.format)})`);
+    }
+    if (doc.version !== JSON_FORMAT_VERSION) {
+        throw new Error(`Unsupported ${JSON_FORMAT} version ${doc.version}, expected ${JSON_FORMAT_VERSION}`);
+    }
+    if (!Number.isInteger(doc.databaseFlags)) throw new Error('databaseFlags must be an integer');
+    if (!Array.isArray(doc.tables)) throw new Error('tables must be an array');
+
+    const checkChunks = (chunks, where) => {
+        if (chunks === undefined) return;
+        if (!Array.isArray(chunks) || chunks.some(chunk => typeof chunk?.data !== 'string')) {
+            throw new Error(`${where}: unknownChunks must be an array of { after, data }`);
+        }
+    };
+    checkChunks(doc.unknownChunks, 'database');
+
+    const names = new Set();
+    const ids = new Set();
+    doc.tables.forEach((table, tableIdx) => {
+        const where = `tables[${tableIdx}] ${JSON.stringify(table?.name)}`;
+        if (typeof table?.name !== 'string' || table.name === '') throw new Error(`${where}: name must be a non-empty string`);
+        if (names.has(table.name.toLowerCase())) throw new Error(`${where}: duplicate table name`);
+        if (!Number.isInteger(table.id) || table.id < 0) throw new Error(`${where}: id must be a non-negative integer`);
+        if (ids.has(table.id)) throw new Error(`${where}: duplicate table id ${table.id}`);
+        if (!Number.isInteger(table.flags)) throw new Error(`${where}: flags must be an integer`);
+        if (!Array.isArray(table.columns) || !Array.isArray(table.rows)) throw new Error(`${where}: columns and rows must be arrays`);
+        names.add(table.name.toLowerCase());
+        ids.add(table.id);
+        checkChunks(table.unknownChunks, where);
+
+        const indexes = new Set();
+        table.columns.forEach((column, colIdx) => {
+            const columnWhere = `${where} columns[${colIdx}] ${JSON.stringify(column?.name)}`;
+            if (typeof column?.name !== 'string' || column.name === '') throw new Error(`${columnWhere}: name must be a non-empty string`);
+            if (!Number.isInteger(column.index) || column.index < 0 || column.index > 255) {
+                throw new Error(`${columnWhere}: index must be an integer from 0 to 255`);
+            }
+            if (indexes.has(column.index)) throw new Error(`${columnWhere}: duplicate column index ${column.index}`);
+            if (!Object.hasOwn(DATA_TYPE, column.type)) {
+                throw new Error(`${columnWhere}: unknown type ${JSON.stringify(column.type)} (expected one of ${Object.keys(DATA_TYPE).join(', ')})`);
+            }
+            indexes.add(column.index);
+            checkChunks(column.unknownChunks, columnWhere);
+        });
+
+        table.rows.forEach((row, rowIdx) => {
+            if (!Array.isArray(row) || row.length !== table.columns.length) {
+                throw new Error(`${where} row ${rowIdx}: expected an array of ${table.columns.length} values`);
+            }
+            row.forEach((value, colIdx) => {
+                const column = table.columns[colIdx];
+                const list = Array.isArray(value);
+                if (list ? !isListType(DATA_TYPE[column.type]) || value.some(elem => typeof elem !== 'number') :
+                    value !== null && typeof value !== 'number' && typeof value !== 'string') {
+                    throw new Error(`${where} row ${rowIdx}: ${column.name} cannot be ${JSON.stringify(value)} (${column.type})`);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Build an SQLite database, as cdbToSQLite would, from a databaseToJSON document
+ * Throws on a malformed document; values out of range for their type are left for
+ * sqliteToCDB (or findInvalidValues) to report.
+ *
+ * options.onWarning(message) - called for recoverable problems (default: console.warn)
+ */
+export function jsonToDatabase(doc, SQL, options = {}) {
+    const onWarning = options.onWarning ?? (message => console.warn(message));
+    checkDatabaseJSON(doc);
+
+    // Chunk type sits after the CHUNK_BEGIN marker and chunk size
+    const chunksFromJSON = chunks => (chunks ?? []).map(chunk => {
+        const data = base64ToBytes(chunk.data);
+        const type = data.length >= 12 ? new DataView(data.buffer).getUint32(8, true) : -1;
+        return { type, after: chunk.after ?? null, data };
+    });
+
+    const tables = doc.tables.map(table => ({
+        name: table.name,
+        tableId: table.id,
+        tableFlags: table.flags,
+        rowCount: table.rows.length,
+        unknownChunks: chunksFromJSON(table.unknownChunks),
+        columns: table.columns.map((column, colIdx) => ({
+            name: column.name,
+            columnIndex: column.index,
+            type: DATA_TYPE[column.type],
+            unknownChunks: chunksFromJSON(column.unknownChunks),
+            data: table.rows.map(row => Array.isArray(row[colIdx]) ? listFromJSON(DATA_TYPE[column.type], row[colIdx]) : row[colIdx])
+        }))
+    }));
+
+    const db = createCDBSchema(SQL, {
+        compression: { compressed: doc.compression?.compressed ?? true, level: doc.compression?.level ?? null },
+        databaseFlags: doc.databaseFlags,
+        tables,
+        unknownChunks: chunksFromJSON(doc.unknownChunks)
+    }, onWarning);
+    tables.forEach(table => insertTableRows(db, table));
+    return db;
+}
+
+/**
+ * databaseToJSON output as text with one column and one row per line,
+ * so an edited value shows up as a one-line diff
+ */
+export function formatDatabaseJSON(doc) {
+    const list = (items, indent) => items.length === 0 ? '[]' :
+        `[\n${items.map(item => indent + '    ' + item).join(',\n')}\n${indent}]`;
+    const object = (fields, indent) =>
+        `{\n${fields.map(([key, value]) => `${indent}    ${JSON.stringify(key)}: ${value}`).join(',\n')}\n${indent}}`;
+
+    const tables = doc.tables.map(({ columns, rows, ...table }) => object([
+        ...Object.entries(table).map(([key, value]) => [key, JSON.stringify(value)]),
+        ['columns', list(columns.map(column => JSON.stringify(column)), '            ')],
+        ['rows', list(rows.map(row => JSON.stringify(row)), '            ')]
+    ], '        '));
+
+    return object([
+        ...Object.entries(doc).filter(([key]) => key !== 'tables').map(([key, value]) => [key, JSON.stringify(value)]),
+        ['tables', list(tables, '    ')]
+    ], '') + '\n';
+}
+
+/**
+ * databaseToJSON output as JSON Lines, for a directory with one file per table
+ * Returns { header, tables: [{ name, text }] }: header is the database fields plus
+ * the table order as JSON, each table's text is its layout on the first line
+ * followed by one line per row
+ */
+export function formatDatabaseJSONL(doc) {
+    const { tables, ...header } = doc;
+    return {
+        header: JSON.stringify({ ...header, tables: tables.map(table => table.name) }, null, 4) + '\n',
+        tables: tables.map(({ rows, ...table }) => ({
+            name: table.name,
+            text: [table, ...rows].map(line => JSON.stringify(line) + '\n').join('')
+        }))
+    };
+}
+
+/**
+ * Reassemble a document from formatDatabaseJSONL's pieces
+ * readTable(name) returns the text of a table's JSON Lines
+ */
+export function parseDatabaseJSONL(headerText, readTable) {
+    const header = JSON.parse(headerText);
+    if (!Array.isArray(header.tables) || header.tables.some(name => typeof name !== 'string')) {
+        throw new Error('JSON Lines header must list its tables by name');
+    }
+
+    const tables = header.tables.map(name => {
+        const lines = readTable(name).split('\n').filter(line => line.trim() !== '');
+        const parsed = lines.map((line, lineIdx) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Table '${name}' line ${lineIdx + 1}: ${error.message}`);
+            }
+        });
+        if (parsed.length === 0 || parsed[0]?.name !== name) {
+            throw new Error(`Table '${name}' must start with its layout line`);
+        }
+        const [table, ...rows] = parsed;
+        return { ...table, rows };
+    });
+
+    return { ...header, tables };
+}
+
+const SQLITE_HEADER = 'SQLite format 3\0';
+
+// Archives saves are often shared in, recognised so the error can say what to do
+const ARCHIVE_SIGNATURES = [
+    { bytes: [0x50, 0x4B, 0x03, 0x04], name: 'a ZIP archive' },
+    { bytes: [0x1F, 0x8B], name: 'a gzip archive' },
+    { bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C], name: 'a 7-Zip archive' },
+    { bytes: [0x52, 0x61, 0x72, 0x21], name: 'a RAR archive' }
+];
+
+/**
+ * Identify a database file from its first bytes instead of its name
+ * Returns 'cdb' (zlib header 0xFFFFFFFF or CHUNK_BEGIN), 'sqlite' ("SQLite format 3" header)
+ * or 'json' (text starting with '{', as formatDatabaseJSON writes). Throws for anything else,
+ * saying what the file appears to be.
+ */
+export function detectFileFormat(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (bytes.length === 0) {
+        throw new Error('Unsupported file format: the file is empty');
+    }
+
+    if (bytes.length >= 4) {
+        const magic = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+        if (magic === 0xFFFFFFFF || magic === MAGIC.CHUNK_BEGIN) return 'cdb';
+    }
+    if (String.fromCharCode(...bytes.subarray(0, SQLITE_HEADER.length)) === SQLITE_HEADER) return 'sqlite';
+
+    // Skip a UTF-8 BOM and leading whitespace
+    let start = bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF ? 3 : 0;
+    while (start < bytes.length && [0x09, 0x0A, 0x0D, 0x20].includes(bytes[start])) start++;
+    if (bytes[start] === 0x7B) return 'json';
+
+    const archive = ARCHIVE_SIGNATURES.find(signature => signature.bytes.every((byte, i) => bytes[i] === byte));
+    if (archive) {
+        throw new Error(`Unsupported file format: this is ${archive.name}, extract the database file from it first`);
+    }
+    const firstBytes = Array.from(bytes.subarray(0, 8), b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+    throw new Error(`Unsupported file format: not a CDB, SQLite or JSON database (file starts with ${firstBytes})`);
+}
+
+/**
+ * Determine whether CDB data is zlib-compressed and, if so, at about which level
+ * level is the representative of the header's FLEVEL range (see describeCompressionLevel), not
+ * necessarily the level the file was written with
+ */
+export function getCompressionInfo(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+
+    if (view.byteLength < 14 || view.getUint32(0, true) !== 0xFFFFFFFF) {
+        return { compressed: false, level: null };
+    }
+
+    // Second zlib header byte holds FLEVEL in its top two bits
+    const flevel = view.getUint8(13) >> 6;
+    // BTYPE (bits 1-2 of the first deflate byte) 0 is a stored block, which level 0 writes
+    if (flevel === 0 && view.byteLength > 14 && ((view.getUint8(14) >> 1) & 3) === 0) {
+        return { compressed: true, level: 0 };
+    }
+    return { compressed: true, level: ZLIB_FLEVEL_TO_LEVEL[flevel] };
+}
+
+/**
+ * Describe a level from getCompressionInfo for display, with the FLEVEL range it stands for,
+ * e.g. 'level 7-9 (written back at 9)'; levels outside the table are shown as they are
+ */
+export function describeCompressionLevel(level) {
+    const flevel = ZLIB_FLEVEL_TO_LEVEL.indexOf(level);
+    if (flevel === -1) return `level ${level}`;
+    const [low, high] = ZLIB_FLEVEL_RANGES[flevel];
+    return low === high ? `level ${level}` : `level ${low}-${high} (written back at ${level})`;
 }
 
 export function decompressCDB(arrayBuffer) {
     const view = new DataView(arrayBuffer);
 
-    if (view.getUint32(0, true) !== 0xFFFFFFFF) {
+    if (view.byteLength < 4 || view.getUint32(0, true) !== 0xFFFFFFFF) {
         return arrayBuffer;
     }
 
+    if (view.byteLength < 12) {
+        throw new Error('Compressed file is too short for its 12-byte header');
+    }
 
+    const uncompressedSize = view.getUint32(4, true);
     const compressedSize = view.getUint32(8, true);
-    const compressedData = new Uint8Array(arrayBuffer, 12, compressedSize);
-    return pako.inflate(compressedData).buffer;
+    if (12 + compressedSize > view.byteLength) {
+        throw new Error(`Compressed size ${compressedSize} exceeds the ${view.byteLength - 12} bytes after the header`);
+    }
+
+    let inflated;
+    try {
+        inflated = pako.inflate(new Uint8Array(arrayBuffer, 12, compressedSize));
+    } catch (error) {
+        // pako throws its zlib message as a plain string
+        throw new Error(`Invalid zlib data: ${error.message ?? error}`);
+    }
+    if (!inflated || inflated.length !== uncompressedSize) {
+        throw new Error(`Decompressed ${inflated ? inflated.length : 0} bytes, header says ${uncompressedSize}`);
+    }
+    return inflated.buffer;
 }
 
-class CDBReader {
-    constructor(arrayBuffer) {
+export class CDBReader {
+    // options.indexOnly - skip over COLUMN_VALUES and COLUMN_BLOB_DATA instead of decoding them
+    constructor(arrayBuffer, options = {}) {
         this.data = new DataView(arrayBuffer);
         this.pos = 0;
         this.chunkStack = [];
+        this.indexOnly = options.indexOnly ?? false;
     }
 
     read32() {
@@ -288,23 +1453,39 @@ class CDBReader {
         this.pos += padding;
     }
 
+    readMagic(expected, name) {
+        const start = this.pos;
+        const value = this.read32();
+        if (value !== expected) {
+            throw new Error(`Expected ${name} (${hex(expected)}) at position ${start}, found ${hex(value)}`);
+        }
+    }
+
     readChunkHeader() {
-        this.read32();
+        const chunkStartPos = this.pos;
+        this.readMagic(MAGIC.CHUNK_BEGIN, 'CHUNK_BEGIN');
         const chunkSize = this.read32();
         const chunkType = this.read32();
         const flags = this.read32();
         const hasDescription = this.read32();
 
+        if (chunkSize < MIN_CHUNK_SIZE || chunkStartPos + chunkSize > this.data.byteLength) {
+            throw new Error(`Chunk 0x${chunkType.toString(16)} at position ${chunkStartPos} has invalid size ${chunkSize}`);
+        }
+
         let description = null;
         if (hasDescription) {
             const descLength = this.read32();
+            if (descLength < 1 || this.pos + descLength > chunkStartPos + chunkSize) {
+                throw new Error(`Chunk 0x${chunkType.toString(16)} at position ${chunkStartPos} has invalid description length ${descLength}`);
+            }
             const descBytes = this.readBytes(descLength - 1);
             description = new TextDecoder().decode(descBytes);
             this.pos++;
         }
 
         this.readPadding();
-        this.read32();
+        this.readMagic(MAGIC.CHUNK_SEPARATOR, 'CHUNK_SEPARATOR');
 
         return { chunkSize, chunkType, flags, description };
     }
@@ -314,6 +1495,11 @@ class CDBReader {
         const header = this.readChunkHeader();
         const chunkEndPos = chunkStartPos + header.chunkSize;
 
+        // The data section ends where the 4-byte end marker begins
+        if (chunkEndPos - 4 < this.pos) {
+            throw new Error(`Chunk 0x${header.chunkType.toString(16)} at position ${chunkStartPos} is too small for its header (size ${header.chunkSize})`);
+        }
+
         let result;
 
         switch (header.chunkType) {
@@ -327,6 +1513,11 @@ class CDBReader {
                 break;
 
             case CHUNK_TYPE.COLUMN_VALUES:
+                if (this.indexOnly) {
+                    this.pos = chunkEndPos - 4;
+                    result = { type: header.chunkType, value: null };
+                    break;
+                }
                 const dataBytes = chunkEndPos - this.pos - 4;
                 const values = [];
                 for (let i = 0; i < dataBytes / 4; i++) {
@@ -336,43 +1527,41 @@ class CDBReader {
                 break;
 
             case CHUNK_TYPE.COLUMN_BLOB_DATA:
+                if (this.indexOnly) {
+                    this.pos = chunkEndPos - 4;
+                    result = { type: header.chunkType, value: null };
+                    break;
+                }
                 const sizedDataBytes = chunkEndPos - this.pos - 4;
                 result = { type: header.chunkType, value: this.readBytes(sizedDataBytes) };
                 break;
 
             case CHUNK_TYPE.DATABASE_TABLES:
-                const tables = this.readArray(() => {
-                    const tableChunk = this.readChunk();
-                    const rowCount = tableChunk.children[CHUNK_TYPE.ROW_COUNT];
-                    // Pass rowCount to column parsing
-                    const columns = tableChunk.children[CHUNK_TYPE.COLUMN_DEFINITIONS];
-                    columns.forEach(col => {
-                        if (col.columnChunk) {
-                            col.data = this.convertColumnData(col.columnChunk, rowCount);
-                            delete col.columnChunk;
-                        }
-                    });
-                    return {
-                        name: tableChunk.header.description,
-                        rowCount,
-                        columns,
-                        tableId: tableChunk.children[CHUNK_TYPE.TABLE_ID],
-                        tableFlags: tableChunk.children[CHUNK_TYPE.TABLE_FLAGS]
-                    };
-                });
-                result = { type: header.chunkType, value: tables };
+                result = { type: header.chunkType, value: this.readArray(this.readTable) };
                 break;
 
             case CHUNK_TYPE.COLUMN_DEFINITIONS:
                 const columns = this.readArray(() => {
+                    const offset = this.pos;
                     const columnChunk = this.readChunk();
+                    if (columnChunk.type !== CHUNK_TYPE.COLUMN) {
+                        throw new Error(`Unexpected chunk type 0x${columnChunk.type.toString(16)} in column array at position ${this.pos}`);
+                    }
                     const colName = columnChunk.header.description;
+                    for (const [type, name] of [[CHUNK_TYPE.COLUMN_INDEX, 'COLUMN_INDEX'], [CHUNK_TYPE.COLUMN_DATA_TYPE, 'COLUMN_DATA_TYPE']]) {
+                        if (columnChunk.children[type] === undefined) {
+                            throw new Error(`Column '${colName}' has no ${name} chunk`);
+                        }
+                    }
                     // Don't convert data yet - will be done later with rowCount
                     return {
                         name: colName,
                         type: columnChunk.children[CHUNK_TYPE.COLUMN_DATA_TYPE],
                         columnIndex: columnChunk.children[CHUNK_TYPE.COLUMN_INDEX],
-                        columnChunk: columnChunk  // Store for later conversion
+                        unknownChunks: columnChunk.unknownChunks,
+                        columnChunk: columnChunk,  // Store for later conversion
+                        offset,
+                        size: this.pos - offset
                     };
                 });
                 result = { type: header.chunkType, value: columns };
@@ -382,39 +1571,89 @@ class CDBReader {
             case CHUNK_TYPE.TABLE:
             case CHUNK_TYPE.COLUMN:
                 const children = {};
+                const unknownChunks = [];
+                // Last known sibling type, so unknown chunks can be re-emitted in place
+                let lastKnownType = null;
                 while (this.pos < chunkEndPos) {
                     if (chunkEndPos - this.pos < 20) {
                         break;
                     }
                     const chunk = this.readChunk();
-                    children[chunk.type] = chunk.value;
+                    if (chunk.unknown) {
+                        unknownChunks.push({ type: chunk.type, after: lastKnownType, data: chunk.value });
+                    } else {
+                        children[chunk.type] = chunk.value;
+                        lastKnownType = chunk.type;
+                    }
                 }
                 result = {
                     type: header.chunkType,
                     header,
-                    children
+                    children,
+                    unknownChunks
                 };
                 break;
 
             default:
-                throw new Error(`Unknown chunk type: 0x${header.chunkType.toString(16)}`);
+                // Keep the whole chunk (header to end marker) as an opaque blob
+                this.pos = chunkStartPos;
+                return { type: header.chunkType, unknown: true, value: this.readBytes(header.chunkSize).slice() };
         }
 
         this.readPadding();
-        this.read32();
+        this.readMagic(MAGIC.CHUNK_END, 'CHUNK_END');
+        if (this.pos !== chunkEndPos) {
+            throw new Error(`Chunk 0x${header.chunkType.toString(16)} at position ${chunkStartPos} ends at ${this.pos}, but its size says ${chunkEndPos}`);
+        }
         return result;
     }
 
+    readTable() {
+        const offset = this.pos;
+        const tableChunk = this.readChunk();
+        if (tableChunk.type !== CHUNK_TYPE.TABLE) {
+            throw new Error(`Unexpected chunk type 0x${tableChunk.type.toString(16)} in table array at position ${this.pos}`);
+        }
+        const rowCount = tableChunk.children[CHUNK_TYPE.ROW_COUNT];
+        // Pass rowCount to column parsing
+        const columns = tableChunk.children[CHUNK_TYPE.COLUMN_DEFINITIONS];
+        for (const [type, name] of [[CHUNK_TYPE.TABLE_ID, 'TABLE_ID'], [CHUNK_TYPE.ROW_COUNT, 'ROW_COUNT'], [CHUNK_TYPE.COLUMN_DEFINITIONS, 'COLUMN_DEFINITIONS']]) {
+            if (tableChunk.children[type] === undefined) {
+                throw new Error(`Table '${tableChunk.header.description}' has no ${name} chunk`);
+            }
+        }
+        columns.forEach(col => {
+            if (!this.indexOnly) {
+                col.data = this.convertColumnData(col.columnChunk, rowCount);
+            }
+            delete col.columnChunk;
+        });
+        return {
+            name: tableChunk.header.description,
+            rowCount,
+            columns,
+            tableId: tableChunk.children[CHUNK_TYPE.TABLE_ID],
+            tableFlags: tableChunk.children[CHUNK_TYPE.TABLE_FLAGS],
+            unknownChunks: tableChunk.unknownChunks,
+            offset,
+            size: this.pos - offset
+        };
+    }
+
     readArray(itemReader) {
-        this.read32();
+        this.readMagic(MAGIC.ARRAY_BEGIN, 'ARRAY_BEGIN');
+        const countPos = this.pos;
         const count = this.read32();
+        if (count * MIN_CHUNK_SIZE > this.data.byteLength - this.pos) {
+            throw new Error(`Array count ${count} at position ${countPos} cannot fit in the remaining data`);
+        }
         const items = [];
 
         for (let i = 0; i < count; i++) {
             items.push(itemReader.call(this));
         }
 
-        this.read32();
+        this.readMagic(MAGIC.ARRAY_END, 'ARRAY_END');
         return items;
     }
 
@@ -422,6 +1661,16 @@ class CDBReader {
         const dataType = columnChunk.children[CHUNK_TYPE.COLUMN_DATA_TYPE];
         const rawData = columnChunk.children[CHUNK_TYPE.COLUMN_VALUES] ?? [];
         const sizedData = columnChunk.children[CHUNK_TYPE.COLUMN_BLOB_DATA] ?? new Uint8Array([0, 0, 0, 0]);
+        const columnName = columnChunk.header.description;
+
+        if (!Object.values(DATA_TYPE).includes(dataType)) {
+            throw new Error(`Unknown data type: ${dataType}`);
+        }
+
+        // Empty columns take no space, so bound ROW_COUNT by the densest encoding (1 bit per row) instead
+        if (rowCount !== undefined && rowCount > this.data.byteLength * 8) {
+            throw new Error(`Column '${columnName}' has ROW_COUNT ${rowCount}, more than the file could hold`);
+        }
 
         // If no data, return array of zeros/empty strings based on type
         if (rawData.length === 0 && rowCount !== undefined) {
@@ -438,6 +1687,13 @@ class CDBReader {
             }
         }
 
+        if (rowCount !== undefined) {
+            const expectedBytes = Math.ceil(valueByteCount(dataType, rowCount) / 4) * 4;
+            if (rawData.length * 4 !== expectedBytes) {
+                throw new Error(`Column '${columnName}' has ${rawData.length * 4} value bytes, ROW_COUNT ${rowCount} needs ${expectedBytes}`);
+            }
+        }
+
         switch (dataType) {
             case DATA_TYPE.INTEGER:
                 return rawData.map(value => value | 0);
@@ -481,21 +1737,22 @@ class CDBReader {
                 });
 
             case DATA_TYPE.STRING:
+                if (rawData.includes(0)) {
+                    throw new Error(`Column '${columnName}' has a string length of 0 (lengths include the null terminator)`);
+                }
+                this.checkBlobSize(columnName, sizedData, rawData.reduce((sum, length) => sum + length, 0));
                 return this.parseStrings(sizedData, rawData);
 
             case DATA_TYPE.INTEGER_LIST:
+                this.checkBlobSize(columnName, sizedData, rawData.reduce((sum, count) => sum + count, 0) * 4);
                 return this.parseNumericLists(sizedData, rawData, (view, offset) => {
                     return view.getUint32(offset, true) | 0;
                 });
 
             case DATA_TYPE.FLOAT_LIST:
+                this.checkBlobSize(columnName, sizedData, rawData.reduce((sum, count) => sum + count, 0) * 4);
                 return this.parseNumericLists(sizedData, rawData, (view, offset, count) => {
-                    const value = view.getFloat32(offset, true);
-                    let formatted = value.toFixed(6).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
-                    if (!formatted.includes('.') && count > 1) {
-                        formatted += '.0';
-                    }
-                    return formatted;
+                    return formatFloatListElement(view.getFloat32(offset, true), count);
                 });
 
             default:
@@ -503,6 +1760,13 @@ class CDBReader {
         }
     }
 
+    checkBlobSize(columnName, sizedData, neededBytes) {
+        // Blob data starts with a 4-byte size field
+        if (neededBytes > sizedData.length - 4) {
+            throw new Error(`Column '${columnName}' needs ${neededBytes} bytes of blob data, only ${Math.max(sizedData.length - 4, 0)} present`);
+        }
+    }
+
     parseStrings(sizedData, lengths) {
         let currentOffset = 4;
 
@@ -529,20 +1793,41 @@ class CDBReader {
 
 }
 
-class CDBWriter {
+// Shared by every writer: TextEncoder is stateless
+const textEncoder = new TextEncoder();
+
+// Whether a list's text has anything but whitespace between its brackets, like isValidCDBValue decides it
+function hasListElements(text) {
+    for (let i = 1; i < text.length - 1; i++) {
+        // Printable ASCII (the usual digit or sign) settles it without the regex
+        const code = text.charCodeAt(i);
+        if ((code > 32 && code < 127) || !/\s/.test(text[i])) return true;
+    }
+    return false;
+}
+
+/**
+ * Writes CDB chunks into one growing buffer
+ *
+ * Column data is written section by section: the size of each section is
+ * computed from the values first, reserved once, and filled through the
+ * DataView without per-value capacity checks or intermediate arrays.
+ */
+export class CDBWriter {
     constructor(estimatedSize = 1024 * 1024) {
         this.buffer = new Uint8Array(estimatedSize);
         this.view = new DataView(this.buffer.buffer);
         this.chunkStack = [];
-        this.closedChunks = [];
         this.pos = 0;
+        // Reused for encoding string columns
+        this.scratch = new Uint8Array(0);
     }
 
     ensureCapacity(additionalBytes) {
         if (this.pos + additionalBytes > this.buffer.length) {
-            const newSize = Math.max(Math.ceil(this.buffer.length * 1.5), this.pos + additionalBytes);
+            const newSize = Math.max(this.buffer.length * 2, this.pos + additionalBytes);
             const newBuffer = new Uint8Array(newSize);
-            newBuffer.set(this.buffer);
+            newBuffer.set(this.buffer.subarray(0, this.pos));
             this.buffer = newBuffer;
             this.view = new DataView(this.buffer.buffer);
         }
@@ -560,6 +1845,7 @@ class CDBWriter {
         this.pos += bytes.length;
     }
 
+    // Padding bytes are never written: the buffer is zero-filled and only ever written forward
     writePadding() {
         const padding = (4 - (this.pos & 3)) & 3;
         if (padding > 0) {
@@ -578,7 +1864,7 @@ class CDBWriter {
         this.write32(description ? 1 : 0);
 
         if (description) {
-            const descBytes = new TextEncoder().encode(description);
+            const descBytes = textEncoder.encode(description);
             this.write32(descBytes.length + 1);
             this.writeBytes(descBytes);
             this.ensureCapacity(1);
@@ -589,147 +1875,174 @@ class CDBWriter {
         this.writePadding();
         this.write32(MAGIC.CHUNK_SEPARATOR);
 
-        this.chunkStack.push({ type: chunkType, startPos: chunkStart });
+        this.chunkStack.push(chunkStart);
     }
 
     writeChunkClose() {
-        const chunk = this.chunkStack.pop();
+        const chunkStart = this.chunkStack.pop();
 
         this.writePadding();
         this.write32(MAGIC.CHUNK_END);
 
-        chunk.size = this.pos - chunk.startPos;
-        this.closedChunks.push(chunk);
+        this.view.setUint32(chunkStart + 4, this.pos - chunkStart, true);
     }
 
     getData() {
-        for (const chunk of this.closedChunks) {
-            this.view.setUint32(chunk.startPos + 4, chunk.size, true);
-        }
-
         return this.buffer.subarray(0, this.pos);
     }
 
     writeColumnData(dataType, values) {
-        const buffer = new ArrayBuffer(4);
-        const view = new DataView(buffer);
-
         this.writeChunkOpen(CHUNK_TYPE.COLUMN_VALUES);
 
+        switch (dataType) {
+            case DATA_TYPE.STRING:
+                this.writeStringData(values);
+                break;
+
+            case DATA_TYPE.INTEGER_LIST:
+            case DATA_TYPE.FLOAT_LIST:
+                this.writeListData(dataType, values);
+                break;
+
+            default:
+                this.writeFixedData(dataType, values);
+                break;
+        }
+
+        this.writeChunkClose();
+    }
+
+    writeFixedData(dataType, values) {
+        const count = values.length;
+        this.ensureCapacity(valueByteCount(dataType, count));
+        const { buffer, view } = this;
+        let pos = this.pos;
+
         switch (dataType) {
             case DATA_TYPE.INTEGER:
-                values.forEach(value => this.write32(value));
+                for (let i = 0; i < count; i++, pos += 4) {
+                    view.setUint32(pos, values[i], true);
+                }
                 break;
 
             case DATA_TYPE.BOOLEAN:
-                // Type 3: Bit-packed boolean values
-                const numBytes = Math.ceil(values.length / 8);
-                for (let byteIdx = 0; byteIdx < numBytes; byteIdx++) {
-                    let byte = 0;
-                    for (let bitIdx = 0; bitIdx < 8; bitIdx++) {
-                        const valueIdx = byteIdx * 8 + bitIdx;
-                        if (valueIdx < values.length && values[valueIdx]) {
-                            byte |= (1 << bitIdx);
-                        }
-                    }
-                    this.ensureCapacity(1);
-                    this.buffer[this.pos++] = byte;
+                // Type 3: Bit-packed boolean values (the reserved bytes are still zero)
+                for (let i = 0; i < count; i++) {
+                    if (values[i]) buffer[pos + (i >> 3)] |= 1 << (i & 7);
                 }
+                pos += Math.ceil(count / 8);
                 break;
 
             case DATA_TYPE.INTEGER_BYTE:
-                // Type 4: 8-bit signed integers (-128 to 127)
-                values.forEach(value => {
-                    this.ensureCapacity(1);
-                    // Convert signed to unsigned byte for storage
-                    const byte = value < 0 ? value + 256 : value;
-                    this.buffer[this.pos++] = byte & 0xFF;
-                });
+                // Type 4: 8-bit signed integers (-128 to 127), stored as unsigned bytes
+                for (let i = 0; i < count; i++) {
+                    const value = values[i];
+                    buffer[pos++] = (value < 0 ? value + 256 : value) & 0xFF;
+                }
                 break;
 
             case DATA_TYPE.INTEGER_SHORT:
-                // Type 5: 16-bit unsigned integers
-                values.forEach(value => {
-                    this.ensureCapacity(2);
-                    // Write as little-endian uint16
-                    this.buffer[this.pos++] = (value & 0xFF);
-                    this.buffer[this.pos++] = ((value >> 8) & 0xFF);
-                });
+                // Type 5: 16-bit unsigned integers, little-endian
+                for (let i = 0; i < count; i++) {
+                    const value = values[i];
+                    buffer[pos++] = value & 0xFF;
+                    buffer[pos++] = (value >> 8) & 0xFF;
+                }
                 break;
 
             case DATA_TYPE.FLOAT:
-                values.forEach(value => {
-                    view.setFloat32(0, parseFloat(value), true);
-                    this.write32(view.getUint32(0, true));
-                });
-                break;
-
-            case DATA_TYPE.STRING:
-                this.writeStringData(values);
-                break;
-
-            case DATA_TYPE.INTEGER_LIST:
-            case DATA_TYPE.FLOAT_LIST:
-                this.writeListData(dataType, values);
+                for (let i = 0; i < count; i++, pos += 4) {
+                    const value = values[i];
+                    // parseFloat would turn -0 into 0 via its string form
+                    view.setFloat32(pos, typeof value === 'number' ? value : parseFloat(value), true);
+                }
                 break;
         }
 
-        this.writeChunkClose();
+        this.pos = pos;
     }
 
     writeStringData(values) {
-        const lengths = [];
-        const stringData = [];
-        const encoder = new TextEncoder();
-
-        values.forEach(value => {
-            const encoded = encoder.encode(value);
-            stringData.push(...encoded, 0);
-            lengths.push(encoded.length + 1);
-        });
+        const count = values.length;
 
-        lengths.forEach(len => this.write32(len));
+        // UTF-8 needs at most 3 bytes per UTF-16 code unit, plus the terminator
+        let maxBytes = 0;
+        for (let i = 0; i < count; i++) {
+            maxBytes += String(values[i]).length * 3 + 1;
+        }
+        if (this.scratch.length < maxBytes) {
+            this.scratch = new Uint8Array(Math.max(maxBytes, this.scratch.length * 2));
+        }
+
+        const scratch = this.scratch;
+        this.ensureCapacity(count * 4);
+        let blobLength = 0;
+        for (let i = 0; i < count; i++) {
+            const { written } = textEncoder.encodeInto(String(values[i]), scratch.subarray(blobLength));
+            scratch[blobLength + written] = 0;
+            blobLength += written + 1;
+            this.view.setUint32(this.pos, written + 1, true);
+            this.pos += 4;
+        }
 
-        if (stringData.length > 0) {
+        if (blobLength > 0) {
             this.writeChunkClose();
             this.writeChunkOpen(CHUNK_TYPE.COLUMN_BLOB_DATA);
-            this.write32(stringData.length);
-            this.writeBytes(new Uint8Array(stringData));
+            this.write32(blobLength);
+            this.writeBytes(scratch.subarray(0, blobLength));
         }
     }
 
     writeListData(dataType, values) {
-        const buffer = new ArrayBuffer(4);
-        const view = new DataView(buffer);
-        const counts = [];
-        const listData = [];
-
-        values.forEach(value => {
-            const content = String(value).slice(1, -1);
-            if (content === '') {
-                counts.push(0);
-            } else {
-                const elements = content.split(',').map(s => s.trim());
-                counts.push(elements.length);
-
-                elements.forEach(elem => {
-                    if (dataType === DATA_TYPE.FLOAT_LIST) {
-                        view.setFloat32(0, parseFloat(elem), true);
-                        listData.push(view.getUint32(0, true));
-                    } else {
-                        listData.push(parseInt(elem) | 0);
-                    }
-                });
+        const count = values.length;
+
+        // First pass: element counts, e.g. '(1,2,3)' has 3 and '()' or '( )' has 0
+        this.ensureCapacity(count * 4);
+        let totalElements = 0;
+        for (let i = 0; i < count; i++) {
+            const text = String(values[i]);
+            let elements = 0;
+            if (hasListElements(text)) {
+                elements = 1;
+                for (let comma = text.indexOf(',', 1); comma !== -1 && comma < text.length - 1; comma = text.indexOf(',', comma + 1)) {
+                    elements++;
+                }
             }
-        });
+            totalElements += elements;
+            this.view.setUint32(this.pos, elements, true);
+            this.pos += 4;
+        }
 
-        counts.forEach(count => this.write32(count));
+        if (totalElements === 0) return;
 
-        if (listData.length > 0) {
-            this.writeChunkClose();
-            this.writeChunkOpen(CHUNK_TYPE.COLUMN_BLOB_DATA);
-            this.write32(listData.length * 4);
-            listData.forEach(value => this.write32(value));
+        this.writeChunkClose();
+        this.writeChunkOpen(CHUNK_TYPE.COLUMN_BLOB_DATA);
+        this.write32(totalElements * 4);
+        this.ensureCapacity(totalElements * 4);
+
+        // Second pass: parse each element between the brackets and commas
+        // (parseFloat/parseInt skip the whitespace around them themselves)
+        const view = this.view;
+        let pos = this.pos;
+        for (let i = 0; i < count; i++) {
+            const text = String(values[i]);
+            const end = text.length - 1;
+            if (!hasListElements(text)) continue;
+
+            let start = 1;
+            while (start <= end) {
+                let comma = text.indexOf(',', start);
+                if (comma === -1 || comma > end) comma = end;
+                const element = text.slice(start, comma);
+                if (dataType === DATA_TYPE.FLOAT_LIST) {
+                    view.setFloat32(pos, parseFloat(element), true);
+                } else {
+                    view.setInt32(pos, parseInt(element) | 0, true);
+                }
+                pos += 4;
+                start = comma + 1;
+            }
         }
+        this.pos = pos;
     }
 }
@@ -0,0 +1,257 @@
+/**
+ * CDB Diff
+ * Compares two CDB files table by table, column by column and row by row
+ *
+ * Values are compared after decoding per DATA_TYPE, so the report shows
+ * what changed (e.g. a rider's stat going from 72 to 74) rather than which
+ * bytes moved. Metadata (table IDs, flags, column indexes, data types and
+ * ordering) is compared separately.
+ */
+
+import { readCDB, DATA_TYPE_NAMES } from './cdb_converter.js';
+
+const DEFAULT_MAX_ROW_DIFFS = 50;
+
+function compareField(changes, field, oldValue, newValue) {
+    if (oldValue !== newValue) {
+        changes.push({ field, old: oldValue, new: newValue });
+    }
+}
+
+function sameOrder(oldNames, newNames) {
+    const shared = new Set(newNames);
+    const oldShared = oldNames.filter(name => shared.has(name));
+    const oldSet = new Set(oldNames);
+    const newShared = newNames.filter(name => oldSet.has(name));
+    return oldShared.every((name, i) => name === newShared[i]);
+}
+
+function valuesEqual(a, b) {
+    return a === b || (Number.isNaN(a) && Number.isNaN(b));
+}
+
+function dataTypeName(type) {
+    return DATA_TYPE_NAMES[type] ?? `type ${type}`;
+}
+
+function bytesEqual(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+function describeUnknownChunks(chunks) {
+    return chunks.map(chunk => `0x${chunk.type.toString(16)} (${chunk.data.length} bytes)`).join(', ') || 'none';
+}
+
+/**
+ * Unknown chunks are kept as raw bytes, so they are compared byte for byte, in order and position
+ */
+function compareUnknownChunks(changes, oldChunks, newChunks) {
+    const same = oldChunks.length === newChunks.length && oldChunks.every((chunk, i) =>
+        chunk.type === newChunks[i].type && chunk.after === newChunks[i].after && bytesEqual(chunk.data, newChunks[i].data));
+    if (same) return;
+
+    const oldText = describeUnknownChunks(oldChunks);
+    const newText = describeUnknownChunks(newChunks);
+    changes.push({ field: 'unknownChunks', old: oldText, new: newText === oldText ? `${newText}, contents changed` : newText });
+}
+
+/**
+ * Pick how rows are paired: by an ID-style first column when its values are
+ * unique in both files (survives inserted/deleted rows), otherwise by position
+ */
+function chooseRowKey(oldTable, newTable) {
+    const oldKey = oldTable.columns[0];
+    const newKey = newTable.columns[0];
+    if (!oldKey || !newKey || oldKey.name !== newKey.name || !/^ID/.test(oldKey.name)) {
+        return null;
+    }
+
+    const isUnique = values => new Set(values).size === values.length;
+    return isUnique(oldKey.data) && isUnique(newKey.data) ? oldKey.name : null;
+}
+
+function pairRows(oldTable, newTable, keyColumn) {
+    if (!keyColumn) {
+        const shared = Math.min(oldTable.rowCount, newTable.rowCount);
+        return {
+            pairs: Array.from({ length: shared }, (_, i) => ({ key: i, oldRow: i, newRow: i })),
+            removed: Array.from({ length: oldTable.rowCount - shared }, (_, i) => shared + i),
+            added: Array.from({ length: newTable.rowCount - shared }, (_, i) => shared + i)
+        };
+    }
+
+    const oldKeys = oldTable.columns.find(col => col.name === keyColumn).data;
+    const newKeys = newTable.columns.find(col => col.name === keyColumn).data;
+    const newIndex = new Map(newKeys.map((key, i) => [key, i]));
+    const oldSet = new Set(oldKeys);
+
+    const pairs = [];
+    const removed = [];
+    oldKeys.forEach((key, oldRow) => {
+        if (newIndex.has(key)) {
+            pairs.push({ key, oldRow, newRow: newIndex.get(key) });
+        } else {
+            removed.push(key);
+        }
+    });
+
+    return { pairs, removed, added: newKeys.filter(key => !oldSet.has(key)) };
+}
+
+function diffColumn(oldColumn, newColumn, rowPairs, maxRowDiffs) {
+    const changes = [];
+    compareField(changes, 'columnIndex', oldColumn.columnIndex, newColumn.columnIndex);
+    if (oldColumn.type !== newColumn.type) {
+        changes.push({ field: 'dataType', old: dataTypeName(oldColumn.type), new: dataTypeName(newColumn.type) });
+    }
+    compareUnknownChunks(changes, oldColumn.unknownChunks, newColumn.unknownChunks);
+
+    const rowDiffs = [];
+    let rowDiffCount = 0;
+    rowPairs.forEach(({ key, oldRow, newRow }) => {
+        const oldValue = oldColumn.data[oldRow];
+        const newValue = newColumn.data[newRow];
+        if (!valuesEqual(oldValue, newValue)) {
+            rowDiffCount++;
+            if (rowDiffs.length < maxRowDiffs) {
+                rowDiffs.push({ key, old: oldValue, new: newValue });
+            }
+        }
+    });
+
+    if (changes.length === 0 && rowDiffCount === 0) return null;
+    return { name: oldColumn.name, dataType: dataTypeName(newColumn.type), changes, rowDiffs, rowDiffCount };
+}
+
+function diffTable(oldTable, newTable, maxRowDiffs) {
+    const changes = [];
+    compareField(changes, 'tableId', oldTable.tableId, newTable.tableId);
+    compareField(changes, 'tableFlags', oldTable.tableFlags, newTable.tableFlags);
+    compareField(changes, 'rowCount', oldTable.rowCount, newTable.rowCount);
+    compareUnknownChunks(changes, oldTable.unknownChunks, newTable.unknownChunks);
+
+    const oldNames = oldTable.columns.map(col => col.name);
+    const newNames = newTable.columns.map(col => col.name);
+    const newColumns = new Map(newTable.columns.map(col => [col.name, col]));
+
+    const keyColumn = chooseRowKey(oldTable, newTable);
+    const { pairs, removed, added } = pairRows(oldTable, newTable, keyColumn);
+
+    const columns = oldTable.columns
+        .filter(col => newColumns.has(col.name))
+        .map(col => diffColumn(col, newColumns.get(col.name), pairs, maxRowDiffs))
+        .filter(diff => diff !== null);
+
+    const diff = {
+        name: oldTable.name,
+        changes,
+        columnsAdded: newNames.filter(name => !oldNames.includes(name)),
+        columnsRemoved: oldNames.filter(name => !newColumns.has(name)),
+        columnOrderChanged: !sameOrder(oldNames, newNames),
+        rowKey: keyColumn,
+        rowsAdded: added,
+        rowsRemoved: removed,
+        columns
+    };
+
+    const identical = changes.length === 0 && columns.length === 0 && !diff.columnOrderChanged &&
+        diff.columnsAdded.length === 0 && diff.columnsRemoved.length === 0 &&
+        added.length === 0 && removed.length === 0;
+    return identical ? null : diff;
+}
+
+/**
+ * Compare two CDB files (compressed or not)
+ *
+ * options.maxRowDiffs - row differences listed per column (default 50); all are counted
+ */
+export function diffCDB(oldData, newData, options = {}) {
+    const maxRowDiffs = options.maxRowDiffs ?? DEFAULT_MAX_ROW_DIFFS;
+    const oldDb = readCDB(oldData);
+    const newDb = readCDB(newData);
+
+    const metadata = [];
+    compareField(metadata, 'databaseFlags', oldDb.databaseFlags, newDb.databaseFlags);
+    compareField(metadata, 'compressed', oldDb.compression.compressed, newDb.compression.compressed);
+    compareField(metadata, 'compressionLevel', oldDb.compression.level, newDb.compression.level);
+    compareUnknownChunks(metadata, oldDb.unknownChunks, newDb.unknownChunks);
+
+    const oldNames = oldDb.tables.map(table => table.name);
+    const newNames = newDb.tables.map(table => table.name);
+    const newTables = new Map(newDb.tables.map(table => [table.name, table]));
+
+    const tables = oldDb.tables
+        .filter(table => newTables.has(table.name))
+        .map(table => diffTable(table, newTables.get(table.name), maxRowDiffs))
+        .filter(diff => diff !== null);
+
+    const report = {
+        metadata,
+        tablesAdded: newNames.filter(name => !oldNames.includes(name)),
+        tablesRemoved: oldNames.filter(name => !newTables.has(name)),
+        tableOrderChanged: !sameOrder(oldNames, newNames),
+        tables
+    };
+
+    report.identical = metadata.length === 0 && tables.length === 0 && !report.tableOrderChanged &&
+        report.tablesAdded.length === 0 && report.tablesRemoved.length === 0;
+    return report;
+}
+
+function formatValue(value) {
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+function formatChanges(changes) {
+    return changes.map(change => `${change.field} ${formatValue(change.old)} → ${formatValue(change.new)}`).join(', ');
+}
+
+function formatKeys(keys) {
+    const shown = keys.slice(0, 20).map(formatValue).join(', ');
+    return keys.length > 20 ? `${shown}, … (${keys.length} total)` : shown;
+}
+
+/**
+ * Format a diff report as human-readable lines
+ */
+export function formatDiffReport(report) {
+    if (report.identical) {
+        return 'No differences';
+    }
+
+    const lines = [];
+
+    if (report.metadata.length > 0) lines.push(`Database: ${formatChanges(report.metadata)}`);
+    if (report.tablesAdded.length > 0) lines.push(`Tables added: ${report.tablesAdded.join(', ')}`);
+    if (report.tablesRemoved.length > 0) lines.push(`Tables removed: ${report.tablesRemoved.join(', ')}`);
+    if (report.tableOrderChanged) lines.push('Table order changed');
+
+    report.tables.forEach(table => {
+        if (lines.length > 0) lines.push('');
+        lines.push(`Table ${table.name}${table.changes.length > 0 ? `: ${formatChanges(table.changes)}` : ''}`);
+
+        if (table.columnsAdded.length > 0) lines.push(`  Columns added: ${table.columnsAdded.join(', ')}`);
+        if (table.columnsRemoved.length > 0) lines.push(`  Columns removed: ${table.columnsRemoved.join(', ')}`);
+        if (table.columnOrderChanged) lines.push('  Column order changed');
+
+        const rowLabel = table.rowKey ?? 'row';
+        if (table.rowsAdded.length > 0) lines.push(`  Rows added (${rowLabel}): ${formatKeys(table.rowsAdded)}`);
+        if (table.rowsRemoved.length > 0) lines.push(`  Rows removed (${rowLabel}): ${formatKeys(table.rowsRemoved)}`);
+
+        table.columns.forEach(column => {
+            const summary = [];
+            if (column.changes.length > 0) summary.push(formatChanges(column.changes));
+            if (column.rowDiffCount > 0) summary.push(`${column.rowDiffCount} row(s) differ`);
+            lines.push(`  ${column.name} [${column.dataType}]: ${summary.join(', ')}`);
+
+            column.rowDiffs.forEach(diff => {
+                lines.push(`    ${rowLabel} ${formatValue(diff.key)}: ${formatValue(diff.old)} → ${formatValue(diff.new)}`);
+            });
+            if (column.rowDiffCount > column.rowDiffs.length) {
+                lines.push(`    … ${column.rowDiffCount - column.rowDiffs.length} more`);
+            }
+        });
+    });
+
+    return lines.join('\n');
+}
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * Synthetic CDB Fixtures
+ * Builds small CDB files byte by byte from the layout in CDB_FORMAT.md
+ *
+ * The builder below deliberately shares no code with CDBWriter, so a round trip
+ * through the converter is checked against an independent encoding.
+ *
+ * Usage (writes every fixture as a .cdb file):
+ *   node cdb_fixtures.js [output directory, default tmp/fixtures]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pako from 'pako';
+import { MAGIC, CHUNK_TYPE, DATA_TYPE } from './cdb_converter.js';
+
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+function u32(...values) {
+    const bytes = new Uint8Array(values.length * 4);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, i) => view.setUint32(i * 4, value >>> 0, true));
+    return bytes;
+}
+
+function padding(length) {
+    return new Uint8Array((4 - (length & 3)) & 3);
+}
+
+/**
+ * Encode one chunk: header, optional description, separator, body, padding, end marker
+ */
+function chunk(type, description, body = new Uint8Array(0)) {
+    const header = [u32(MAGIC.CHUNK_BEGIN, 0, type, 0, description === null ? 0 : 1)];
+    if (description !== null) {
+        const descBytes = new TextEncoder().encode(description);
+        header.push(u32(descBytes.length + 1), descBytes, new Uint8Array(1));
+    }
+
+    const headerBytes = concat(header);
+    const result = concat([headerBytes, padding(headerBytes.length), u32(MAGIC.CHUNK_SEPARATOR), body, padding(body.length), u32(MAGIC.CHUNK_END)]);
+    new DataView(result.buffer).setUint32(4, result.length, true);
+    return result;
+}
+
+function valueChunk(type, value, description = null) {
+    return chunk(type, description, u32(value));
+}
+
+function array(items) {
+    return concat([u32(MAGIC.ARRAY_BEGIN, items.length), ...items, u32(MAGIC.ARRAY_END)]);
+}
+
+function blobChunk(data) {
+    return chunk(CHUNK_TYPE.COLUMN_BLOB_DATA, null, concat([u32(data.length), data]));
+}
+
+/**
+ * Encode a column's COLUMN_VALUES chunk and, for strings and lists, its COLUMN_BLOB_DATA chunk
+ */
+function encodeColumnData(type, values) {
+    const view = (bytes) => new DataView(bytes.buffer);
+
+    switch (type) {
+        case DATA_TYPE.INTEGER:
+            return [chunk(CHUNK_TYPE.COLUMN_VALUES, null, u32(...values))];
+
+        case DATA_TYPE.FLOAT: {
+            const bytes = new Uint8Array(values.length * 4);
+            values.forEach((value, i) => view(bytes).setFloat32(i * 4, value, true));
+            return [chunk(CHUNK_TYPE.COLUMN_VALUES, null, bytes)];
+        }
+
+        case DATA_TYPE.BOOLEAN: {
+            const bytes = new Uint8Array(Math.ceil(values.length / 8));
+            values.forEach((value, i) => {
+                if (value) bytes[i >> 3] |= 1 << (i & 7);
+            });
+            return [chunk(CHUNK_TYPE.COLUMN_VALUES, null, bytes)];
+        }
+
+        case DATA_TYPE.INTEGER_BYTE:
+            return [chunk(CHUNK_TYPE.COLUMN_VALUES, null, new Uint8Array(new Int8Array(values).buffer))];
+
+        case DATA_TYPE.INTEGER_SHORT: {
+            const bytes = new Uint8Array(values.length * 2);
+            values.forEach((value, i) => view(bytes).setUint16(i * 2, value, true));
+            return [chunk(CHUNK_TYPE.COLUMN_VALUES, null, bytes)];
+        }
+
+        case DATA_TYPE.STRING: {
+            const encoded = values.map(value => new TextEncoder().encode(value));
+            const chunks = [chunk(CHUNK_TYPE.COLUMN_VALUES, null, u32(...encoded.map(bytes => bytes.length + 1)))];
+            if (encoded.length > 0) {
+                chunks.push(blobChunk(concat(encoded.flatMap(bytes => [bytes, new Uint8Array(1)]))));
+            }
+            return chunks;
+        }
+
+        case DATA_TYPE.INTEGER_LIST:
+        case DATA_TYPE.FLOAT_LIST: {
+            const elements = values.flat();
+            const chunks = [chunk(CHUNK_TYPE.COLUMN_VALUES, null, u32(...values.map(list => list.length)))];
+            if (elements.length > 0) {
+                const bytes = new Uint8Array(elements.length * 4);
+                elements.forEach((element, i) => {
+                    if (type === DATA_TYPE.FLOAT_LIST) {
+                        view(bytes).setFloat32(i * 4, element, true);
+                    } else {
+                        view(bytes).setInt32(i * 4, element, true);
+                    }
+                });
+                chunks.push(blobChunk(bytes));
+            }
+            return chunks;
+        }
+
+        default:
+            throw new Error(`Fixture uses unknown data type ${type}`);
+    }
+}
+
+function encodeColumn(column) {
+    return chunk(CHUNK_TYPE.COLUMN, column.name, concat([
+        valueChunk(CHUNK_TYPE.COLUMN_INDEX, column.index),
+        valueChunk(CHUNK_TYPE.COLUMN_DATA_TYPE, column.type, column.name),
+        ...encodeColumnData(column.type, column.values)
+    ]));
+}
+
+function encodeTable(table) {
+    const rowCount = table.columns[0]?.values.length ?? 0;
+    const beforeColumns = [
+        valueChunk(CHUNK_TYPE.TABLE_ID, table.id),
+        valueChunk(CHUNK_TYPE.ROW_COUNT, rowCount),
+        valueChunk(CHUNK_TYPE.TABLE_FLAGS, table.flags),
+        ...(table.extraChunks ?? [])
+    ];
+
+    return chunk(CHUNK_TYPE.TABLE, table.name, concat([
+        ...beforeColumns,
+        chunk(CHUNK_TYPE.COLUMN_DEFINITIONS, null, array(table.columns.map(encodeColumn)))
+    ]));
+}
+
+/**
+ * Build a CDB file from a fixture definition
+ * Returns an ArrayBuffer, zlib-wrapped when fixture.compressionLevel is set
+ */
+export function buildCDB(fixture) {
+    const data = chunk(CHUNK_TYPE.WRAPPER, 'cyanide database', concat([
+        valueChunk(CHUNK_TYPE.DATABASE_FLAGS, fixture.databaseFlags ?? 274),
+        ...(fixture.extraChunks ?? []),
+        chunk(CHUNK_TYPE.DATABASE_TABLES, null, array(fixture.tables.map(encodeTable)))
+    ]));
+
+    if (fixture.compressionLevel === undefined) {
+        return data.buffer;
+    }
+
+    const compressed = pako.deflate(data, { level: fixture.compressionLevel });
+    return concat([u32(0xFFFFFFFF, data.length, compressed.length), compressed]).buffer;
+}
+
+// Values below are what cdbToSQLite should produce; list columns give their
+// elements as arrays and the expected SQLite text separately
+
+const ALL_TYPES_TABLE = {
+    name: 'TST_all_types',
+    id: 3,
+    flags: 65,
+    columns: [
+        { name: 'IDtest', index: 0, type: DATA_TYPE.INTEGER, values: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+        // Indexes out of order and with gaps: file order must be kept
+        { name: 'value_int', index: 4, type: DATA_TYPE.INTEGER, values: [0, -1, 2147483647, -2147483648, 42, -42, 1000000, 7, 65536, -65536, 3] },
+        {
+            name: 'value_float', index: 2, type: DATA_TYPE.FLOAT,
+            values: [0, 1.5, -2.25, Math.fround(0.1), Math.fround(3.14159), Math.fround(1e-7), Math.fround(3.4e38), -1, 100, 0.5, Math.fround(72.3)]
+        },
+        {
+            name: 'value_string', index: 1, type: DATA_TYPE.STRING,
+            values: ['', 'Tour de France', 'Škoda', 'Møller', '日本語', '🚴 rider', 'tab\there', "O'Brien \"quoted\"", 'x', '', 'line\nbreak']
+        },
+        { name: 'value_bool', index: 6, type: DATA_TYPE.BOOLEAN, values: [1, 0, 1, 1, 0, 0, 0, 1, 1, 0, 1] },
+        { name: 'value_byte', index: 7, type: DATA_TYPE.INTEGER_BYTE, values: [-128, -1, 0, 1, 127, -50, 50, -2, 2, 100, -100] },
+        { name: 'value_short', index: 8, type: DATA_TYPE.INTEGER_SHORT, values: [0, 1, 255, 256, 65535, 32767, 32768, 1000, 2, 60000, 12345] },
+        {
+            name: 'value_float_list', index: 9, type: DATA_TYPE.FLOAT_LIST,
+            values: [[], [1], [1.5], [1, 2], [0.25, -0.5, 3], [], [100], [-1.75, 0], [0.125], [2, 4, 8, 16], []],
+            expected: ['()', '(1)', '(1.5)', '(1.0,2.0)', '(0.25,-0.5,3.0)', '()', '(100)', '(-1.75,0.0)', '(0.125)', '(2.0,4.0,8.0,16.0)', '()']
+        },
+        {
+            name: 'value_int_list', index: 10, type: DATA_TYPE.INTEGER_LIST,
+            values: [[], [7], [1, 2, 3], [-5, 2147483647], [], [-2147483648], [0, 0], [], [42], [1, -1, 1, -1], [9]],
+            expected: ['()', '(7)', '(1,2,3)', '(-5,2147483647)', '()', '(-2147483648)', '(0,0)', '()', '(42)', '(1,-1,1,-1)', '(9)']
+        },
+        // All lists empty, so no COLUMN_BLOB_DATA chunk at all
+        {
+            name: 'empty_lists', index: 11, type: DATA_TYPE.INTEGER_LIST,
+            values: Array(11).fill([]), expected: Array(11).fill('()')
+        }
+    ]
+};
+
+const EMPTY_TABLE = {
+    name: 'TST_empty',
+    id: 4,
+    flags: 50,
+    columns: [
+        { name: 'IDempty', index: 0, type: DATA_TYPE.INTEGER, values: [] },
+        { name: 'empty_float', index: 1, type: DATA_TYPE.FLOAT, values: [] },
+        { name: 'empty_string', index: 2, type: DATA_TYPE.STRING, values: [] },
+        { name: 'empty_bool', index: 3, type: DATA_TYPE.BOOLEAN, values: [] },
+        { name: 'empty_byte', index: 4, type: DATA_TYPE.INTEGER_BYTE, values: [] },
+        { name: 'empty_short', index: 5, type: DATA_TYPE.INTEGER_SHORT, values: [] },
+        { name: 'empty_float_list', index: 6, type: DATA_TYPE.FLOAT_LIST, values: [], expected: [] },
+        { name: 'empty_int_list', index: 7, type: DATA_TYPE.INTEGER_LIST, values: [], expected: [] }
+    ]
+};
+
+// Row counts around byte boundaries for the packed types
+const bits = (count, pattern) => Array.from({ length: count }, (_, i) => (pattern >> (i % 16)) & 1);
+const PACKING_TABLES = [1, 7, 8, 9, 16, 17].map((rowCount, i) => ({
+    name: `TST_packing_${rowCount}`,
+    id: 10 + i,
+    flags: 241,
+    columns: [
+        { name: 'value_bool', index: 0, type: DATA_TYPE.BOOLEAN, values: bits(rowCount, 0b1011000111010011) },
+        { name: 'value_byte', index: 1, type: DATA_TYPE.INTEGER_BYTE, values: Array.from({ length: rowCount }, (_, row) => row * 15 - 128) },
+        { name: 'value_short', index: 2, type: DATA_TYPE.INTEGER_SHORT, values: Array.from({ length: rowCount }, (_, row) => row * 4000 + 3) },
+        { name: 'value_string', index: 3, type: DATA_TYPE.STRING, values: Array.from({ length: rowCount }, (_, row) => 'é'.repeat(row)) }
+    ]
+}));
+
+export const FIXTURES = [
+    {
+        name: 'all_types',
+        description: 'Every DATA_TYPE in one table, uncompressed',
+        tables: [ALL_TYPES_TABLE]
+    },
+    {
+        name: 'empty_tables',
+        description: 'Zero-row table with an empty column of every DATA_TYPE',
+        tables: [EMPTY_TABLE]
+    },
+    {
+        name: 'packing',
+        description: 'BOOLEAN, INTEGER_BYTE and INTEGER_SHORT columns at 1-17 rows',
+        tables: PACKING_TABLES
+    },
+    {
+        name: 'multi_table_default',
+        description: 'Several tables, zlib at the default level',
+        compressionLevel: 6,
+        tables: [ALL_TYPES_TABLE, EMPTY_TABLE, ...PACKING_TABLES]
+    },
+    {
+        name: 'multi_table_level9',
+        description: 'Several tables, zlib level 9 and non-default DATABASE_FLAGS',
+        compressionLevel: 9,
+        databaseFlags: 275,
+        tables: [ALL_TYPES_TABLE, EMPTY_TABLE]
+    },
+    {
+        name: 'multi_table_level1',
+        description: 'Several tables, zlib level 1',
+        compressionLevel: 1,
+        tables: [EMPTY_TABLE, ...PACKING_TABLES]
+    },
+    {
+        name: 'unknown_chunks',
+        description: 'Unknown chunk types in the wrapper and in a table',
+        extraChunks: [valueChunk(0x03, 12345)],
+        tables: [{ ...EMPTY_TABLE, extraChunks: [chunk(0x17, 'future', u32(1, 2, 3))] }]
+    }
+];
+
+function main(outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    FIXTURES.forEach(fixture => {
+        const outputPath = path.join(outDir, `${fixture.name}.cdb`);
+        fs.writeFileSync(outputPath, Buffer.from(buildCDB(fixture)));
+        console.log(`✓ ${outputPath} - ${fixture.description}`);
+    });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv[2] ?? path.join(path.dirname(fileURLToPath(import.meta.url)), 'tmp', 'fixtures'));
+}
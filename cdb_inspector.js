@@ -0,0 +1,182 @@
+/**
+ * CDB Structure Inspector
+ * Shows the raw chunk hierarchy of the loaded CDB file, as described in CDB_FORMAT.md
+ */
+
+import { chunkTypeName, dataTypeName } from './cdb_validator.js';
+import { CHUNK_TYPE, hex, hexDigits } from './cdb_converter.js';
+import { escapeHtml } from './sql_console.js';
+
+const HEX_PREVIEW_BYTES = 128;
+
+// Chunks with raw payloads worth showing as hex
+const HEX_PREVIEW_CHUNKS = new Set([CHUNK_TYPE.COLUMN_VALUES, CHUNK_TYPE.COLUMN_BLOB_DATA]);
+
+/**
+ * Render a hex dump (offset, bytes, ASCII) of the start of a chunk's data section
+ */
+function renderHexPreview(bytes, dataOffset, dataLength) {
+    const shown = Math.min(dataLength, HEX_PREVIEW_BYTES);
+    const lines = [];
+
+    for (let lineStart = 0; lineStart < shown; lineStart += 16) {
+        const lineBytes = bytes.subarray(dataOffset + lineStart, dataOffset + Math.min(lineStart + 16, shown));
+        const hexPart = Array.from(lineBytes, b => hexDigits(b, 2)).join(' ').padEnd(47);
+        const asciiPart = Array.from(lineBytes, b => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('');
+        lines.push(`${hexDigits(dataOffset + lineStart)}  ${hexPart}  |${asciiPart}|`);
+    }
+
+    if (dataLength > shown) {
+        lines.push(`… ${dataLength - shown} more bytes`);
+    }
+
+    return `<pre style="margin: 4px 0 4px 20px; padding: 6px; background: #f5f5f5; font-size: 12px; overflow-x: auto;">${escapeHtml(lines.join('\n'))}</pre>`;
+}
+
+function findChildValue(node, type) {
+    return node.children.find(child => child.type === type)?.value;
+}
+
+/**
+ * One-line summary of what a chunk holds
+ */
+function describeNode(node) {
+    switch (node.type) {
+        case CHUNK_TYPE.TABLE:
+            return `table ID ${findChildValue(node, CHUNK_TYPE.TABLE_ID) ?? '?'}, ${findChildValue(node, CHUNK_TYPE.ROW_COUNT) ?? '?'} rows`;
+        case CHUNK_TYPE.COLUMN: {
+            const dataType = findChildValue(node, CHUNK_TYPE.COLUMN_DATA_TYPE);
+            return `index ${findChildValue(node, CHUNK_TYPE.COLUMN_INDEX) ?? '?'}, ${dataType !== undefined ? dataTypeName(dataType) : '?'}`;
+        }
+        case CHUNK_TYPE.COLUMN_DATA_TYPE:
+            return `= ${node.value} (${dataTypeName(node.value)})`;
+        case CHUNK_TYPE.DATABASE_TABLES:
+        case CHUNK_TYPE.COLUMN_DEFINITIONS:
+            return `array of ${node.arrayCount ?? '?'}`;
+        case CHUNK_TYPE.COLUMN_VALUES:
+        case CHUNK_TYPE.COLUMN_BLOB_DATA:
+            return `${node.dataLength} data bytes`;
+        default:
+            return node.value !== undefined ? `= ${node.value}` : '';
+    }
+}
+
+function renderNodeLabel(node, problemCount) {
+    const name = node.description ? ` <strong>${escapeHtml(node.description)}</strong>` : '';
+    const problems = problemCount > 0
+        ? ` <span style="background: #f8d7da; color: #721c24; padding: 1px 4px; border-radius: 2px; font-size: 11px;">${problemCount} problem(s)</span>`
+        : '';
+
+    return `<span style="font-family: monospace; color: #007bff;">0x${node.type.toString(16).padStart(2, '0')} ${escapeHtml(node.typeName ?? chunkTypeName(node.type))}</span>${name}
+        <span style="color: #666;">${escapeHtml(describeNode(node))}</span>
+        <span style="color: #999; font-size: 12px;">@ ${hex(node.offset)}, ${node.size} bytes</span>${problems}`;
+}
+
+/**
+ * Render a chunk node; children are rendered when the node is first expanded
+ */
+function renderNode(node, inspectorState) {
+    const nodeId = inspectorState.nodes.push(node) - 1;
+    const problemCount = countProblems(node, inspectorState.problems);
+    const hasChildren = node.children.length > 0;
+    const hasHex = HEX_PREVIEW_CHUNKS.has(node.type) || node.unknown;
+
+    if (!hasChildren && !hasHex) {
+        return `<div style="margin: 2px 0 2px 18px;">${renderNodeLabel(node, problemCount)}</div>`;
+    }
+
+    return `<details data-node-id="${nodeId}" style="margin: 2px 0 2px 4px;">
+        <summary style="cursor: pointer;">${renderNodeLabel(node, problemCount)}</summary>
+        <div class="inspector-children" style="margin-left: 16px; border-left: 1px solid #eee; padding-left: 6px;"></div>
+    </details>`;
+}
+
+function renderChildren(node, inspectorState) {
+    const parts = [];
+
+    if (HEX_PREVIEW_CHUNKS.has(node.type) || node.unknown) {
+        parts.push(renderHexPreview(inspectorState.bytes, node.dataOffset, node.dataLength));
+    }
+
+    const nodeProblems = inspectorState.problems.filter(problem => problem.path === node.path);
+    nodeProblems.forEach(problem => {
+        parts.push(`<div style="color: #721c24; font-size: 13px; margin: 2px 0;">${escapeHtml(problem.severity)} at ${hex(problem.offset)}: ${escapeHtml(problem.message)}</div>`);
+    });
+
+    const filter = inspectorState.filter.toLowerCase();
+    node.children
+        .filter(child => !filter || child.type !== CHUNK_TYPE.TABLE || (child.description ?? '').toLowerCase().includes(filter))
+        .forEach(child => parts.push(renderNode(child, inspectorState)));
+
+    return parts.join('');
+}
+
+function countProblems(node, problems) {
+    return problems.filter(problem => problem.path === node.path || problem.path.startsWith(node.path + ' › ')).length;
+}
+
+function renderProblemSummary(result) {
+    if (result.problems.length === 0) {
+        return '<div style="background: #d4edda; color: #155724; padding: 10px; border-radius: 4px; margin-bottom: 10px;">No structural problems found</div>';
+    }
+
+    const items = result.problems.map(problem =>
+        `<li><strong>${escapeHtml(problem.severity)}</strong> ${hex(problem.offset)} ${escapeHtml(problem.path)}: ${escapeHtml(problem.message)}</li>`
+    ).join('');
+
+    return `<div style="background: ${result.valid ? '#fff3cd' : '#f8d7da'}; color: ${result.valid ? '#856404' : '#721c24'}; padding: 10px; border-radius: 4px; margin-bottom: 10px; max-height: 200px; overflow-y: auto;">
+        <strong>${result.problems.length} problem(s) found</strong>
+        <ul style="margin: 5px 0 0 20px; font-size: 13px;">${items}</ul>
+    </div>`;
+}
+
+function renderTree(container, inspectorState) {
+    inspectorState.nodes = [];
+    container.innerHTML = inspectorState.tree
+        ? renderNode(inspectorState.tree, inspectorState)
+        : '<div style="color: #666;">No chunks could be read</div>';
+}
+
+/**
+ * Render the inspector for a validateCDB result of the loaded CDB file
+ */
+export function renderInspector(inspectorState) {
+    const formSection = document.getElementById('form-section');
+
+    const result = inspectorState.result;
+    inspectorState.tree = result.tree;
+    inspectorState.problems = result.problems;
+    inspectorState.bytes = result.data ? new Uint8Array(result.data) : new Uint8Array(0);
+
+    formSection.innerHTML = `
+        <div style="margin-bottom: 10px; color: #666; font-size: 13px;">
+            Decompressed size: ${inspectorState.bytes.length} bytes. Offsets refer to the decompressed data.
+            See <a href="https://github.com/agfor/pcmdbedit/blob/main/CDB_FORMAT.md" target="_blank">CDB_FORMAT.md</a> for the chunk types.
+        </div>
+        ${renderProblemSummary(result)}
+        <div style="margin-bottom: 10px;">
+            <label for="inspectorFilter">Filter Tables:</label>
+            <input type="text" id="inspectorFilter" value="${escapeHtml(inspectorState.filter)}" placeholder="Table name">
+        </div>
+        <div id="inspectorTree" style="font-size: 14px;"></div>
+    `;
+    formSection.classList.add('active');
+
+    const treeContainer = document.getElementById('inspectorTree');
+    renderTree(treeContainer, inspectorState);
+
+    // Render children lazily: a career save has tens of thousands of chunks
+    treeContainer.addEventListener('toggle', (e) => {
+        const details = e.target;
+        const childContainer = details.querySelector(':scope > .inspector-children');
+        if (!details.open || childContainer.dataset.rendered) return;
+
+        childContainer.innerHTML = renderChildren(inspectorState.nodes[details.dataset.nodeId], inspectorState);
+        childContainer.dataset.rendered = 'true';
+    }, true);
+
+    document.getElementById('inspectorFilter').addEventListener('input', (e) => {
+        inspectorState.filter = e.target.value;
+        renderTree(treeContainer, inspectorState);
+    });
+}
@@ -0,0 +1,147 @@
+/**
+ * Lazy CDB Database
+ * Opens a CDB file by indexing its table directory only, and decodes a table
+ * into SQLite the first time a statement mentions it
+ *
+ * Has the parts of the sql.js Database interface the editor uses (exec, run,
+ * prepare, getRowsModified, export, close), so it can stand in for one.
+ */
+
+import { readCDB, readCDBTable, createCDBSchema, insertTableRows } from './cdb_converter.js';
+
+// Statements that only need the column definitions, which the empty tables already have
+const SCHEMA_ONLY_STATEMENT = /^\s*PRAGMA\s+table_info\b/i;
+
+// String literals (skipped) and identifiers: "quoted", `backticked`, [bracketed] or bare
+const SQL_TOKEN = /'(?:[^']|'')*'|"((?:[^"]|"")*)"|`((?:[^`]|``)*)`|\[([^\]]*)\]|([A-Za-z_][A-Za-z0-9_$]*)/g;
+
+// Every identifier in an SQL statement, unquoted
+function identifiers(sql) {
+    return [...sql.matchAll(SQL_TOKEN)]
+        .map(match => match[1]?.replace(/""/g, '"') ?? match[2]?.replace(/``/g, '`') ?? match[3] ?? match[4])
+        .filter(name => name !== undefined);
+}
+
+export class LazyCDBDatabase {
+    /**
+     * options.onWarning(message) - called for recoverable problems (default: console.warn)
+     * options.onTableLoaded(tableName, pendingCount) - called after a table is decoded
+     */
+    constructor(cdbData, SQL, options = {}) {
+        const parsed = readCDB(cdbData, { indexOnly: true });
+        this.data = parsed.data;
+        this.db = createCDBSchema(SQL, parsed, options.onWarning ?? (message => console.warn(message)));
+        this.onTableLoaded = options.onTableLoaded ?? (() => {});
+
+        // Keyed by lower-case name: SQLite identifiers are case-insensitive
+        this.pending = new Map(parsed.tables.map(table => [table.name.toLowerCase(), table]));
+    }
+
+    get pendingTableCount() {
+        return this.pending.size;
+    }
+
+    get pendingTableNames() {
+        return [...this.pending.values()].map(table => table.name);
+    }
+
+    /**
+     * Row count of a table that has not been decoded yet, null once it has
+     */
+    pendingRowCount(tableName) {
+        return this.pending.get(tableName.toLowerCase())?.rowCount ?? null;
+    }
+
+    loadTable(tableName) {
+        const key = tableName.toLowerCase();
+        const table = this.pending.get(key);
+        if (!table) return false;
+
+        insertTableRows(this.db, readCDBTable(this.data, table));
+        this.pending.delete(key);
+        if (this.pending.size === 0) this.data = null;
+
+        this.onTableLoaded(table.name, this.pending.size);
+        return true;
+    }
+
+    /**
+     * Decode every pending table an SQL statement mentions, and every table the views
+     * and triggers it reaches mention in turn
+     * Any identifier matching a table name counts, so a column with a table's name loads it too
+     */
+    loadTablesFor(sql) {
+        if (this.pending.size === 0 || SCHEMA_ONLY_STATEMENT.test(sql)) return;
+
+        const dependents = this.readDependentSQL();
+        const seen = new Set();
+        const queue = [sql];
+        while (queue.length > 0) {
+            for (const name of identifiers(queue.pop())) {
+                const key = name.toLowerCase();
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                this.loadTable(name);
+                queue.push(...(dependents.get(key) ?? []));
+            }
+        }
+    }
+
+    /**
+     * SQL of the views and triggers, keyed by the lower-case name that reaches them:
+     * a view's own name, or the table (or view) a trigger fires on
+     */
+    readDependentSQL() {
+        const result = this.db.exec(`SELECT tbl_name, sql FROM sqlite_master WHERE type IN ('view', 'trigger')`);
+        const dependents = new Map();
+        (result.length > 0 ? result[0].values : []).forEach(([tableName, sql]) => {
+            const key = tableName.toLowerCase();
+            dependents.set(key, [...(dependents.get(key) ?? []), sql]);
+        });
+        return dependents;
+    }
+
+    loadAll() {
+        [...this.pending.values()].forEach(table => this.loadTable(table.name));
+    }
+
+    exec(sql, params) {
+        this.loadTablesFor(sql);
+        return this.db.exec(sql, params);
+    }
+
+    run(sql, params) {
+        this.loadTablesFor(sql);
+        this.db.run(sql, params);
+        return this;
+    }
+
+    prepare(sql, params) {
+        this.loadTablesFor(sql);
+        return this.db.prepare(sql, params);
+    }
+
+    getRowsModified() {
+        return this.db.getRowsModified();
+    }
+
+    export() {
+        this.loadAll();
+        return this.db.export();
+    }
+
+    /**
+     * SQLite bytes with pending tables left empty, for sqliteToCDB with
+     * options.unloadedTables = pendingTableNames and options.source = the CDB data
+     */
+    exportLoaded() {
+        return this.db.export();
+    }
+
+    close() {
+        this.db.close();
+        this.data = null;
+        this.pending.clear();
+    }
+}
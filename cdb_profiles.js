@@ -0,0 +1,135 @@
+/**
+ * PCM Game-Version Profiles
+ * What differs in the CDB format between Pro Cycling Manager releases, and
+ * how to tell the releases apart from a save
+ *
+ * sqliteToCDB uses a profile for the values an SQLite file does not carry:
+ * DATABASE_FLAGS without CDB_METADATA, TABLE_FLAGS of tables missing from it,
+ * and the flags of tables added in SQLite. Version-specific behaviour belongs
+ * in the profile as well, not in checks on profile.id elsewhere.
+ *
+ * To support another release, add an entry to PROFILES (or call addProfile)
+ * with the values of one of its saves; `pcmdb info` prints them:
+ *
+ *     {
+ *         id: 'pcm2024',
+ *         name: 'Pro Cycling Manager 2024',
+ *         databaseFlags: ...,            // "Database flags"
+ *         tables: ['DYN_cyclist', ...],  // tables every save of the release has
+ *         tableFlags: { 3: 65, ... },    // "ID" → "Flags" of every table
+ *         defaultTableFlags: 241         // most common value in tableFlags
+ *     }
+ */
+
+export const PROFILES = [
+    {
+        id: 'pcm2025',
+        name: 'Pro Cycling Manager 2025',
+        databaseFlags: 274,
+        // Tables the bundled tasks and test_cdb_conversion.js rely on
+        tables: ['DYN_cyclist', 'DYN_team', 'DYN_procyclist_contract_offer', 'GAM_career_data'],
+        // TABLE_FLAGS values by table ID (extracted from a save file, meaning unknown)
+        tableFlags: {
+            3: 65, 4: 50, 8: 129, 9: 241, 10: 209, 11: 241, 12: 241, 14: 129, 16: 65, 17: 97,
+            18: 49, 19: 49, 22: 225, 23: 161, 24: 65, 25: 188, 26: 113, 27: 33, 28: 51, 29: 33,
+            30: 129, 31: 177, 35: 129, 36: 241, 39: 49, 40: 241, 41: 81, 44: 241, 45: 113, 50: 33,
+            51: 76, 52: 97, 53: 81, 54: 33, 55: 81, 59: 241, 65: 227, 80: 33, 81: 19, 83: 19,
+            84: 19, 85: 35, 86: 33, 87: 241, 92: 113, 93: 35, 94: 82, 98: 49, 99: 35, 100: 65,
+            101: 83, 107: 163, 108: 241, 109: 75, 110: 49, 111: 81, 113: 49, 117: 35, 118: 129, 119: 33,
+            122: 241, 124: 65, 125: 60, 126: 19, 127: 19, 128: 65, 129: 81, 131: 241, 132: 44, 134: 241,
+            135: 51, 136: 99, 137: 227, 142: 195, 143: 145, 144: 113, 145: 33, 146: 35, 147: 49, 149: 19,
+            152: 241, 153: 49, 155: 33, 159: 33, 164: 243, 166: 241, 168: 161, 170: 146, 172: 241, 173: 33,
+            175: 241, 177: 130, 179: 113, 180: 145, 181: 97, 185: 82, 186: 193, 192: 65, 193: 242, 200: 50,
+            202: 98, 203: 33, 204: 65, 205: 49, 206: 92, 207: 145, 208: 65, 209: 33, 210: 49, 211: 34,
+            213: 17, 215: 177, 217: 81, 218: 156, 220: 241, 221: 145, 223: 65, 224: 97, 225: 65, 228: 241,
+            229: 161, 230: 49, 231: 33, 236: 33, 240: 241, 241: 65, 242: 19, 244: 178, 245: 241, 246: 33,
+            249: 115, 250: 193, 251: 83, 252: 193, 253: 49, 254: 92, 255: 83, 256: 19, 257: 81, 258: 97,
+            259: 33, 263: 65, 264: 129, 265: 33, 266: 129, 268: 33, 270: 19, 273: 65, 274: 129
+        },
+        defaultTableFlags: 241
+    }
+];
+
+// Used when a save matches no profile
+export const DEFAULT_PROFILE_ID = 'pcm2025';
+
+// Score a profile needs to be detected (see detectProfile): matching DATABASE_FLAGS alone is 1,
+// so the tables must agree as well, e.g. half of their IDs or flags; a few coincidental hits are not enough
+const MIN_MATCH_SCORE = 1.5;
+
+export function getProfile(id) {
+    const profile = PROFILES.find(candidate => candidate.id === id);
+    if (!profile) {
+        throw new Error(`Unknown game-version profile '${id}' (known: ${PROFILES.map(candidate => candidate.id).join(', ')})`);
+    }
+    return profile;
+}
+
+/**
+ * Register a profile at runtime, with the fields described at the top of this file
+ */
+export function addProfile(profile) {
+    if (typeof profile.id !== 'string' || PROFILES.some(candidate => candidate.id === profile.id)) {
+        throw new Error(`Profile id must be a new string, got ${JSON.stringify(profile.id)}`);
+    }
+    for (const field of ['databaseFlags', 'defaultTableFlags']) {
+        if (!Number.isInteger(profile[field])) {
+            throw new Error(`Profile '${profile.id}' needs an integer ${field}`);
+        }
+    }
+    if (typeof profile.tableFlags !== 'object' || profile.tableFlags === null) {
+        throw new Error(`Profile '${profile.id}' needs a tableFlags object`);
+    }
+
+    PROFILES.push({ name: profile.id, tables: [], ...profile });
+}
+
+/**
+ * Find the profile a save matches best
+ *
+ * Takes { databaseFlags, tables: [{ name, tableId, tableFlags }] } (databaseFlags and
+ * tableFlags may be null). Each profile scores up to 1 point for each of: matching
+ * DATABASE_FLAGS, the share of table IDs it knows, the share of tables whose TABLE_FLAGS
+ * match its own, and the share of its tables present.
+ *
+ * Returns { profile, score, evidence } with evidence as readable strings of the best
+ * profile; profile is null when none scores MIN_MATCH_SCORE. Ties go to the profile listed first.
+ */
+export function detectProfile({ databaseFlags = null, tables = [] }) {
+    let best = { profile: null, score: 0, evidence: [] };
+    const names = new Set(tables.map(table => table.name));
+
+    PROFILES.forEach(profile => {
+        let score = 0;
+        const evidence = [];
+
+        if (databaseFlags !== null && databaseFlags === profile.databaseFlags) {
+            score += 1;
+            evidence.push(`DATABASE_FLAGS ${databaseFlags}`);
+        }
+
+        const known = tables.filter(table => profile.tableFlags[table.tableId] !== undefined);
+        if (known.length > 0) {
+            score += known.length / tables.length;
+            evidence.push(`${known.length}/${tables.length} table IDs known`);
+        }
+
+        // Counted over every table with flags, so one known table with matching flags is not full marks
+        const withFlags = tables.filter(table => table.tableFlags !== null && table.tableFlags !== undefined);
+        const flagMatches = withFlags.filter(table => profile.tableFlags[table.tableId] === table.tableFlags).length;
+        if (flagMatches > 0) {
+            score += flagMatches / withFlags.length;
+            evidence.push(`${flagMatches}/${withFlags.length} table flags match`);
+        }
+
+        const present = profile.tables.filter(name => names.has(name)).length;
+        if (present > 0) {
+            score += present / profile.tables.length;
+            evidence.push(`${present}/${profile.tables.length} tables present`);
+        }
+
+        if (score > best.score) best = { profile, score, evidence };
+    });
+
+    return best.score >= MIN_MATCH_SCORE ? best : { ...best, profile: null };
+}
@@ -0,0 +1,510 @@
+/**
+ * CDB Validator
+ * Walks a whole CDB file and reports every structural problem it finds
+ *
+ * Unlike cdbToSQLite, which stops at the first exception, the validator
+ * records a problem and resumes at the next chunk boundary whenever the
+ * chunk sizes allow it. Offsets refer to the decompressed data.
+ */
+
+import pako from 'pako';
+import { CDBReader, MAGIC, CHUNK_TYPE, DATA_TYPE, DATA_TYPE_NAMES, MIN_CHUNK_SIZE, hex, valueByteCount } from './cdb_converter.js';
+
+const CHUNK_TYPE_NAMES = Object.fromEntries(Object.entries(CHUNK_TYPE).map(([name, type]) => [type, name]));
+
+// Chunks holding a single 32-bit value
+const VALUE_CHUNKS = new Set([
+    CHUNK_TYPE.ROW_COUNT, CHUNK_TYPE.TABLE_ID, CHUNK_TYPE.TABLE_FLAGS,
+    CHUNK_TYPE.DATABASE_FLAGS, CHUNK_TYPE.COLUMN_INDEX, CHUNK_TYPE.COLUMN_DATA_TYPE
+]);
+
+// Child chunk types each container is expected to hold
+const CONTAINER_CHILDREN = {
+    [CHUNK_TYPE.WRAPPER]: [CHUNK_TYPE.DATABASE_FLAGS, CHUNK_TYPE.DATABASE_TABLES],
+    [CHUNK_TYPE.TABLE]: [CHUNK_TYPE.TABLE_ID, CHUNK_TYPE.ROW_COUNT, CHUNK_TYPE.TABLE_FLAGS, CHUNK_TYPE.COLUMN_DEFINITIONS],
+    [CHUNK_TYPE.COLUMN]: [CHUNK_TYPE.COLUMN_INDEX, CHUNK_TYPE.COLUMN_DATA_TYPE, CHUNK_TYPE.COLUMN_VALUES, CHUNK_TYPE.COLUMN_BLOB_DATA]
+};
+
+// Children that may be left out (empty columns have no blob data)
+const OPTIONAL_CHILDREN = new Set([CHUNK_TYPE.COLUMN_VALUES, CHUNK_TYPE.COLUMN_BLOB_DATA]);
+
+function align4(length) {
+    return (length + 3) & ~3;
+}
+
+export function chunkTypeName(type) {
+    return CHUNK_TYPE_NAMES[type] ?? `UNKNOWN_0x${type.toString(16)}`;
+}
+
+export function dataTypeName(type) {
+    return DATA_TYPE_NAMES[type] ?? `UNKNOWN_${type}`;
+}
+
+class CDBValidator extends CDBReader {
+    constructor(arrayBuffer) {
+        super(arrayBuffer);
+        this.problems = [];
+    }
+
+    report(severity, offset, path, message) {
+        this.problems.push({ severity, offset, path, message });
+    }
+
+    expectMagic(expected, name, path) {
+        const offset = this.pos;
+        const value = this.read32();
+        if (value !== expected) {
+            this.report('error', offset, path, `Expected ${name} (${hex(expected)}), found ${hex(value)}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Walk the chunk at the current position, staying within limit
+     * Returns the chunk node, or null if the walk cannot continue past it
+     */
+    walkChunk(parentPath, limit) {
+        const start = this.pos;
+
+        if (limit - start < MIN_CHUNK_SIZE) {
+            this.report('error', start, parentPath, `Truncated chunk: only ${limit - start} bytes left before ${hex(limit)}`);
+            return null;
+        }
+
+        if (!this.expectMagic(MAGIC.CHUNK_BEGIN, 'CHUNK_BEGIN', parentPath)) {
+            return null;
+        }
+
+        const size = this.read32();
+        const type = this.read32();
+        const flags = this.read32();
+        const hasDescription = this.read32();
+
+        // Lets the walk resume after a chunk whose header is damaged but whose size looks sane
+        const skipChunk = () => {
+            if (size < MIN_CHUNK_SIZE || (size & 3) || start + size > limit) return null;
+            this.pos = start + size;
+            return { type, typeName: chunkTypeName(type), description: null, offset: start, size, path: parentPath, children: [], incomplete: true };
+        };
+
+        let description = null;
+        if (hasDescription) {
+            const descOffset = this.pos;
+            const descLength = this.read32();
+            if (descLength === 0 || this.pos + descLength > limit) {
+                this.report('error', descOffset, parentPath, `Invalid description length ${descLength}`);
+                return skipChunk();
+            }
+            description = new TextDecoder().decode(this.readBytes(descLength - 1));
+            if (this.data.getUint8(this.pos) !== 0) {
+                this.report('error', this.pos, parentPath, `Description '${description}' is not null-terminated`);
+            }
+            this.pos++;
+        }
+
+        const path = parentPath ? `${parentPath} › ${description ?? chunkTypeName(type)}` : (description ?? chunkTypeName(type));
+
+        if (hasDescription > 1) {
+            this.report('warning', start + 16, path, `Unexpected has_description value ${hasDescription}`);
+        }
+        if (flags !== 0) {
+            this.report('warning', start + 12, path, `Non-zero chunk header flags ${hex(flags)}`);
+        }
+
+        this.readPadding();
+        if (this.pos + 4 > limit) {
+            this.report('error', this.pos, path, 'Chunk header runs past its parent');
+            return null;
+        }
+        this.expectMagic(MAGIC.CHUNK_SEPARATOR, 'CHUNK_SEPARATOR', path);
+
+        let end = start + size;
+        let truncated = false;
+        if (size < this.pos - start + 4) {
+            this.report('error', start + 4, path, `Chunk size ${size} is smaller than its header`);
+            return null;
+        }
+        if (end > limit) {
+            // Keep walking up to the limit so the report shows where the data runs out
+            this.report('error', start + 4, path, `Chunk size ${size} runs past ${limit === this.data.byteLength ? 'end of file' : 'its parent'} (chunk at ${hex(start)}, limit ${hex(limit)})`);
+            end = limit + 4;
+            truncated = true;
+        }
+        if (size & 3) {
+            this.report('error', start + 4, path, `Chunk size ${size} is not 4-byte aligned`);
+        }
+
+        const node = {
+            type,
+            typeName: chunkTypeName(type),
+            description,
+            offset: start,
+            size,
+            dataOffset: this.pos,
+            dataLength: end - 4 - this.pos,
+            path,
+            children: [],
+            incomplete: truncated
+        };
+
+        const dataEnd = end - 4;
+
+        if (VALUE_CHUNKS.has(type)) {
+            if (node.dataLength !== 4) {
+                this.report('error', node.dataOffset, path, `Expected 4 data bytes, found ${node.dataLength}`);
+            }
+            if (node.dataLength >= 4) {
+                node.value = this.read32();
+            }
+        } else if (type === CHUNK_TYPE.DATABASE_TABLES) {
+            this.walkArray(node, CHUNK_TYPE.TABLE, dataEnd);
+        } else if (type === CHUNK_TYPE.COLUMN_DEFINITIONS) {
+            this.walkArray(node, CHUNK_TYPE.COLUMN, dataEnd);
+        } else if (CONTAINER_CHILDREN[type]) {
+            this.walkContainer(node, dataEnd);
+        } else if (type !== CHUNK_TYPE.COLUMN_VALUES && type !== CHUNK_TYPE.COLUMN_BLOB_DATA) {
+            this.report('warning', start + 8, path, `Unknown chunk type ${hex(type)} (${size} bytes), kept as raw data`);
+            node.unknown = true;
+        }
+
+        // Containers and arrays should consume their whole data section
+        if (!node.incomplete && (node.children.length > 0 || node.arrayCount !== undefined)) {
+            this.readPadding();
+            if (this.pos !== dataEnd) {
+                const severity = node.arrayCount !== undefined ? 'error' : 'warning';
+                this.report(severity, this.pos, path, `${dataEnd - this.pos} unexpected bytes before chunk end`);
+            }
+        }
+
+        this.pos = dataEnd;
+        if (truncated) {
+            return node;
+        }
+        this.expectMagic(MAGIC.CHUNK_END, 'CHUNK_END', path);
+        this.pos = end;
+
+        return node;
+    }
+
+    walkContainer(node, dataEnd) {
+        const seen = new Set();
+
+        while (this.pos < dataEnd) {
+            // Same tolerance as CDBReader for trailing bytes in containers
+            if (dataEnd - this.pos < 20) {
+                break;
+            }
+            const child = this.walkChunk(node.path, dataEnd);
+            if (!child) {
+                // Remaining siblings cannot be located, so skip the completeness checks
+                node.incomplete = true;
+                return;
+            }
+
+            node.children.push(child);
+            if (child.unknown) continue;
+
+            if (!CONTAINER_CHILDREN[node.type].includes(child.type)) {
+                this.report('error', child.offset, child.path, `${child.typeName} is not allowed inside ${node.typeName}`);
+            } else if (seen.has(child.type)) {
+                this.report('error', child.offset, child.path, `Duplicate ${child.typeName} chunk`);
+            }
+            seen.add(child.type);
+        }
+
+        CONTAINER_CHILDREN[node.type].forEach(type => {
+            if (!seen.has(type) && !OPTIONAL_CHILDREN.has(type)) {
+                this.report('error', node.offset, node.path, `Missing ${chunkTypeName(type)} chunk`);
+            }
+        });
+    }
+
+    walkArray(node, elementType, dataEnd) {
+        if (dataEnd - this.pos < 12) {
+            this.report('error', this.pos, node.path, 'Array data section too short');
+            node.incomplete = true;
+            return;
+        }
+        if (!this.expectMagic(MAGIC.ARRAY_BEGIN, 'ARRAY_BEGIN', node.path)) {
+            node.incomplete = true;
+            return;
+        }
+
+        const countOffset = this.pos;
+        const count = this.read32();
+        node.arrayCount = count;
+
+        if (count * MIN_CHUNK_SIZE > dataEnd - this.pos) {
+            this.report('error', countOffset, node.path, `Array count ${count} cannot fit in ${dataEnd - this.pos} bytes`);
+            node.incomplete = true;
+            return;
+        }
+
+        for (let i = 0; i < count; i++) {
+            const child = this.walkChunk(node.path, dataEnd - 4);
+            if (!child) {
+                this.report('error', this.pos, node.path, `Array ended after ${i} of ${count} elements`);
+                node.incomplete = true;
+                return;
+            }
+            if (child.type !== elementType) {
+                this.report('error', child.offset, child.path, `Expected ${chunkTypeName(elementType)} array element, found ${child.typeName}`);
+            }
+            node.children.push(child);
+        }
+
+        this.expectMagic(MAGIC.ARRAY_END, 'ARRAY_END', node.path);
+    }
+
+    /**
+     * Cross-check tables and columns once the chunk tree is known
+     */
+    checkTables(root) {
+        if (root.type !== CHUNK_TYPE.WRAPPER) {
+            this.report('error', root.offset, root.path, `Expected WRAPPER chunk at start of file, found ${root.typeName}`);
+        }
+
+        const tablesNode = root.children.find(child => child.type === CHUNK_TYPE.DATABASE_TABLES);
+        if (!tablesNode) return;
+
+        const tableNames = new Map();
+        const tableIds = new Map();
+
+        tablesNode.children.filter(node => node.type === CHUNK_TYPE.TABLE).forEach(table => {
+            const tableId = findValue(table, CHUNK_TYPE.TABLE_ID);
+
+            if (!table.description) {
+                this.report('error', table.offset, table.path, 'Table has no name');
+            } else if (tableNames.has(table.description)) {
+                this.report('error', table.offset, table.path, `Duplicate table name (first at ${hex(tableNames.get(table.description))})`);
+            } else {
+                tableNames.set(table.description, table.offset);
+            }
+
+            if (tableId !== undefined) {
+                if (tableIds.has(tableId)) {
+                    this.report('error', table.offset, table.path, `Duplicate table ID ${tableId} (also used by '${tableIds.get(tableId)}')`);
+                } else {
+                    tableIds.set(tableId, table.description);
+                }
+            }
+
+            this.checkColumns(table, findValue(table, CHUNK_TYPE.ROW_COUNT));
+        });
+    }
+
+    checkColumns(table, rowCount) {
+        const columnsNode = table.children.find(child => child.type === CHUNK_TYPE.COLUMN_DEFINITIONS);
+        if (!columnsNode) return;
+
+        const columnIndexes = new Map();
+
+        columnsNode.children.filter(node => node.type === CHUNK_TYPE.COLUMN).forEach(column => {
+            const columnIndex = findValue(column, CHUNK_TYPE.COLUMN_INDEX);
+            const dataType = findValue(column, CHUNK_TYPE.COLUMN_DATA_TYPE);
+
+            if (!column.description) {
+                this.report('error', column.offset, column.path, 'Column has no name');
+            }
+
+            if (columnIndex !== undefined) {
+                if (columnIndex > 0xFF) {
+                    this.report('error', column.offset, column.path, `Column index ${columnIndex} does not fit the SQLite type encoding (max 255)`);
+                }
+                if (columnIndexes.has(columnIndex)) {
+                    this.report('error', column.offset, column.path, `Duplicate column index ${columnIndex} (also used by '${columnIndexes.get(columnIndex)}')`);
+                } else {
+                    columnIndexes.set(columnIndex, column.description);
+                }
+            }
+
+            if (dataType === undefined) return;
+            if (!DATA_TYPE_NAMES[dataType]) {
+                this.report('error', column.offset, column.path, `Unknown data type ${dataType}`);
+                return;
+            }
+            if (rowCount !== undefined) {
+                this.checkColumnData(column, dataType, rowCount);
+            }
+        });
+    }
+
+    checkColumnData(column, dataType, rowCount) {
+        const valuesNode = column.children.find(child => child.type === CHUNK_TYPE.COLUMN_VALUES);
+        const blobNode = column.children.find(child => child.type === CHUNK_TYPE.COLUMN_BLOB_DATA);
+        const valueBytes = valuesNode ? valuesNode.dataLength : 0;
+
+        // Empty columns are read back as default values
+        if (valueBytes === 0) {
+            if (blobNode && blobNode.dataLength > 4) {
+                this.report('warning', blobNode.offset, blobNode.path, 'Blob data present for a column without values');
+            }
+            return;
+        }
+
+        const expected = valueByteCount(dataType, rowCount);
+        if (valueBytes !== align4(expected)) {
+            this.report('error', valuesNode.dataOffset, valuesNode.path,
+                `${dataTypeName(dataType)} column with ROW_COUNT ${rowCount} needs ${expected} value bytes (${align4(expected)} padded), found ${valueBytes}`);
+            return;
+        }
+
+        const isString = dataType === DATA_TYPE.STRING;
+        if (!isString && dataType !== DATA_TYPE.INTEGER_LIST && dataType !== DATA_TYPE.FLOAT_LIST) {
+            return;
+        }
+
+        // Lengths (strings) or element counts (lists), one uint32 per row
+        const entries = [];
+        for (let i = 0; i < rowCount; i++) {
+            entries.push(this.data.getUint32(valuesNode.dataOffset + i * 4, true));
+        }
+        const needed = isString
+            ? entries.reduce((sum, length) => sum + length, 0)
+            : entries.reduce((sum, count) => sum + count, 0) * 4;
+
+        if (isString) {
+            const emptyIndex = entries.indexOf(0);
+            if (emptyIndex !== -1) {
+                this.report('error', valuesNode.dataOffset + emptyIndex * 4, valuesNode.path,
+                    `String length 0 at row ${emptyIndex} (lengths include the null terminator)`);
+            }
+        }
+
+        if (needed === 0) return;
+
+        if (!blobNode) {
+            this.report('error', column.offset, column.path, `${needed} bytes of blob data expected but COLUMN_BLOB_DATA is missing`);
+            return;
+        }
+
+        if (blobNode.dataLength < 4) {
+            this.report('error', blobNode.dataOffset, blobNode.path, 'Blob data too short to hold its size field');
+            return;
+        }
+
+        const declaredSize = this.data.getUint32(blobNode.dataOffset, true);
+        if (declaredSize !== needed) {
+            this.report('error', blobNode.dataOffset, blobNode.path, `Blob size field is ${declaredSize}, values require ${needed}`);
+        }
+        if (blobNode.dataLength !== align4(4 + needed)) {
+            this.report('error', blobNode.dataOffset, blobNode.path,
+                `Blob data section is ${blobNode.dataLength} bytes, values require ${align4(4 + needed)} (size field, ${needed} bytes, padding)`);
+            return;
+        }
+
+        if (isString) {
+            let offset = blobNode.dataOffset + 4;
+            entries.forEach((length, row) => {
+                if (length > 0 && this.data.getUint8(offset + length - 1) !== 0) {
+                    this.report('error', offset + length - 1, blobNode.path, `String at row ${row} is not null-terminated`);
+                }
+                offset += length;
+            });
+        }
+    }
+}
+
+function findValue(node, type) {
+    return node.children.find(child => child.type === type)?.value;
+}
+
+/**
+ * Check the compression header and inflate, reporting problems instead of throwing
+ */
+function decompressForValidation(arrayBuffer, problems) {
+    const view = new DataView(arrayBuffer);
+
+    if (view.byteLength < 4 || view.getUint32(0, true) !== 0xFFFFFFFF) {
+        return arrayBuffer;
+    }
+
+    const report = (offset, message) => problems.push({ severity: 'error', offset, path: '', message: `Compression header: ${message}` });
+
+    if (view.byteLength < 12) {
+        report(0, 'file too short for compression header');
+        return null;
+    }
+
+    const uncompressedSize = view.getUint32(4, true);
+    const compressedSize = view.getUint32(8, true);
+    if (12 + compressedSize > view.byteLength) {
+        report(8, `compressed size ${compressedSize} exceeds file size ${view.byteLength - 12}`);
+        return null;
+    }
+    if (12 + compressedSize < view.byteLength) {
+        report(8, `${view.byteLength - 12 - compressedSize} trailing bytes after compressed data`);
+    }
+
+    let inflated;
+    try {
+        inflated = pako.inflate(new Uint8Array(arrayBuffer, 12, compressedSize));
+    } catch (error) {
+        report(12, `zlib data is corrupt (${error.message ?? error})`);
+        return null;
+    }
+    if (!inflated) {
+        report(12, 'zlib data is corrupt');
+        return null;
+    }
+    if (inflated.length !== uncompressedSize) {
+        report(4, `uncompressed size field is ${uncompressedSize}, data inflates to ${inflated.length}`);
+    }
+
+    return inflated.buffer;
+}
+
+/**
+ * Validate a CDB file (compressed or not)
+ * Returns { valid, problems: [{ severity, offset, path, message }], tree, data }
+ * where data is the decompressed buffer the offsets refer to
+ */
+export function validateCDB(cdbData) {
+    const problems = [];
+    const data = decompressForValidation(cdbData, problems);
+    let tree = null;
+
+    if (data) {
+        const validator = new CDBValidator(data);
+        validator.problems = problems;
+
+        try {
+            tree = validator.walkChunk('', data.byteLength);
+            if (tree) {
+                validator.checkTables(tree);
+                if (validator.pos < data.byteLength) {
+                    validator.report('warning', validator.pos, '', `${data.byteLength - validator.pos} trailing bytes after the wrapper chunk`);
+                }
+            }
+        } catch (error) {
+            // Bounds are checked before reads, so this only guards against validator bugs
+            validator.report('error', validator.pos, '', `Validation aborted: ${error.message}`);
+        }
+    }
+
+    return {
+        valid: !problems.some(problem => problem.severity === 'error'),
+        problems,
+        tree,
+        data
+    };
+}
+
+/**
+ * Format a validation result as human-readable lines
+ */
+export function formatValidationReport(result) {
+    if (result.problems.length === 0) {
+        return 'No problems found';
+    }
+
+    const errors = result.problems.filter(problem => problem.severity === 'error').length;
+    const lines = result.problems.map(problem => {
+        const location = problem.path ? ` ${problem.path}:` : '';
+        return `[${problem.severity}] ${hex(problem.offset)}${location} ${problem.message}`;
+    });
+
+    lines.push(`${errors} error(s), ${result.problems.length - errors} warning(s)`);
+    return lines.join('\n');
+}
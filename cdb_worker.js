@@ -0,0 +1,111 @@
+/**
+ * CDB Worker
+ * Runs CDB ⇄ SQLite conversion off the main thread
+ *
+ * This is a classic worker: module workers do not see the page's import map,
+ * so the page sends it in the 'init' message and es-module-shims resolves the
+ * bare 'pako' and 'sql.js' imports with it. The shim is vendored in vendor/
+ * rather than loaded from a CDN, so the worker starts with the page's own files.
+ *
+ * Messages in:  { type: 'init', importMap, sqlJsBaseUrl }
+ *               { type: 'load', data }    - CDB ArrayBuffer → SQLite bytes
+ *               { type: 'export', data, options }  - SQLite bytes → CDB ArrayBuffer
+ *                 (options.allowInvalidValues, source, unloadedTables and compression are passed to sqliteToCDB)
+ *               { type: 'inspect', data } - CDB ArrayBuffer → validateCDB result
+ * Messages out: { type: 'progress', progress }
+ *               { type: 'warning', message }
+ *               { type: 'result', data }
+ *               { type: 'error', message, problems, invalidValues }
+ */
+
+self.esmsInitOptions = { shimMode: true };
+importScripts('./vendor/es-module-shims.js');
+
+let ready = null;
+
+async function initialize(importMap, sqlJsBaseUrl) {
+    importShim.addImportMap(importMap);
+    const [converter, validator, sqlJs] = await Promise.all([
+        importShim(new URL('./cdb_converter.js', self.location.href).href),
+        importShim(new URL('./cdb_validator.js', self.location.href).href),
+        importShim('sql.js')
+    ]);
+    const SQL = await sqlJs.default({
+        locateFile: file => `${sqlJsBaseUrl}${file}`
+    });
+    return { converter, validator, SQL };
+}
+
+function postProgress(progress) {
+    self.postMessage({ type: 'progress', progress });
+}
+
+function loadCDB(converter, SQL, data) {
+    const db = converter.cdbToSQLite(data, SQL, {
+        onProgress: postProgress,
+        onWarning: message => self.postMessage({ type: 'warning', message })
+    });
+
+    postProgress({ stage: 'transfer' });
+    const sqliteData = db.export();
+    db.close();
+    return sqliteData;
+}
+
+function exportCDB(converter, SQL, data, options = {}) {
+    const db = new SQL.Database(data);
+    try {
+        return new Uint8Array(converter.sqliteToCDB(db, {
+            onProgress: postProgress,
+            onWarning: message => self.postMessage({ type: 'warning', message }),
+            allowInvalidValues: options.allowInvalidValues,
+            source: options.source,
+            unloadedTables: options.unloadedTables,
+            compression: options.compression
+        }));
+    } finally {
+        db.close();
+    }
+}
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    if (message.type === 'init') {
+        ready = initialize(message.importMap, message.sqlJsBaseUrl);
+        return;
+    }
+
+    let modules = null;
+    try {
+        modules = await ready;
+        const { converter, validator, SQL } = modules;
+
+        let result;
+        let transfer;
+        switch (message.type) {
+            case 'load':
+                result = loadCDB(converter, SQL, message.data);
+                transfer = [result.buffer];
+                break;
+            case 'export':
+                result = exportCDB(converter, SQL, message.data, message.options);
+                transfer = [result.buffer];
+                break;
+            case 'inspect':
+                result = validator.validateCDB(message.data);
+                transfer = result.data ? [result.data] : [];
+                break;
+            default:
+                throw new Error(`Unknown worker message: ${message.type}`);
+        }
+
+        self.postMessage({ type: 'result', data: result }, transfer);
+    } catch (error) {
+        // A file that fails to load gets a full structural report instead of just the first exception
+        const problems = message.type === 'load' && modules
+            ? modules.validator.validateCDB(message.data).problems
+            : [];
+        self.postMessage({ type: 'error', message: error.message, problems, invalidValues: error.invalidValues ?? [] });
+    }
+};
@@ -0,0 +1,188 @@
+/**
+ * CSV Exchange
+ * Export a table or a task's record set as CSV for a spreadsheet, and import the edited
+ * file back after previewing the changes (see table_csv.js)
+ */
+
+import { INTERNAL_TABLES } from './cdb_converter.js';
+import { exportTableCSV, planCSVImport, applyCSVImport } from './table_csv.js';
+import { getRecordKey, asArray, buildRecordSetQuery } from './task_processor.js';
+import { escapeHtml } from './sql_console.js';
+
+const PREVIEW_ROWS = 200;
+
+/**
+ * The main-table columns a task works with: its record key, then its field columns
+ */
+function taskColumns(task) {
+    const columns = [...getRecordKey(task)];
+    task.fields.forEach(fieldName => {
+        const group = task.column_groups[fieldName];
+        if (group.values.type === 'computed') return;
+        asArray(group.columns)
+            .filter(column => !column.includes('.') && !columns.includes(column))
+            .forEach(column => columns.push(column));
+    });
+    return columns;
+}
+
+/**
+ * A task's record set as CSV: only the records the task shows, in its order, with its columns
+ */
+export function exportTaskCSV(db, task) {
+    const columns = taskColumns(task);
+    return exportTableCSV(db, task.main_table, columns, { query: buildRecordSetQuery(task, columns) });
+}
+
+/**
+ * Everything that can be exported: tasks first, then every table
+ */
+function listSources(db, tasks) {
+    const result = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+    const tables = (result[0]?.values ?? []).map(([name]) => name).filter(name => !INTERNAL_TABLES.includes(name));
+
+    return [
+        ...tasks.map((task, index) => ({
+            id: `task:${index}`,
+            label: `Task: ${task.name}`,
+            tableName: task.main_table,
+            keyColumns: getRecordKey(task),
+            task
+        })),
+        ...tables.map(name => ({ id: `table:${name}`, label: name, tableName: name, keyColumns: null, task: null }))
+    ];
+}
+
+function formatValue(value) {
+    return value === null ? 'NULL' : String(value);
+}
+
+function renderPlan(plan) {
+    if (plan.problemCount > 0) {
+        const items = plan.problems.map(problem => {
+            const where = `Line ${problem.line}${problem.column ? `, ${problem.column}` : ''}`;
+            const value = problem.value !== null ? ` (${JSON.stringify(problem.value)})` : '';
+            return `<li>${escapeHtml(where)}${escapeHtml(value)}: ${escapeHtml(problem.message)}</li>`;
+        }).join('');
+        const more = plan.problemCount > plan.problems.length ? `<li>… ${plan.problemCount - plan.problems.length} more</li>` : '';
+
+        return `<div style="background: #f8d7da; color: #721c24; padding: 10px; border-radius: 4px; margin-bottom: 10px; max-height: 300px; overflow-y: auto;">
+            <strong>${plan.problemCount} problem(s) found, nothing can be imported</strong>
+            <ul style="margin: 5px 0 0 20px; font-size: 13px;">${items}${more}</ul>
+        </div>
+        <button type="button" id="csvDiscard">Discard</button>`;
+    }
+
+    if (plan.changes.length === 0) {
+        return `<div style="background: #d4edda; color: #155724; padding: 10px; border-radius: 4px; margin-bottom: 10px;">
+            ${plan.rowCount} row(s) read, no changes
+        </div>`;
+    }
+
+    const rows = plan.changes.slice(0, PREVIEW_ROWS).map(change => `<tr>
+        <td style="padding: 4px 8px; border-bottom: 1px solid #eee;">${escapeHtml(change.key)}</td>
+        <td style="padding: 4px 8px; border-bottom: 1px solid #eee;">${escapeHtml(change.column)}</td>
+        <td style="padding: 4px 8px; border-bottom: 1px solid #eee; color: #721c24;">${escapeHtml(formatValue(change.oldValue))}</td>
+        <td style="padding: 4px 8px; border-bottom: 1px solid #eee; color: #155724;">${escapeHtml(formatValue(change.newValue))}</td>
+    </tr>`).join('');
+    const more = plan.changes.length > PREVIEW_ROWS
+        ? `<div style="color: #666; font-size: 13px;">… ${plan.changes.length - PREVIEW_ROWS} more change(s)</div>`
+        : '';
+
+    return `<div style="max-height: 400px; overflow-y: auto; margin-bottom: 10px;">
+        <table style="border-collapse: collapse; width: 100%; font-size: 13px;">
+            <thead><tr style="background: #f5f5f5; text-align: left;">
+                <th style="padding: 4px 8px;">Row</th><th style="padding: 4px 8px;">Column</th>
+                <th style="padding: 4px 8px;">Current</th><th style="padding: 4px 8px;">New</th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${more}
+    </div>
+    <button type="button" id="csvApply">Apply ${plan.changes.length} change(s) to ${plan.changedRowCount} row(s)</button>
+    <button type="button" id="csvDiscard">Discard</button>`;
+}
+
+/**
+ * Render the CSV export/import view into the form section
+ * downloadFile(data, name, type) saves the exported CSV; showStatus(message, type) reports results
+ */
+export function renderCSVExchange(db, tasks, csvState, { downloadFile, showStatus }) {
+    const formSection = document.getElementById('form-section');
+    const sources = listSources(db, tasks);
+    if (!sources.some(source => source.id === csvState.sourceId)) {
+        csvState.sourceId = sources[0]?.id ?? null;
+        csvState.plan = null;
+    }
+    const source = sources.find(s => s.id === csvState.sourceId);
+
+    const options = sources.map(s =>
+        `<option value="${escapeHtml(s.id)}"${s.id === csvState.sourceId ? ' selected' : ''}>${escapeHtml(s.label)}</option>`
+    ).join('');
+
+    formSection.innerHTML = `
+        <div style="margin-bottom: 10px;">
+            <label for="csvSource">Table or task:</label>
+            <select id="csvSource">${options}</select>
+        </div>
+        <div style="margin-bottom: 10px; color: #666; font-size: 13px;">
+            Rows are matched by ${source ? escapeHtml((source.keyColumns ?? ['the first column']).join(', ')) : 'key'};
+            rows cannot be added or removed. Every value is checked against its CDB column type before anything is changed.
+        </div>
+        <div style="margin-bottom: 10px;">
+            <button type="button" id="csvExport">Export CSV</button>
+            <label for="csvImport" style="margin-left: 10px;">Import CSV:</label>
+            <input type="file" id="csvImport" accept=".csv,.txt,text/csv">
+        </div>
+        <div id="csvPreview">${csvState.plan ? renderPlan(csvState.plan) : ''}</div>
+    `;
+    formSection.classList.add('active');
+
+    const rerender = () => renderCSVExchange(db, tasks, csvState, { downloadFile, showStatus });
+
+    document.getElementById('csvSource').addEventListener('change', (e) => {
+        csvState.sourceId = e.target.value;
+        csvState.plan = null;
+        rerender();
+    });
+
+    document.getElementById('csvExport').addEventListener('click', () => {
+        try {
+            // The BOM makes spreadsheet programs read the file as UTF-8
+            const csv = '\uFEFF' + (source.task ? exportTaskCSV(db, source.task) : exportTableCSV(db, source.tableName));
+            downloadFile(csv, `${source.tableName}.csv`, 'text/csv;charset=utf-8');
+        } catch (error) {
+            showStatus('Error: ' + error.message, 'error');
+        }
+    });
+
+    document.getElementById('csvImport').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            csvState.plan = planCSVImport(db, source.tableName, await file.text(), {
+                keyColumns: source.keyColumns ?? undefined
+            });
+        } catch (error) {
+            showStatus('Error: ' + error.message, 'error');
+            return;
+        }
+        rerender();
+    });
+
+    document.getElementById('csvApply')?.addEventListener('click', () => {
+        try {
+            const rowCount = applyCSVImport(db, csvState.plan);
+            showStatus(`Updated ${rowCount} row(s)`, 'success');
+            csvState.plan = null;
+        } catch (error) {
+            showStatus('Error: ' + error.message, 'error');
+        }
+        rerender();
+    });
+
+    document.getElementById('csvDiscard')?.addEventListener('click', () => {
+        csvState.plan = null;
+        rerender();
+    });
+}
@@ -6,7 +6,11 @@
 import { PCMFileHandler } from './db_file_handler.js';
 import Choices from 'choices.js';
 import * as TaskProcessor from './task_processor.js';
-import { renderConsole, escapeHtml } from './sql_console.js';
+import { renderConsole, escapeHtml, formatCellValue } from './sql_console.js';
+import { readColumnDataTypes, normalizeFloat32 } from './cdb_converter.js';
+import { renderInspector } from './cdb_inspector.js';
+import { renderCSVExchange } from './csv_exchange.js';
+import { renderBulkEdit } from './bulk_edit.js';
 
 const CHOICES_CONFIG = {
     searchEnabled: true,
@@ -20,6 +24,18 @@ const CHOICES_CONFIG_NO_SEARCH = {
     itemSelectText: ''
 };
 
+function createBulkEditState() {
+    return {
+        selectedIds: new Set(),
+        condition: '',
+        column: null,
+        operation: 'set',
+        operand: '',
+        clampResults: true,
+        plan: null
+    };
+}
+
 class EditorState {
     constructor() {
         this.config = {
@@ -28,6 +44,7 @@ class EditorState {
         };
         this.tasks = [];
         this.db = null;
+        this.sourceData = null;
         this.currentTask = null;
         this.currentRecordId = null;
         this.taskSelectChoices = null;
@@ -44,6 +61,19 @@ class EditorState {
             currentOffset: 0,
             cachedResult: null
         };
+        // CDB structure inspector state
+        this.inspector = {
+            result: null,
+            source: null,
+            filter: ''
+        };
+        // CSV export/import state
+        this.csvExchange = {
+            sourceId: null,
+            plan: null
+        };
+        // Bulk edit state, reset when another task is picked
+        this.bulkEdit = createBulkEditState();
     }
 
     destroyChoices() {
@@ -76,6 +106,8 @@ async function loadTasks() {
 function populateTaskDropdown() {
     const options = '<option value="">-- Choose a task --</option>' +
         '<option value="__sql_console__">SQL Console</option>' +
+        '<option value="__csv_exchange__">CSV Export / Import</option>' +
+        (state.sourceData ? '<option value="__cdb_inspector__">CDB Structure Inspector</option>' : '') +
         state.tasks.map((task, index) => `<option value="${index}">${escapeHtml(task.name)}</option>`).join('');
     document.getElementById('taskSelect').innerHTML = options;
 }
@@ -83,6 +115,8 @@ function populateTaskDropdown() {
 function setupEventHandlers() {
     document.getElementById('taskSelect').addEventListener('change', (e) => {
         const taskIndex = e.target.value;
+        document.getElementById('bulk-section').classList.remove('active');
+        state.bulkEdit = createBulkEditState();
         if (taskIndex === '') {
             document.getElementById('record-section').classList.remove('active');
             document.getElementById('form-section').classList.remove('active');
@@ -104,6 +138,29 @@ function setupEventHandlers() {
             return;
         }
 
+        if (taskIndex === '__cdb_inspector__') {
+            document.getElementById('record-section').classList.remove('active');
+            state.destroyChoices();
+            state.currentTask = null;
+            state.currentRecordId = null;
+            state.sqlConsole.isActive = false;
+            showInspector();
+            return;
+        }
+
+        if (taskIndex === '__csv_exchange__') {
+            document.getElementById('record-section').classList.remove('active');
+            state.destroyChoices();
+            state.currentTask = null;
+            state.currentRecordId = null;
+            state.sqlConsole.isActive = false;
+            renderCSVExchange(state.db, state.tasks, state.csvExchange, {
+                downloadFile: PCMFileHandler.downloadFile,
+                showStatus
+            });
+            return;
+        }
+
         document.getElementById('form-section').classList.remove('active');
         state.currentRecordId = null;
         state.sqlConsole.isActive = false;
@@ -120,12 +177,35 @@ function setupEventHandlers() {
 
     document.getElementById('recordSelect').addEventListener('change', (e) => {
         state.currentRecordId = e.target.value;
-        if (state.currentRecordId) loadEditForm();
+        if (state.currentRecordId) {
+            document.getElementById('bulk-section').classList.remove('active');
+            loadEditForm();
+        }
+    });
+
+    document.getElementById('bulkEditBtn').addEventListener('click', () => {
+        if (!state.currentTask) return;
+        document.getElementById('form-section').classList.remove('active');
+        state.currentRecordId = null;
+        renderBulkEdit(state.db, state.currentTask, state.bulkEdit, {
+            showStatus,
+            onApplied: reloadRecords
+        });
     });
 }
 
+// Record labels can show edited columns
+function reloadRecords() {
+    if (state.recordSelectChoices) {
+        state.recordSelectChoices.destroy();
+        state.recordSelectChoices = null;
+    }
+    loadRecords();
+}
+
 function onDatabaseLoaded(dbInfo) {
     state.db = dbInfo.db;
+    state.sourceData = dbInfo.sourceData;
 
     populateTaskDropdown();
 
@@ -141,16 +221,42 @@ function onError(message) {
     showStatus(message, 'error');
 }
 
-function onLoadingStateChange(isLoading, message) {
+function onWarning(message) {
+    showStatus(message.split('\n')[0], 'info');
+}
+
+function onLoadingStateChange(isLoading, message, progress) {
     const loadingOverlay = document.getElementById('loadingOverlay');
     if (isLoading) {
         document.getElementById('loadingMessage').textContent = message || 'Loading...';
+        // Hide the bar when there is no measurable progress
+        document.getElementById('loadingProgress').style.display = progress == null ? 'none' : 'block';
+        document.getElementById('loadingProgressBar').style.width = `${Math.round((progress ?? 0) * 100)}%`;
         loadingOverlay.classList.add('active');
     } else {
         loadingOverlay.classList.remove('active');
     }
 }
 
+async function showInspector() {
+    const inspector = state.inspector;
+    const sourceData = state.sourceData;
+
+    if (inspector.source !== sourceData) {
+        try {
+            inspector.result = await PCMFileHandler.inspectCDB(sourceData);
+            inspector.source = sourceData;
+        } catch (error) {
+            if (!error.cancelled) showStatus(`Error inspecting CDB file: ${error.message}`, 'error');
+            return;
+        }
+    }
+
+    // Another task may have been picked while the worker was busy
+    if (document.getElementById('taskSelect').value !== '__cdb_inspector__') return;
+    renderInspector(inspector);
+}
+
 function loadRecords() {
     const result = state.db.exec(TaskProcessor.buildRecordQuery(state.currentTask));
 
@@ -161,13 +267,15 @@ function loadRecords() {
 
     const columns = result[0].columns;
     const rows = result[0].values;
-    const recordSelector = TaskProcessor.getRecordSelector(state.currentTask);
-    const idIndex = columns.indexOf(recordSelector);
+    const keyIndices = TaskProcessor.getRecordKey(state.currentTask).map(column => columns.indexOf(column));
     const displayIndices = TaskProcessor.findDisplayIndices(state.currentTask, columns);
 
-    const options = rows.map(row =>
-        `<option value="${escapeHtml(String(row[idIndex]))}">${escapeHtml(TaskProcessor.formatRecordLabel(state.currentTask, row, columns, idIndex, displayIndices))}</option>`
-    ).join('');
+    const options = rows.map(row => {
+        const recordId = TaskProcessor.encodeRecordId(keyIndices.map(idx => row[idx]));
+        const label = TaskProcessor.formatRecordLabel(state.currentTask, row, columns, keyIndices, displayIndices);
+        // escapeHtml leaves quotes alone, and JSON ids of text keys contain them
+        return `<option value="${escapeHtml(recordId).replace(/"/g, '&quot;')}">${escapeHtml(label)}</option>`;
+    }).join('');
 
     document.getElementById('recordSelect').innerHTML = '<option value="">-- Choose a record --</option>' + options;
     document.getElementById('record-section').classList.add('active');
@@ -205,7 +313,7 @@ function loadEditForm() {
                 input.type = 'text';
                 input.id = field.column;
                 input.name = field.column;
-                input.value = field.currentValue || '';
+                input.value = field.currentValue == null ? '' : formatCellValue(field.currentValue);
                 input.readOnly = true;
                 input.style.background = '#f5f5f5';
 
@@ -213,6 +321,21 @@ function loadEditForm() {
                 fieldDiv.appendChild(input);
                 break;
 
+            case 'computed':
+                // Prefixed so a computed field's name cannot clash with a column's or the page's element ids
+                const computedInput = document.createElement('input');
+                computedInput.type = 'text';
+                computedInput.id = `computed-${field.column}`;
+                label.setAttribute('for', computedInput.id);
+                computedInput.readOnly = true;
+                computedInput.style.background = '#eef4fb';
+                computedInput.style.fontStyle = 'italic';
+                showComputedValue(computedInput, field);
+
+                fieldDiv.appendChild(label);
+                fieldDiv.appendChild(computedInput);
+                break;
+
             case 'enum':
             case 'query':
             case 'join':
@@ -274,14 +397,41 @@ function loadEditForm() {
 
 function saveField(column, value) {
     try {
+        // Store FLOAT values as the float32 they become in the CDB file, so saving and reloading does not drift
+        const dataType = readColumnDataTypes(state.db, state.currentTask.main_table)[column];
+        value = normalizeFloat32(dataType, value);
+
+        const { errors, warnings } = TaskProcessor.checkRecordChange(state.currentTask, state.db, state.currentRecordId, column, value);
+        if (errors.length > 0 || (warnings.length > 0 && !confirm(`${warnings.join('\n')}\n\nSave anyway?`))) {
+            showStatus(errors.length > 0 ? `Not saved: ${errors.join('; ')}` : 'Not saved', 'error');
+            // Put the form back to the stored values
+            loadEditForm();
+            return;
+        }
+
         const query = TaskProcessor.buildUpdateQuery(state.currentTask, column, state.currentRecordId, value);
         state.db.run(query.sql, query.params);
+        refreshComputedFields();
         showStatus('Saved', 'success');
     } catch (error) {
         showStatus('Error: ' + error.message, 'error');
     }
 }
 
+function showComputedValue(input, { currentValue, error }) {
+    input.value = error ? `Error: ${error}` : (currentValue == null ? '' : formatCellValue(currentValue));
+    input.title = error ?? '';
+    input.style.color = error ? '#c00' : '';
+}
+
+function refreshComputedFields() {
+    const values = TaskProcessor.computeFieldValues(state.currentTask, state.db, state.currentRecordId);
+    Object.entries(values).forEach(([column, value]) => {
+        const input = document.getElementById(`computed-${column}`);
+        if (input) showComputedValue(input, value);
+    });
+}
+
 function createOption(item, currentValue) {
     const option = document.createElement('option');
 
@@ -307,7 +457,7 @@ function createOption(item, currentValue) {
         if (item.value == currentValue) option.selected = true;
     } else {
         option.value = item;
-        option.textContent = item;
+        option.textContent = formatCellValue(item);
         if (item == currentValue) option.selected = true;
     }
 
@@ -337,6 +487,7 @@ async function initializeApp(editorConfig) {
     await PCMFileHandler.init({
         onDatabaseLoaded: onDatabaseLoaded,
         onError: onError,
+        onWarning: onWarning,
         onLoadingStateChange: onLoadingStateChange,
         getDatabase: () => state.db
     });
@@ -1,33 +1,52 @@
 /**
  * PCM Database File Handler
  * Handles file upload/download for SQLite and CDB files
+ *
+ * CDB conversion runs in cdb_worker.js so large saves do not freeze the page.
+ * With on-demand loading, the page indexes the CDB file itself and decodes
+ * tables as they are queried (see cdb_lazy.js).
+ *
+ * The format of a dropped file is read from its first bytes, not its name, so
+ * renamed saves and .bak copies load too.
+ *
+ * CDB downloads are compressed like the loaded file unless another setting
+ * is picked in #cdbCompressionSelect.
  */
 
-import { cdbToSQLite, sqliteToCDB } from './cdb_converter.js';
 import initSqlJs from 'sql.js';
+import { LazyCDBDatabase } from './cdb_lazy.js';
+import { readCDBMetadata, parseCompression, describeCompressionLevel, detectFileFormat } from './cdb_converter.js';
+import { validateCDB } from './cdb_validator.js';
+
+const SQL_JS_BASE_URL = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/';
 
 let SQL = null;
 let onDatabaseLoadedCallback = null;
 let onErrorCallback = null;
+let onWarningCallback = null;
 let onLoadingStateChangeCallback = null;
 let currentFileName = null;
+let currentSourceData = null;
 let getDatabaseCallback = null;
+let worker = null;
+let pendingJob = null;
 
-function setLoadingState(isLoading, message) {
+function setLoadingState(isLoading, message, progress = null) {
     if (onLoadingStateChangeCallback) {
-        onLoadingStateChangeCallback(isLoading, message);
+        onLoadingStateChangeCallback(isLoading, message, progress);
     }
 }
 
 async function init(options) {
     onDatabaseLoadedCallback = options.onDatabaseLoaded;
     onErrorCallback = options.onError;
+    onWarningCallback = options.onWarning;
     getDatabaseCallback = options.getDatabase;
     onLoadingStateChangeCallback = options.onLoadingStateChange;
 
     try {
         SQL = await initSqlJs({
-            locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${file}`
+            locateFile: file => `${SQL_JS_BASE_URL}${file}`
         });
     } catch (error) {
         console.error('Error initializing SQL.js:', error);
@@ -69,54 +88,268 @@ function setupEventHandlers() {
     document.querySelectorAll('#downloadBtnCDB, #downloadBtnCDBBottom').forEach(btn => {
         btn.addEventListener('click', () => downloadDatabase('cdb'));
     });
+
+    document.getElementById('loadingCancelBtn').addEventListener('click', cancelWorkerJob);
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./cdb_worker.js', import.meta.url));
+        worker.onmessage = handleWorkerMessage;
+        worker.onerror = (e) => {
+            e.preventDefault();
+            finishWorkerJob(new Error(e.message || 'Worker failed to start'));
+        };
+
+        // Workers do not inherit the page's import map, so pass it along
+        const importMap = JSON.parse(document.querySelector('script[type="importmap"]').textContent);
+        worker.postMessage({ type: 'init', importMap, sqlJsBaseUrl: SQL_JS_BASE_URL });
+    }
+    return worker;
+}
+
+function handleWorkerMessage(e) {
+    const message = e.data;
+    if (!pendingJob) return;
+
+    switch (message.type) {
+        case 'progress':
+            pendingJob.onProgress(message.progress);
+            break;
+        case 'warning':
+            handleWarning(message.message);
+            break;
+        case 'result':
+            finishWorkerJob(null, message.data);
+            break;
+        case 'error':
+            finishWorkerJob(Object.assign(new Error(message.message), {
+                problems: message.problems,
+                invalidValues: message.invalidValues
+            }));
+            break;
+    }
+}
+
+function finishWorkerJob(error, data) {
+    const job = pendingJob;
+    pendingJob = null;
+    if (!job) return;
+
+    if (error) {
+        job.reject(error);
+    } else {
+        job.resolve(data);
+    }
+}
+
+/**
+ * Send one conversion job to the worker; only one job runs at a time
+ */
+function runWorkerJob(type, data, onProgress, options = {}) {
+    return new Promise((resolve, reject) => {
+        pendingJob = { resolve, reject, onProgress };
+        getWorker().postMessage({ type, data, options }, [data.buffer ?? data]);
+    });
+}
+
+function cancelWorkerJob() {
+    if (!pendingJob) return;
+
+    // Terminating is the only way to stop a synchronous conversion; a fresh worker is created next time
+    worker.terminate();
+    worker = null;
+
+    const error = new Error('Operation cancelled');
+    error.cancelled = true;
+    finishWorkerJob(error);
+}
+
+function describeProgress(action, progress) {
+    switch (progress.stage) {
+        case 'parse':
+            return { message: 'Decompressing and parsing CDB file...', fraction: 0 };
+        case 'check':
+            return { message: 'Checking values against CDB column types...', fraction: 0 };
+        case 'table':
+            return {
+                message: `${action} table ${progress.current}/${progress.total}: ${progress.table}`,
+                fraction: progress.current / progress.total
+            };
+        case 'compress':
+            return { message: 'Compressing CDB file...', fraction: 1 };
+        case 'transfer':
+            return { message: 'Opening database...', fraction: 1 };
+        default:
+            return { message: `${action}...`, fraction: null };
+    }
+}
+
+function reportJobError(prefix, error) {
+    if (error.cancelled) {
+        if (onWarningCallback) onWarningCallback('Cancelled');
+        return;
+    }
+    console.error(prefix, error);
+
+    const problems = error.problems ?? [];
+    if (problems.length > 0) {
+        console.table(problems.map(problem => ({ ...problem, offset: '0x' + problem.offset.toString(16) })));
+        const first = problems[0];
+        const location = first.path ? `${first.path}: ` : '';
+        if (onErrorCallback) onErrorCallback(`${prefix} ${location}${first.message} at 0x${first.offset.toString(16)} (${problems.length} problem(s), see console)`);
+        return;
+    }
+    if (onErrorCallback) onErrorCallback(`${prefix} ${error.message}`);
+}
+
+// Let the loading overlay paint before synchronous work on the page
+function nextFrame() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function openLazyCDB(data) {
+    setLoadingState(true, 'Indexing CDB file...');
+    await nextFrame();
+    try {
+        return new LazyCDBDatabase(data, SQL, {
+            onWarning: handleWarning,
+            onTableLoaded: (tableName, pendingCount) => {
+                if (onWarningCallback) onWarningCallback(`Loaded table ${tableName} (${pendingCount} not loaded yet)`);
+            }
+        });
+    } catch (error) {
+        // Same full structural report the worker gives for files that fail to load
+        error.problems = validateCDB(data).problems;
+        throw error;
+    } finally {
+        setLoadingState(false);
+    }
+}
+
+/**
+ * Decode the tables an on-demand database has not loaded yet, before exporting it as SQLite
+ */
+async function loadRemainingTables(db) {
+    if (!db.pendingTableCount) return;
+
+    setLoadingState(true, `Loading ${db.pendingTableCount} remaining table(s)...`);
+    await nextFrame();
+    try {
+        db.loadAll();
+    } finally {
+        setLoadingState(false);
+    }
 }
 
 function loadFile(file) {
     currentFileName = file.name;
-    const extension = file.name.split('.').pop().toLowerCase();
-    const isCDB = extension === 'cdb';
+    let isCDB = false;
 
     const reader = new FileReader();
 
-    reader.onload = function(e) {
-        const processFile = () => {
-            try {
-                const db = isCDB
-                    ? cdbToSQLite(e.target.result, SQL)
-                    : new SQL.Database(new Uint8Array(e.target.result));
-
-                if (isCDB) setLoadingState(false);
+    reader.onload = async function(e) {
+        try {
+            const format = detectFileFormat(e.target.result);
+            if (format === 'json') {
+                throw new Error('JSON exports cannot be opened here, convert them with "pcmdb convert" first');
+            }
+            isCDB = format === 'cdb';
 
-                onDatabaseLoadedCallback({
-                    db: db,
-                    fileName: currentFileName,
-                    format: isCDB ? 'cdb' : 'sqlite'
+            let db;
+            let sourceData = null;
+            if (isCDB && document.getElementById('lazyLoadToggle').checked) {
+                sourceData = e.target.result;
+                db = await openLazyCDB(sourceData);
+            } else if (isCDB) {
+                // The worker takes ownership of the buffer, keep the original bytes for the structure inspector
+                sourceData = e.target.result.slice(0);
+                setLoadingState(true, 'Loading CDB file...', 0);
+                const sqliteData = await runWorkerJob('load', e.target.result, progress => {
+                    const { message, fraction } = describeProgress('Loading', progress);
+                    setLoadingState(true, message, fraction);
                 });
-            } catch (error) {
-                if (isCDB) setLoadingState(false);
-                console.error('Error loading file:', error);
-                if (onErrorCallback) onErrorCallback('Error loading file: ' + error.message);
+                db = new SQL.Database(sqliteData);
+                setLoadingState(false);
+            } else {
+                db = new SQL.Database(new Uint8Array(e.target.result));
             }
-        };
 
-        if (isCDB) {
-            setLoadingState(true, 'Loading CDB file...');
-            setTimeout(processFile, 50);
-        } else {
-            processFile();
+            currentSourceData = sourceData;
+            showSourceCompression(db);
+            showDefaultDownloadFormat(format);
+            onDatabaseLoadedCallback({
+                db: db,
+                fileName: currentFileName,
+                format: format,
+                sourceData: sourceData
+            });
+        } catch (error) {
+            if (isCDB) setLoadingState(false);
+            reportJobError('Error loading file:', error);
         }
     };
 
     reader.onerror = function() {
-        if (isCDB) setLoadingState(false);
         if (onErrorCallback) onErrorCallback('Error reading file');
     };
 
     reader.readAsArrayBuffer(file);
 }
 
-function doDownload(data, downloadName) {
-    const blob = new Blob([data], { type: 'application/octet-stream' });
+/**
+ * Validate CDB bytes in the worker for the structure inspector; the caller keeps its copy
+ */
+async function inspectCDB(cdbData) {
+    setLoadingState(true, 'Checking CDB structure...');
+    try {
+        return await runWorkerJob('inspect', cdbData.slice(0), () => {});
+    } finally {
+        setLoadingState(false);
+    }
+}
+
+/**
+ * Show what "Same as loaded file" means for the database just loaded
+ */
+function showSourceCompression(db) {
+    const metadata = readCDBMetadata(db);
+    const option = document.querySelector('#cdbCompressionSelect option[value=""]');
+    option.textContent = metadata.compressed
+        ? `Same as loaded file (zlib ${describeCompressionLevel(metadata.compressionLevel ?? 6)})`
+        : 'Same as loaded file (uncompressed)';
+}
+
+/**
+ * Make the download buttons for the loaded file's own format the prominent ones
+ */
+function showDefaultDownloadFormat(format) {
+    document.querySelectorAll('#downloadBtn, #downloadBtnBottom').forEach(btn => {
+        btn.classList.toggle('button-secondary', format !== 'sqlite');
+    });
+    document.querySelectorAll('#downloadBtnCDB, #downloadBtnCDBBottom').forEach(btn => {
+        btn.classList.toggle('button-secondary', format !== 'cdb');
+    });
+}
+
+// Loaded file name with the new format's extension; .bak and similar suffixes of renamed copies are dropped too
+function downloadFileName(format) {
+    return currentFileName.replace(/(\.(cdb|sqlite|sqlite3|db|bak))+$/i, '') + '.' + format;
+}
+
+// undefined keeps the loaded file's compression
+function selectedCompression() {
+    const value = document.getElementById('cdbCompressionSelect').value;
+    return value === '' ? undefined : parseCompression(value);
+}
+
+function handleWarning(message) {
+    console.warn(message);
+    if (onWarningCallback) onWarningCallback(message);
+}
+
+function doDownload(data, downloadName, type = 'application/octet-stream') {
+    const blob = new Blob([data], { type });
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
@@ -126,7 +359,48 @@ function doDownload(data, downloadName) {
     URL.revokeObjectURL(url);
 }
 
-function downloadDatabase(format) {
+/**
+ * Ask whether to export anyway when cells would be masked or coerced on the way to CDB
+ */
+function confirmInvalidValues(invalidValues) {
+    console.table(invalidValues);
+    const shown = invalidValues.slice(0, 10).map(problem => {
+        const value = problem.value === null ? 'NULL' : JSON.stringify(problem.value);
+        return `• ${problem.table}.${problem.column} (rowid ${problem.rowid}): ${value}, allowed: ${problem.allowed}`;
+    });
+    if (invalidValues.length > shown.length) shown.push(`… ${invalidValues.length - shown.length} more (see console)`);
+
+    return confirm(`${invalidValues.length} value(s) do not fit their CDB column type and would be changed or truncated in the CDB file:\n\n` +
+        `${shown.join('\n')}\n\nExport anyway?`);
+}
+
+async function exportCDB(db, allowInvalidValues) {
+    setLoadingState(true, 'Generating CDB file...', 0);
+    try {
+        // Tables still pending in an on-demand database are copied from the loaded file as they are
+        const unloadedTables = db.pendingTableNames ?? [];
+        const sqliteData = unloadedTables.length > 0 ? db.exportLoaded() : db.export();
+        const cdbData = await runWorkerJob('export', sqliteData, progress => {
+            const { message, fraction } = describeProgress('Writing', progress);
+            setLoadingState(true, message, fraction);
+        }, { allowInvalidValues, source: currentSourceData, unloadedTables, compression: selectedCompression() });
+        setLoadingState(false);
+        doDownload(cdbData, downloadFileName('cdb'));
+    } catch (error) {
+        setLoadingState(false);
+        if (error.invalidValues?.length > 0) {
+            if (confirmInvalidValues(error.invalidValues)) {
+                await exportCDB(db, true);
+            } else if (onErrorCallback) {
+                onErrorCallback(`CDB export blocked: ${error.invalidValues.length} value(s) out of range for their column type (see console)`);
+            }
+            return;
+        }
+        reportJobError('Error exporting database:', error);
+    }
+}
+
+async function downloadDatabase(format) {
     const db = getDatabaseCallback();
     if (!db) {
         console.error('No database loaded');
@@ -134,24 +408,23 @@ function downloadDatabase(format) {
     }
 
     if (format === 'cdb') {
-        setLoadingState(true, 'Generating CDB file...');
-        setTimeout(() => {
-            try {
-                doDownload(sqliteToCDB(db), currentFileName.replace(/\.(sqlite|db)$/, '.cdb'));
-                setLoadingState(false);
-            } catch (error) {
-                setLoadingState(false);
-                console.error('Error exporting database:', error);
-                throw error;
-            }
-        }, 50);
-    } else {
-        doDownload(db.export(), currentFileName.replace(/\.cdb$/, '.sqlite'));
+        await exportCDB(db, false);
+        return;
+    }
+
+    try {
+        await loadRemainingTables(db);
+    } catch (error) {
+        reportJobError('Error loading tables:', error);
+        return;
     }
+    doDownload(db.export(), downloadFileName('sqlite'));
 }
 
 
 export const PCMFileHandler = {
     init: init,
-    downloadDatabase: downloadDatabase
+    downloadDatabase: downloadDatabase,
+    inspectCDB: inspectCDB,
+    downloadFile: doDownload
 };
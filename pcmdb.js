@@ -0,0 +1,495 @@
+#!/usr/bin/env node
+
+/**
+ * PCM Database Command Line Tool
+ * Converts and inspects CDB and SQLite files under plain Node
+ *
+ * Usage:
+ *   pcmdb convert <input...> [-o <output> | --out-dir <dir>] [--to sqlite|cdb|json|jsonl] [--allow-invalid] [--source <cdb>] [--compression none|0-9] [--profile <id>]
+ *   pcmdb info <input>
+ *   pcmdb dump-table <input> <table> [--format tsv|csv|json] [--limit <n>]
+ *   pcmdb repack <input...> [-o <output> | --out-dir <dir>] [--allow-invalid] [--compression none|0-9] [--profile <id>]
+ *   pcmdb validate <input...>
+ *   pcmdb diff <old> <new> [--limit <n>]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import {
+    cdbToSQLite, sqliteToCDB, parseCompression, describeCompressionLevel, detectFileFormat, readCDBMetadata, detectDatabaseProfile,
+    findInvalidValues, formatInvalidValue, assignCDBLayout,
+    databaseToJSON, jsonToDatabase, formatDatabaseJSON, formatDatabaseJSONL, parseDatabaseJSONL
+} from './cdb_converter.js';
+import { validateCDB, formatValidationReport } from './cdb_validator.js';
+import { getProfile } from './cdb_profiles.js';
+import { diffCDB, formatDiffReport } from './cdb_diff.js';
+import { formatCSV } from './table_csv.js';
+
+const USAGE = `Usage:
+  pcmdb convert <input...> [-o <output> | --out-dir <dir>] [--to sqlite|cdb|json|jsonl] [--allow-invalid] [--source <cdb>] [--compression none|0-9] [--profile <id>]
+      Convert CDB files to SQLite and SQLite or JSON files to CDB
+      (--to json: one file with one row per line; --to jsonl: a directory with database.json
+       and one <table>.jsonl per table, for keeping saves in git; both are read back as input;
+       --allow-invalid: write values out of range for their CDB type instead of refusing;
+       --source: the CDB file the SQLite file came from, unchanged tables and columns are copied from it;
+       --compression: write an uncompressed CDB file or use this zlib level, instead of what the input used;
+       --profile: game version to take missing flags from, instead of detecting it (see cdb_profiles.js))
+  pcmdb info <input>
+      List the tables of a CDB, SQLite or JSON file
+  pcmdb dump-table <input> <table> [--format tsv|csv|json] [--limit <n>]
+      Print the rows of one table
+  pcmdb repack <input...> [-o <output> | --out-dir <dir>] [--allow-invalid] [--compression none|0-9] [--profile <id>]
+      Read CDB files and write them back out through the converter (--compression and --profile as for convert)
+  pcmdb validate <input...>
+      Check the structure of CDB files, or the values of SQLite files against
+      their CDB column types, and list every problem found
+  pcmdb diff <old> <new> [--limit <n>]
+      Compare two CDB files by table, column and row (--limit: rows listed per column)
+
+Input formats are recognised from the file contents, whatever the file is called.
+
+Exit status: 0 on success, 1 if a file failed (or diff found differences), 2 on a usage error.`;
+
+// Exit status for mistakes on the command line, as opposed to problems with the files
+const EXIT_USAGE = 2;
+
+// Errors in the arguments themselves; main prints the usage after them
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+// Options that take a value; everything else starting with '-' is a flag
+const VALUE_OPTIONS = {
+    '-o': 'output',
+    '--output': 'output',
+    '--out-dir': 'outDir',
+    '--to': 'to',
+    '--format': 'format',
+    '--limit': 'limit',
+    '--source': 'source',
+    '--compression': 'compression',
+    '--profile': 'profile'
+};
+
+// Options that take no value
+const FLAG_OPTIONS = {
+    '--allow-invalid': 'allowInvalid'
+};
+
+function parseArgs(argv) {
+    const args = { positional: [], options: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (VALUE_OPTIONS[arg]) {
+            if (i + 1 >= argv.length) {
+                throw usageError(`Option ${arg} requires a value`);
+            }
+            args.options[VALUE_OPTIONS[arg]] = argv[++i];
+        } else if (FLAG_OPTIONS[arg]) {
+            args.options[FLAG_OPTIONS[arg]] = true;
+        } else if (arg === '-h' || arg === '--help') {
+            args.options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw usageError(`Unknown option: ${arg}`);
+        } else {
+            args.positional.push(arg);
+        }
+    }
+
+    return args;
+}
+
+// Directory holding the header of a JSON Lines export, next to one <table>.jsonl per table
+const JSONL_HEADER_FILE = 'database.json';
+
+// Input format from the file's first bytes, so renamed saves and .bak copies are read correctly
+function getFormat(filePath) {
+    if (fs.statSync(filePath).isDirectory()) return 'jsonl';
+
+    const header = Buffer.alloc(64);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+        return detectFileFormat(header.subarray(0, bytesRead));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function readArrayBuffer(filePath) {
+    // Buffers from readFileSync may share a pooled ArrayBuffer, so copy out the exact range
+    const buffer = fs.readFileSync(filePath);
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+function jsonlTablePath(dirPath, tableName) {
+    return path.join(dirPath, encodeURIComponent(tableName) + '.jsonl');
+}
+
+function openDatabase(filePath, SQL) {
+    const format = getFormat(filePath);
+    switch (format) {
+        case 'cdb':
+            return { db: cdbToSQLite(readArrayBuffer(filePath), SQL), format };
+        case 'json':
+            return { db: jsonToDatabase(JSON.parse(fs.readFileSync(filePath, 'utf8')), SQL), format };
+        case 'jsonl': {
+            const doc = parseDatabaseJSONL(
+                fs.readFileSync(path.join(filePath, JSONL_HEADER_FILE), 'utf8'),
+                tableName => fs.readFileSync(jsonlTablePath(filePath, tableName), 'utf8')
+            );
+            return { db: jsonToDatabase(doc, SQL), format };
+        }
+        default:
+            return { db: new SQL.Database(new Uint8Array(readArrayBuffer(filePath))), format };
+    }
+}
+
+/**
+ * Write a JSON Lines export, removing .jsonl files of tables that no longer exist
+ * so the directory can be committed as it is
+ *
+ * Only files of tables the existing database.json lists are removed; a non-empty
+ * directory without database.json is refused rather than touched.
+ */
+function writeJSONLDirectory(dirPath, doc) {
+    const { header, tables } = formatDatabaseJSONL(doc);
+    fs.mkdirSync(dirPath, { recursive: true });
+
+    const headerPath = path.join(dirPath, JSONL_HEADER_FILE);
+    if (!fs.existsSync(headerPath)) {
+        if (fs.readdirSync(dirPath).length > 0) {
+            throw new Error(`${dirPath} is not empty and has no ${JSONL_HEADER_FILE}; choose an empty or JSON Lines directory`);
+        }
+    } else {
+        const previous = JSON.parse(fs.readFileSync(headerPath, 'utf8'));
+        const written = new Set(tables.map(table => table.name));
+        (Array.isArray(previous.tables) ? previous.tables : [])
+            .filter(tableName => typeof tableName === 'string' && !written.has(tableName))
+            .map(tableName => jsonlTablePath(dirPath, tableName))
+            .filter(filePath => fs.existsSync(filePath))
+            .forEach(filePath => fs.unlinkSync(filePath));
+    }
+
+    fs.writeFileSync(headerPath, header);
+    tables.forEach(table => fs.writeFileSync(jsonlTablePath(dirPath, table.name), table.text));
+}
+
+function resolveOutputPath(inputPath, extension, options, inputCount) {
+    if (options.output) {
+        if (inputCount > 1) {
+            throw new Error('-o can only be used with a single input, use --out-dir for batches');
+        }
+        return options.output;
+    }
+
+    const baseName = path.basename(inputPath, path.extname(inputPath)) + extension;
+    return path.join(options.outDir ?? path.dirname(inputPath), baseName);
+}
+
+/**
+ * Run an operation over every input, reporting failures without stopping the batch
+ */
+function forEachInput(inputs, operation) {
+    let failures = 0;
+
+    inputs.forEach(inputPath => {
+        try {
+            const outputPath = operation(inputPath);
+            console.log(`✓ ${inputPath} → ${outputPath}`);
+        } catch (error) {
+            failures++;
+            console.error(`✗ ${inputPath}: ${error.message}`);
+        }
+    });
+
+    if (inputs.length > 1) {
+        console.log(`${inputs.length - failures}/${inputs.length} files processed`);
+    }
+    return failures === 0 ? 0 : 1;
+}
+
+function commandConvert(SQL, args) {
+    const inputs = args.positional;
+    if (inputs.length === 0) throw usageError('convert requires at least one input file');
+
+    const target = args.options.to;
+    if (target && !['sqlite', 'cdb', 'json', 'jsonl'].includes(target)) {
+        throw usageError(`Unknown target format: ${target}`);
+    }
+    if (args.options.outDir) fs.mkdirSync(args.options.outDir, { recursive: true });
+    const source = args.options.source ? readArrayBuffer(args.options.source) : null;
+    const writeOptions = readWriteOptions(args.options, source);
+
+    return forEachInput(inputs, inputPath => {
+        const { db, format } = openDatabase(inputPath, SQL);
+        try {
+            const outputFormat = target ?? (format === 'cdb' ? 'sqlite' : 'cdb');
+            // JSON Lines go to a directory named after the input
+            const extension = outputFormat === 'jsonl' ? '' : '.' + outputFormat;
+            const outputPath = resolveOutputPath(inputPath, extension, args.options, inputs.length);
+            if (path.resolve(outputPath) === path.resolve(inputPath)) {
+                throw new Error('Refusing to overwrite the input file');
+            }
+
+            switch (outputFormat) {
+                case 'cdb':
+                    fs.writeFileSync(outputPath, Buffer.from(writeCDB(db, writeOptions)));
+                    break;
+                case 'json':
+                    fs.writeFileSync(outputPath, formatDatabaseJSON(databaseToJSON(db, { profile: writeOptions.profile })));
+                    break;
+                case 'jsonl':
+                    writeJSONLDirectory(outputPath, databaseToJSON(db, { profile: writeOptions.profile }));
+                    break;
+                default:
+                    fs.writeFileSync(outputPath, Buffer.from(db.export()));
+            }
+            return outputPath;
+        } finally {
+            db.close();
+        }
+    });
+}
+
+// sqliteToCDB options from the command line, checked once so a typo fails before any file is read
+function readWriteOptions(options, source = null) {
+    if (options.profile !== undefined) getProfile(options.profile);
+    return {
+        allowInvalidValues: options.allowInvalid,
+        source,
+        compression: options.compression === undefined ? undefined : parseCompression(options.compression),
+        profile: options.profile
+    };
+}
+
+function writeCDB(db, writeOptions) {
+    try {
+        return sqliteToCDB(db, writeOptions);
+    } catch (error) {
+        if (error.invalidValues) {
+            error.message += '\n  Fix the values or pass --allow-invalid to write them anyway';
+        }
+        throw error;
+    }
+}
+
+function commandRepack(SQL, args) {
+    const inputs = args.positional;
+    if (inputs.length === 0) throw usageError('repack requires at least one input file');
+    if (args.options.outDir) fs.mkdirSync(args.options.outDir, { recursive: true });
+    const writeOptions = readWriteOptions(args.options);
+
+    return forEachInput(inputs, inputPath => {
+        if (getFormat(inputPath) !== 'cdb') {
+            throw new Error('repack only accepts CDB files');
+        }
+
+        const outputPath = resolveOutputPath(inputPath, '.repacked.cdb', args.options, inputs.length);
+        const db = cdbToSQLite(readArrayBuffer(inputPath), SQL);
+        try {
+            fs.writeFileSync(outputPath, Buffer.from(writeCDB(db, writeOptions)));
+            return outputPath;
+        } finally {
+            db.close();
+        }
+    });
+}
+
+function commandValidate(SQL, args) {
+    const inputs = args.positional;
+    if (inputs.length === 0) throw usageError('validate requires at least one input file');
+
+    let invalid = 0;
+    inputs.forEach(inputPath => {
+        if (getFormat(inputPath) !== 'cdb') {
+            if (!validateValues(SQL, inputPath)) invalid++;
+            return;
+        }
+
+        const result = validateCDB(readArrayBuffer(inputPath));
+        if (!result.valid) invalid++;
+
+        console.log(`${result.valid ? '✓' : '✗'} ${inputPath}`);
+        if (result.problems.length > 0) {
+            console.log(formatValidationReport(result).replace(/^/gm, '    '));
+        }
+    });
+
+    return invalid === 0 ? 0 : 1;
+}
+
+/**
+ * Check an SQLite file's values against the CDB types of their columns,
+ * after giving new tables and columns the layout convert would assign them
+ */
+function validateValues(SQL, inputPath) {
+    const { db } = openDatabase(inputPath, SQL);
+    try {
+        const layoutChanges = assignCDBLayout(db);
+        const invalidValues = findInvalidValues(db);
+        console.log(`${invalidValues.length === 0 ? '✓' : '✗'} ${inputPath}`);
+        layoutChanges.forEach(change => console.log(`    ${change}`));
+        invalidValues.forEach(problem => console.log(`    ${formatInvalidValue(problem)}`));
+        if (invalidValues.length > 0) {
+            console.log(`    ${invalidValues.length} value(s) out of range for their CDB column type`);
+        }
+        return invalidValues.length === 0;
+    } finally {
+        db.close();
+    }
+}
+
+function commandDiff(SQL, args) {
+    if (args.positional.length !== 2) throw usageError('diff requires two input files');
+
+    const limit = parseLimit(args.options.limit);
+    const [oldPath, newPath] = args.positional;
+    const report = diffCDB(readArrayBuffer(oldPath), readArrayBuffer(newPath), {
+        maxRowDiffs: limit ?? undefined
+    });
+
+    console.log(`--- ${oldPath}`);
+    console.log(`+++ ${newPath}`);
+    console.log(formatDiffReport(report));
+
+    // Same convention as diff(1): 0 identical, 1 different
+    return report.identical ? 0 : 1;
+}
+
+function commandInfo(SQL, args) {
+    if (args.positional.length !== 1) throw usageError('info requires exactly one input file');
+
+    const inputPath = args.positional[0];
+    const { db, format } = openDatabase(inputPath, SQL);
+
+    try {
+        const result = db.exec(`SELECT TableName, ID FROM DB_STRUCTURE ORDER BY ID`);
+        if (result.length === 0) {
+            throw new Error('No DB_STRUCTURE table found');
+        }
+
+        const metadata = readCDBMetadata(db);
+        const rows = result[0].values.map(([name, id]) => {
+            const columnCount = db.exec(`PRAGMA table_info("${name}")`)[0]?.values.length ?? 0;
+            const rowCount = db.exec(`SELECT COUNT(*) FROM "${name}"`)[0].values[0][0];
+            return [String(id), name, String(rowCount), String(columnCount), String(metadata.tableFlags.get(id) ?? '')];
+        });
+
+        console.log(`File: ${inputPath}`);
+        console.log(`Format: ${format}`);
+        const detection = detectDatabaseProfile(db);
+        console.log(`Database flags: ${metadata.databaseFlags ?? 'not recorded'}`);
+        console.log(`Game version: ${detection.profile ? `${detection.profile.name} (${detection.evidence.join(', ')})` : 'unknown'}`);
+        console.log(`Compression: ${metadata.compressed ? `zlib (${metadata.compressionLevel === null ? 'default level' : describeCompressionLevel(metadata.compressionLevel)})` : 'none'}`);
+        console.log(`Tables: ${rows.length}`);
+        console.log('');
+        printAligned([['ID', 'Table', 'Rows', 'Columns', 'Flags'], ...rows]);
+        return 0;
+    } finally {
+        db.close();
+    }
+}
+
+function commandDumpTable(SQL, args) {
+    if (args.positional.length !== 2) throw usageError('dump-table requires an input file and a table name');
+
+    const [inputPath, tableName] = args.positional;
+    const format = args.options.format ?? 'tsv';
+    if (!['tsv', 'csv', 'json'].includes(format)) {
+        throw usageError(`Unknown dump format: ${format}`);
+    }
+
+    const limit = parseLimit(args.options.limit);
+
+    const { db } = openDatabase(inputPath, SQL);
+
+    try {
+        const exists = db.exec(`SELECT 1 FROM sqlite_master WHERE type='table' AND name = ?`, [tableName]);
+        if (exists.length === 0) {
+            throw new Error(`Table '${tableName}' not found`);
+        }
+
+        const columns = db.exec(`PRAGMA table_info("${tableName}")`)[0].values.map(row => row[1]);
+        const limitClause = limit !== null ? ` LIMIT ${limit}` : '';
+        const result = db.exec(`SELECT * FROM "${tableName}"${limitClause}`);
+        const rows = result.length > 0 ? result[0].values : [];
+
+        if (format === 'json') {
+            const objects = rows.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+            console.log(JSON.stringify(objects, null, 2));
+        } else if (format === 'csv') {
+            process.stdout.write(formatCSV(columns, rows));
+        } else {
+            [columns, ...rows].forEach(row => {
+                console.log(row.map(tsvEscape).join('\t'));
+            });
+        }
+        return 0;
+    } finally {
+        db.close();
+    }
+}
+
+function parseLimit(value) {
+    if (value === undefined) return null;
+    if (!/^\d+$/.test(value)) {
+        throw usageError(`Invalid limit: ${value} (expected a whole number)`);
+    }
+    return Number(value);
+}
+
+function tsvEscape(value) {
+    if (value === null) return '';
+    return String(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+function printAligned(rows) {
+    const widths = rows[0].map((_, colIdx) => Math.max(...rows.map(row => row[colIdx].length)));
+    rows.forEach(row => {
+        console.log(row.map((cell, colIdx) => cell.padEnd(widths[colIdx])).join('  ').trimEnd());
+    });
+}
+
+const COMMANDS = {
+    'convert': commandConvert,
+    'info': commandInfo,
+    'dump-table': commandDumpTable,
+    'repack': commandRepack,
+    'validate': commandValidate,
+    'diff': commandDiff
+};
+
+async function main(argv) {
+    const [commandName, ...rest] = argv;
+
+    if (!commandName || commandName === '-h' || commandName === '--help') {
+        console.log(USAGE);
+        return commandName ? 0 : EXIT_USAGE;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) throw usageError(`Unknown command: ${commandName}`);
+
+    const args = parseArgs(rest);
+    if (args.options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    // sql.js locates its wasm file next to the module in node_modules
+    const SQL = await initSqlJs();
+    return command(SQL, args);
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+}).catch(error => {
+    console.error(`Error: ${error.message}`);
+    if (error.usage) console.error(`\n${USAGE}`);
+    process.exitCode = error.usage ? EXIT_USAGE : 1;
+});
@@ -3,12 +3,26 @@
  * Handles SQL console UI rendering and query execution
  */
 
+import { formatFloat32 } from './cdb_converter.js';
+
 export function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
+/**
+ * Text for a cell value. Results carry no column types, so any fractional number that is
+ * exactly a float32 (as every FLOAT column value read from a CDB file is) is shown as its
+ * shortest float32 text: 0.3 rather than 0.30000001192092896.
+ */
+export function formatCellValue(value) {
+    if (typeof value === 'number' && !Number.isInteger(value) && Math.fround(value) === value) {
+        return formatFloat32(value);
+    }
+    return String(value);
+}
+
 /**
  * Check if a query is a write operation
  */
@@ -36,9 +50,11 @@ function getSchemaInfo(db) {
             type: row[2],
             pk: row[5]
         }));
-        const countResult = db.exec(`SELECT COUNT(*) FROM "${tableName}"`);
+        // Tables of an on-demand CDB database (cdb_lazy.js) are only decoded once a query uses them
+        const pendingRowCount = db.pendingRowCount?.(tableName) ?? null;
+        const rowCount = pendingRowCount ?? db.exec(`SELECT COUNT(*) FROM "${tableName}"`)[0].values[0][0];
 
-        return { name: tableName, columns, rowCount: countResult[0].values[0][0] };
+        return { name: tableName, columns, rowCount, loaded: pendingRowCount === null };
     });
 }
 
@@ -133,7 +149,7 @@ function renderResultsTable(data, rowLimit, offset, append = false) {
         const bgColor = actualIndex % 2 === 0 ? '#fff' : '#f9f9f9';
         html += `<tr style="background: ${bgColor}; border-bottom: 1px solid #eee;">`;
         row.forEach(cell => {
-            const cellValue = cell === null ? '<em style="color: #999;">NULL</em>' : escapeHtml(String(cell));
+            const cellValue = cell === null ? '<em style="color: #999;">NULL</em>' : escapeHtml(formatCellValue(cell));
             html += `<td style="padding: 8px 10px; border-right: 1px solid #eee;">${cellValue}</td>`;
         });
         html += '</tr>';
@@ -173,7 +189,7 @@ function renderSchemaTable(table) {
     return `<div style="margin-bottom: 15px;">
         <div style="font-weight: 600; color: #333; margin-bottom: 5px;">
             <span class="schema-table" data-name="${escapeHtml(table.name)}" style="cursor: pointer; color: #007bff; text-decoration: underline;">${escapeHtml(table.name)}</span>
-            <span style="color: #666; font-weight: normal; font-size: 12px;">(${table.rowCount} rows)</span>
+            <span style="color: #666; font-weight: normal; font-size: 12px;">(${table.rowCount} rows${table.loaded ? '' : ', not loaded yet'})</span>
         </div>
         <div style="margin-left: 20px; font-size: 13px;">${columns}</div>
     </div>`;
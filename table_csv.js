@@ -0,0 +1,284 @@
+/**
+ * Table CSV Exchange
+ * Exports a table (or some of its columns) as CSV and imports an edited copy:
+ * rows are matched by key columns, every cell is checked against the CDB data
+ * type of its column, and the resulting changes can be previewed before they
+ * are applied in one transaction
+ *
+ * Works on any database with CDB-encoded column types (see cdbToSQLite),
+ * in the browser and under Node.
+ */
+
+import { DATA_TYPE, ALLOWED_VALUES, readColumnInfo, isValidCDBValue, normalizeFloat32, formatFloat32 } from './cdb_converter.js';
+
+// Problems listed in a plan before the rest are only counted
+const MAX_PROBLEMS = 200;
+
+function escapeCSVCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text (RFC 4180, CRLF line endings) with a header row
+ */
+export function formatCSV(columns, rows) {
+    return [columns, ...rows].map(row => row.map(escapeCSVCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Spreadsheets in some locales save with ';' or tabs; pick whichever the header line uses most
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"(?:[^"]|"")*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+    return counts.reduce((best, candidate) => candidate[1] > best[1] ? candidate : best)[0];
+}
+
+/**
+ * Parse CSV text into rows of strings
+ * Handles quoted cells with embedded delimiters, quotes and line breaks, a UTF-8 BOM,
+ * and ',', ';' or tab as the delimiter. Blank lines are skipped.
+ */
+export function parseCSV(text) {
+    if (text.startsWith('\uFEFF')) text = text.slice(1);
+    const delimiter = detectDelimiter(text);
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = 0;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            endRow();
+            if (char === '\r' && text[i + 1] === '\n') i++;
+        } else {
+            cell += char;
+        }
+        i++;
+    }
+    if (quoted) throw new Error('CSV ends inside a quoted cell');
+    if (cell !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+/**
+ * Export a table as CSV, in rowid order
+ * columns defaults to every column of the table. options.query selects the rows instead: a
+ * SELECT of exactly those columns, in that order (e.g. a task's record set). FLOAT values are
+ * written as their shortest float32 text (0.3, not 0.30000001192092896).
+ */
+export function exportTableCSV(db, tableName, columns = null, options = {}) {
+    const columnInfo = readColumnInfo(db, tableName);
+    const names = columns ?? Object.keys(columnInfo);
+    const query = options.query ?? `SELECT ${names.map(name => `"${name}"`).join(', ')} FROM "${tableName}" ORDER BY rowid`;
+    const result = db.exec(query);
+    const isFloat = names.map(name => columnInfo[name]?.cdbDataType === DATA_TYPE.FLOAT);
+    const rows = (result[0]?.values ?? []).map(row =>
+        row.map((value, colIdx) => isFloat[colIdx] && typeof value === 'number' ? formatFloat32(value) : value)
+    );
+    return formatCSV(names, rows);
+}
+
+/**
+ * The value a CSV cell stands for in a column of this DATA_TYPE, or undefined if it cannot be one
+ * Numbers accept surrounding spaces, BOOLEAN also TRUE/FALSE as spreadsheets write them;
+ * STRING cells are taken as they are. Empty cells are handled by the caller.
+ */
+function parseCell(dataType, text) {
+    switch (dataType) {
+        case DATA_TYPE.STRING:
+            return text;
+        case DATA_TYPE.FLOAT_LIST:
+        case DATA_TYPE.INTEGER_LIST:
+            return text.trim();
+        case DATA_TYPE.BOOLEAN: {
+            const upper = text.trim().toUpperCase();
+            if (upper === 'TRUE') return 1;
+            if (upper === 'FALSE') return 0;
+        }
+        // falls through
+        default: {
+            const value = Number(text.trim());
+            return Number.isFinite(value) ? value : undefined;
+        }
+    }
+}
+
+// Spreadsheets shorten floats; any text that gives the same float32 is unchanged
+function sameValue(dataType, oldValue, newValue) {
+    if (dataType === DATA_TYPE.FLOAT && typeof oldValue === 'number') {
+        return Math.fround(oldValue) === Math.fround(newValue);
+    }
+    if (oldValue === null && newValue === '') return true;
+    return Object.is(oldValue, newValue);
+}
+
+/**
+ * Work out what importing CSV text into a table would change, without changing anything
+ *
+ * The header row names the columns; only those are compared, and every keyColumns
+ * entry (default: the table's first column) must be among them. Each data row must
+ * match exactly one existing row by its key; rows are never added or removed.
+ *
+ * Returns {
+ *   tableName, keyColumns, columns, rowCount,
+ *   changes: [{ line, rowid, key, column, oldValue, newValue }],
+ *   problems: [{ line, column, value, message }] (line 1 is the header),
+ *   problemCount, changedRowCount
+ * }
+ */
+export function planCSVImport(db, tableName, text, options = {}) {
+    const columnInfo = readColumnInfo(db, tableName);
+    const keyColumns = options.keyColumns ?? [Object.keys(columnInfo)[0]];
+    const plan = { tableName, keyColumns, columns: [], rowCount: 0, changes: [], problems: [], problemCount: 0, changedRowCount: 0 };
+    const addProblem = (line, column, value, message) => {
+        plan.problemCount++;
+        if (plan.problems.length < MAX_PROBLEMS) plan.problems.push({ line, column, value, message });
+    };
+
+    const [header, ...rows] = parseCSV(text);
+    if (!header) {
+        addProblem(1, null, null, 'CSV is empty');
+        return plan;
+    }
+    plan.columns = header.map(name => name.trim());
+    plan.rowCount = rows.length;
+
+    plan.columns.forEach((name, colIdx) => {
+        if (!columnInfo[name]) addProblem(1, name, null, `Table '${tableName}' has no column '${name}'`);
+        if (plan.columns.indexOf(name) !== colIdx) addProblem(1, name, null, `Column '${name}' appears more than once`);
+    });
+    keyColumns.forEach(name => {
+        if (!plan.columns.includes(name)) addProblem(1, name, null, `Key column '${name}' is missing`);
+    });
+    if (plan.problemCount > 0) return plan;
+
+    // Existing rows by key; a key shared by several rows cannot be matched
+    const keyResult = db.exec(`SELECT rowid, ${plan.columns.map(name => `"${name}"`).join(', ')} FROM "${tableName}"`);
+    const existing = new Map();
+    (keyResult[0]?.values ?? []).forEach(([rowid, ...values]) => {
+        const key = JSON.stringify(keyColumns.map(name => values[plan.columns.indexOf(name)]));
+        existing.set(key, existing.has(key) ? null : { rowid, values });
+    });
+
+    const seenKeys = new Map();
+    rows.forEach((cells, rowIdx) => {
+        const line = rowIdx + 2;
+        if (cells.length !== plan.columns.length) {
+            addProblem(line, null, null, `Expected ${plan.columns.length} cells, found ${cells.length}`);
+            return;
+        }
+
+        let valid = true;
+        const values = cells.map((cell, colIdx) => {
+            const column = plan.columns[colIdx];
+            const dataType = columnInfo[column].cdbDataType;
+            // Empty cells are how NULLs export; they are only accepted where the row already has NULL
+            if (dataType !== DATA_TYPE.STRING && cell.trim() === '') return null;
+            const value = parseCell(dataType, cell);
+            if (value === undefined || !isValidCDBValue(dataType, value)) {
+                addProblem(line, column, cell, `Expected ${ALLOWED_VALUES[dataType]}`);
+                valid = false;
+                return value;
+            }
+            // Stored as it will read back from the CDB file, so exporting and reloading does not drift
+            return normalizeFloat32(dataType, value);
+        });
+        if (!valid) return;
+
+        const keyValues = keyColumns.map(name => values[plan.columns.indexOf(name)]);
+        const key = JSON.stringify(keyValues);
+        const keyText = keyColumns.map((name, i) => `${name} = ${keyValues[i]}`).join(', ');
+        const target = existing.get(key);
+        if (target === undefined) {
+            addProblem(line, null, null, `No row with ${keyText}`);
+            return;
+        }
+        if (target === null) {
+            addProblem(line, null, null, `Several rows have ${keyText}, cannot tell which one to update`);
+            return;
+        }
+        if (seenKeys.has(key)) {
+            addProblem(line, null, null, `${keyText} already appears on line ${seenKeys.get(key)}`);
+            return;
+        }
+        seenKeys.set(key, line);
+
+        let changed = false;
+        values.forEach((value, colIdx) => {
+            const column = plan.columns[colIdx];
+            const dataType = columnInfo[column].cdbDataType;
+            const oldValue = target.values[colIdx];
+            if (keyColumns.includes(column) || sameValue(dataType, oldValue, value)) return;
+            if (value === null) {
+                addProblem(line, column, '', `Expected ${ALLOWED_VALUES[dataType]}`);
+                return;
+            }
+            plan.changes.push({ line, rowid: target.rowid, key: keyText, column, oldValue, newValue: value });
+            changed = true;
+        });
+        if (changed) plan.changedRowCount++;
+    });
+
+    return plan;
+}
+
+/**
+ * Apply a plan from planCSVImport in one transaction; nothing is written if any update fails
+ * Throws if the plan has problems (error.problems lists them). Returns the number of rows updated.
+ */
+export function applyCSVImport(db, plan) {
+    if (plan.problemCount > 0) {
+        const error = new Error(`CSV import has ${plan.problemCount} problem(s), nothing was changed`);
+        error.problems = plan.problems;
+        throw error;
+    }
+
+    const byRow = new Map();
+    plan.changes.forEach(change => {
+        if (!byRow.has(change.rowid)) byRow.set(change.rowid, []);
+        byRow.get(change.rowid).push(change);
+    });
+
+    db.run('SAVEPOINT csv_import');
+    try {
+        byRow.forEach((changes, rowid) => {
+            const assignments = changes.map(change => `"${change.column}" = ?`).join(', ');
+            db.run(`UPDATE "${plan.tableName}" SET ${assignments} WHERE rowid = ?`, [...changes.map(change => change.newValue), rowid]);
+        });
+        db.run('RELEASE csv_import');
+    } catch (error) {
+        db.run('ROLLBACK TO csv_import');
+        db.run('RELEASE csv_import');
+        throw error;
+    }
+
+    return byRow.size;
+}
@@ -3,7 +3,89 @@
  * Handles loading and processing task definitions for the database editor
  */
 
-function validateTask(task, taskName) {
+import { DATA_TYPE, ALLOWED_VALUES, readColumnDataTypes, isValidCDBValue, normalizeFloat32 } from './cdb_converter.js';
+
+// 'column', 'Table.column', either followed by ASC or DESC
+const ORDER_TERM_PATTERN = /^\s*([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)?)(?:\s+(ASC|DESC))?\s*$/i;
+
+/**
+ * Check that a filter or computed field is one SQL condition or expression: it is pasted into
+ * a query, so a ';', a comment or an unclosed quote or parenthesis would break out of it
+ */
+function validateSQLFragment(sql, name, kind) {
+    if (typeof sql !== 'string' || sql.trim() === '') {
+        return [`${name} must be a non-empty SQL ${kind}`];
+    }
+
+    // Quoted text may contain anything; check what is left outside it
+    const unquoted = sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"/g, '0');
+    const errors = [];
+    if (/['"]/.test(unquoted)) errors.push(`${name} has an unclosed quote`);
+    if (unquoted.includes(';')) errors.push(`${name} must be a single ${kind} without ';'`);
+    if (/--|\/\*/.test(unquoted)) errors.push(`${name} must not contain SQL comments`);
+
+    let depth = 0;
+    for (const char of unquoted) {
+        if (char === '(') depth++;
+        if (char === ')' && --depth < 0) break;
+    }
+    if (depth !== 0) errors.push(`${name} has unbalanced parentheses`);
+    return errors;
+}
+
+// Comparisons a rule can make; like SQL, a rule involving a NULL value is not checked
+const RULE_OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '=': (a, b) => a == b,
+    '!=': (a, b) => a != b,
+    '>=': (a, b) => a >= b,
+    '>': (a, b) => a > b
+};
+
+const RULE_SEVERITIES = ['error', 'warning'];
+
+const isColumnName = value => typeof value === 'string' && /^[A-Za-z_]\w*$/.test(value);
+
+function validateRule(rule, index) {
+    const errors = [];
+    const where = `rules[${index}]`;
+
+    if (typeof rule !== 'object' || rule === null) return [`${where} must be an object`];
+    if (!isColumnName(rule.left)) errors.push(`${where}.left must be a column of main_table`);
+    if (!RULE_OPERATORS[rule.op]) errors.push(`${where}.op must be one of ${Object.keys(RULE_OPERATORS).join(' ')}`);
+    if ((rule.right === undefined) === (rule.value === undefined)) {
+        errors.push(`${where} needs either right (a column) or value (a constant)`);
+    } else if (rule.right !== undefined && !isColumnName(rule.right)) {
+        errors.push(`${where}.right must be a column of main_table`);
+    } else if (rule.value !== undefined && !['number', 'string'].includes(typeof rule.value)) {
+        errors.push(`${where}.value must be a number or a string`);
+    }
+    if (rule.severity !== undefined && !RULE_SEVERITIES.includes(rule.severity)) {
+        errors.push(`${where}.severity must be 'error' or 'warning'`);
+    }
+    if (rule.message !== undefined && typeof rule.message !== 'string') {
+        errors.push(`${where}.message must be a string`);
+    }
+    return errors;
+}
+
+function validateComputedGroup(groupName, group) {
+    const errors = validateSQLFragment(group.values.sql, `Computed group '${groupName}' sql`, 'expression');
+    if (!Array.isArray(group.columns) || group.columns.length !== 1) {
+        errors.push(`Computed group '${groupName}' must have exactly one column (the field's name)`);
+    }
+    const decimals = group.values.decimals;
+    if (decimals !== undefined && !(Number.isInteger(decimals) && decimals >= 0 && decimals <= 10)) {
+        errors.push(`Computed group '${groupName}' decimals must be an integer from 0 to 10`);
+    }
+    return errors;
+}
+
+/**
+ * Check a task definition as loadTaskDefinitions does; throws one Error listing every problem
+ */
+export function validateTask(task, taskName) {
     const errors = [];
 
     if (!task.name) errors.push('Missing required field: name');
@@ -23,13 +105,49 @@ function validateTask(task, taskName) {
             if (!recordGroup.values || !recordGroup.values.type) {
                 errors.push(`Record identifier group '${task.record_identifier}' missing values.type`);
             }
+            if (recordGroup.key !== undefined) {
+                if (!Array.isArray(recordGroup.key) || recordGroup.key.length === 0) {
+                    errors.push(`Record identifier group '${task.record_identifier}' key must be a non-empty array of columns`);
+                } else if (recordGroup.key.some(column => typeof column !== 'string' || column.includes('.'))) {
+                    errors.push(`Record identifier group '${task.record_identifier}' key columns must be unqualified columns of main_table`);
+                }
+            }
         }
     }
 
+    if (task.filter !== undefined) {
+        errors.push(...validateSQLFragment(task.filter, 'filter', 'condition'));
+    }
+
+    if (task.rules !== undefined) {
+        if (!Array.isArray(task.rules)) {
+            errors.push('rules must be an array');
+        } else {
+            task.rules.forEach((rule, index) => errors.push(...validateRule(rule, index)));
+        }
+    }
+
+    if (task.order_by !== undefined && task.column_groups && task.record_identifier) {
+        asArray(task.order_by).forEach(term => {
+            const parsed = typeof term === 'string' ? term.match(ORDER_TERM_PATTERN) : null;
+            if (!parsed) {
+                errors.push(`order_by term ${JSON.stringify(term)} must be a column name, optionally followed by ASC or DESC`);
+                return;
+            }
+            const { table } = parseColumnName(parsed[1], task.main_table);
+            if (table !== task.main_table && table !== getJoinTable(task)) {
+                errors.push(`order_by column '${parsed[1]}' must belong to main_table or the record identifier's join table`);
+            }
+        });
+    }
+
     if (task.fields && task.column_groups) {
         task.fields.forEach(fieldName => {
-            if (!task.column_groups[fieldName]) {
+            const group = task.column_groups[fieldName];
+            if (!group) {
                 errors.push(`Field group '${fieldName}' not found in column_groups`);
+            } else if (group.values?.type === 'computed') {
+                errors.push(...validateComputedGroup(fieldName, group));
             }
         });
     }
@@ -58,23 +176,48 @@ export function asArray(value) {
     return Array.isArray(value) ? value : [value];
 }
 
-export function getRecordSelector(task) {
-    return task.column_groups[task.record_identifier].columns[0];
+/**
+ * Columns that identify a record: the record identifier group's key, or its first column
+ */
+export function getRecordKey(task) {
+    const recordGroup = task.column_groups[task.record_identifier];
+    return recordGroup.key ?? [recordGroup.columns[0]];
+}
+
+// Record ids travel through the record dropdown as text; JSON keeps each key value's type
+export function encodeRecordId(keyValues) {
+    return JSON.stringify(keyValues);
+}
+
+export function decodeRecordId(recordId) {
+    return JSON.parse(recordId);
+}
+
+function buildKeyCondition(task, recordId) {
+    const key = getRecordKey(task);
+    const keyValues = decodeRecordId(recordId);
+    if (!Array.isArray(keyValues) || keyValues.length !== key.length) {
+        throw new Error(`Record id ${recordId} does not match key (${key.join(', ')})`);
+    }
+    return {
+        sql: key.map(column => `${column} = ?`).join(' AND '),
+        params: keyValues
+    };
 }
 
 export function buildSelectRecordQuery(task, recordId) {
-    const selector = getRecordSelector(task);
+    const condition = buildKeyCondition(task, recordId);
     return {
-        sql: `SELECT * FROM ${task.main_table} WHERE ${selector} = ?`,
-        params: [recordId]
+        sql: `SELECT * FROM ${task.main_table} WHERE ${condition.sql}`,
+        params: condition.params
     };
 }
 
 export function buildUpdateQuery(task, column, recordId, value) {
-    const selector = getRecordSelector(task);
+    const condition = buildKeyCondition(task, recordId);
     return {
-        sql: `UPDATE ${task.main_table} SET ${column} = ? WHERE ${selector} = ?`,
-        params: [value, recordId]
+        sql: `UPDATE ${task.main_table} SET ${column} = ? WHERE ${condition.sql}`,
+        params: [value, ...condition.params]
     };
 }
 
@@ -107,17 +250,50 @@ function getEnumGroups(task) {
     return enumGroups;
 }
 
+function getJoinTable(task) {
+    const values = task.column_groups[task.record_identifier]?.values;
+    return values?.type === 'join' ? values.table : null;
+}
+
+/**
+ * FROM, WHERE and ORDER BY of a task's record set; the main table is aliased t and the
+ * record identifier's join table fk
+ */
+function buildRecordSource(task, extraFilter = null) {
+    const recordGroup = task.column_groups[task.record_identifier];
+    const parts = [`FROM ${task.main_table} t`];
+
+    if (recordGroup.values.type === 'join') {
+        const join = recordGroup.values;
+        parts.push(`LEFT JOIN ${join.table} fk ON t.${join.local_key} = fk.${join.foreign_key}`);
+    }
+    const filters = [task.filter, extraFilter].filter(Boolean);
+    if (filters.length > 0) {
+        parts.push(`WHERE ${filters.map(filter => `(${filter})`).join(' AND ')}`);
+    }
+    if (task.order_by) {
+        const terms = asArray(task.order_by).map(term => {
+            const [, qualifiedCol, direction] = term.match(ORDER_TERM_PATTERN);
+            const { table, column } = parseColumnName(qualifiedCol, task.main_table);
+            return `${table === task.main_table ? 't' : 'fk'}.${column}${direction ? ' ' + direction.toUpperCase() : ''}`;
+        });
+        parts.push(`ORDER BY ${terms.join(', ')}`);
+    }
+
+    return parts.join('\n                ');
+}
+
 export function buildRecordQuery(task) {
     const recordGroup = task.column_groups[task.record_identifier];
     if (!recordGroup) {
         throw new Error(`Record identifier group '${task.record_identifier}' not found`);
     }
 
-    const selectorColumn = recordGroup.columns[0];
+    const keySelects = getRecordKey(task).map(column => `t.${column}`).join(', ');
 
     // If no display columns, simple query
     if (!recordGroup.display) {
-        return `SELECT ${selectorColumn}, * FROM ${task.main_table}`;
+        return `SELECT ${keySelects}, t.* ${buildRecordSource(task)}`;
     }
 
     const displayCols = asArray(recordGroup.display);
@@ -139,17 +315,16 @@ export function buildRecordQuery(task) {
         return `${tableAlias}.${column} as ${aliasName}`;
     });
 
-    const allSelects = selects.join(', ');
+    return `SELECT ${keySelects}, t.*, ${selects.join(', ')}
+                ${buildRecordSource(task)}`;
+}
 
-    if (hasJoin) {
-        const join = recordGroup.values;
-        return `SELECT t.${selectorColumn}, t.*, ${allSelects}
-                FROM ${task.main_table} t
-                LEFT JOIN ${join.table} fk ON t.${join.local_key} = fk.${join.foreign_key}`;
-    } else {
-        return `SELECT t.${selectorColumn}, t.*, ${allSelects}
-                FROM ${task.main_table} t`;
-    }
+/**
+ * Query for the given main-table columns of every record the task shows, in record selector order
+ */
+export function buildRecordSetQuery(task, columns) {
+    return `SELECT ${columns.map(column => `t."${column}"`).join(', ')}
+                ${buildRecordSource(task)}`;
 }
 
 export function findDisplayIndices(task, columns) {
@@ -169,7 +344,7 @@ export function findBestDisplayColumn(columns, idIndex) {
     return idIndex;
 }
 
-export function formatRecordLabel(task, row, columns, idIndex, displayIndices) {
+export function formatRecordLabel(task, row, columns, keyIndices, displayIndices) {
     if (displayIndices.length > 0) {
         const labelParts = displayIndices
             .map(idx => row[idx])
@@ -177,11 +352,11 @@ export function formatRecordLabel(task, row, columns, idIndex, displayIndices) {
         return labelParts.join(', ');
     }
 
-    const displayIndex = findBestDisplayColumn(columns, idIndex);
-    if (displayIndex !== idIndex) {
+    const displayIndex = findBestDisplayColumn(columns, keyIndices[0]);
+    if (displayIndex !== keyIndices[0]) {
         return `${row[displayIndex]}`;
     }
-    return `ID: ${row[idIndex]}`;
+    return `ID: ${keyIndices.map(idx => row[idx]).join(', ')}`;
 }
 
 export function generateLabel(columnName) {
@@ -208,8 +383,16 @@ export function generateLabel(columnName) {
     return label;
 }
 
+// FLOAT columns hold float32 values; round option values the same way so they match the current value
+function toFloat32Option(option) {
+    if (typeof option === 'number') return Math.fround(option);
+    if (typeof option?.value === 'number') return { ...option, value: Math.fround(option.value) };
+    return option;
+}
+
 export function buildFieldDefinitions(task, db, row) {
     const fields = [];
+    const dataTypes = readColumnDataTypes(db, task.main_table);
 
     task.fields.forEach(groupName => {
         const group = task.column_groups[groupName];
@@ -226,7 +409,8 @@ export function buildFieldDefinitions(task, db, row) {
                 column: column,
                 label: generateLabel(column),
                 currentValue: row[column],
-                type: valueSpec.type
+                type: valueSpec.type,
+                dataType: dataTypes[column] ?? null
             };
 
             switch (valueSpec.type) {
@@ -234,6 +418,12 @@ export function buildFieldDefinitions(task, db, row) {
                     field.options = null;
                     break;
 
+                case 'computed':
+                    Object.assign(field, computeField(task, db, getRecordKey(task).map(keyColumn => row[keyColumn]), valueSpec));
+                    field.options = null;
+                    field.dataType = null;
+                    break;
+
                 case 'enum':
                     field.options = Object.entries(valueSpec.options).map(([key, display]) => ({
                         value: isNaN(key) ? key : Number(key),
@@ -270,9 +460,264 @@ export function buildFieldDefinitions(task, db, row) {
                     break;
             }
 
+            if (field.dataType === DATA_TYPE.FLOAT && field.options) {
+                field.options = field.options.map(toFloat32Option);
+            }
+
             fields.push(field);
         });
     });
 
     return fields;
 }
+
+export const BULK_OPERATIONS = {
+    set: 'Set to',
+    add: 'Add',
+    subtract: 'Subtract',
+    multiply: 'Multiply by',
+    clamp: 'Clamp to allowed values'
+};
+
+const INTEGER_TYPES = new Set([DATA_TYPE.INTEGER, DATA_TYPE.BOOLEAN, DATA_TYPE.INTEGER_BYTE, DATA_TYPE.INTEGER_SHORT]);
+
+/**
+ * Fields of a task that bulk edit can change: everything but readonly and computed fields and columns of other tables
+ * Only these definitions are built, so computed SQL and the option queries of other fields are not run
+ */
+export function getBulkEditableFields(task, db) {
+    const fields = [];
+    const columnGroups = {};
+    task.fields.forEach(groupName => {
+        const group = task.column_groups[groupName];
+        if (!group || ['readonly', 'computed'].includes(group.values.type)) return;
+        const columns = group.columns.filter(column => !column.includes('.'));
+        if (columns.length === 0) return;
+        fields.push(groupName);
+        columnGroups[groupName] = { ...group, columns };
+    });
+    return buildFieldDefinitions({ ...task, fields, column_groups: columnGroups }, db, {});
+}
+
+/**
+ * Record ids of the task's records that also match an extra SQL condition, in record selector order
+ */
+export function findRecordIds(task, db, condition) {
+    const errors = validateSQLFragment(condition, 'condition', 'condition');
+    if (errors.length > 0) throw new Error(errors.join(', '));
+
+    const key = getRecordKey(task);
+    const result = db.exec(`SELECT ${key.map(column => `t.${column}`).join(', ')} ${buildRecordSource(task, condition)}`);
+    return (result[0]?.values ?? []).map(keyValues => encodeRecordId(keyValues));
+}
+
+// Nearest allowed number, preferring the lower one on a tie; values outside the range go to its ends
+function clampToOptions(value, sortedOptions) {
+    return sortedOptions.reduce((best, option) => Math.abs(option - value) < Math.abs(best - value) ? option : best);
+}
+
+/**
+ * Work out what a bulk edit of one column would do to the given records, without changing anything
+ *
+ * operation is a key of BULK_OPERATIONS; operand is the new value for 'set' and the number for
+ * add/subtract/multiply. New values must be among the field's options (enum, list, query or join);
+ * with options.clampResults, arithmetic results are moved to the nearest allowed number instead.
+ * Results in integer columns are rounded.
+ *
+ * The task's rules are checked for every changed record: failed error rules are problems,
+ * failed warning rules are listed with the change.
+ *
+ * Returns { column, operation, operand, changes: [{ recordId, oldValue, newValue, warnings }],
+ *           problems: [{ recordId, oldValue, newValue, message }], unchangedCount }
+ */
+export function planBulkEdit(task, db, recordIds, column, operation, operand, options = {}) {
+    const field = getBulkEditableFields(task, db).find(candidate => candidate.column === column);
+    if (!field) throw new Error(`Column '${column}' is not an editable field of task '${task.name}'`);
+    if (!BULK_OPERATIONS[operation]) throw new Error(`Unknown bulk operation '${operation}'`);
+    const isArithmetic = ['add', 'subtract', 'multiply'].includes(operation);
+    if (isArithmetic && (typeof operand !== 'number' || !Number.isFinite(operand))) {
+        throw new Error(`${BULK_OPERATIONS[operation]} needs a number`);
+    }
+
+    const allowed = field.options.map(option => (typeof option === 'object' && option !== null ? option.value : option));
+    const numericAllowed = allowed.filter(value => typeof value === 'number').sort((a, b) => a - b);
+    if (operation === 'clamp' && numericAllowed.length === 0) {
+        throw new Error(`'${column}' has no numeric allowed values to clamp to`);
+    }
+
+    // Whole rows, for the task's rules
+    const key = getRecordKey(task);
+    const result = db.exec(`SELECT ${key.map(col => `t.${col}`).join(', ')}, t.* ${buildRecordSource(task)}`);
+    const rowColumns = result[0]?.columns.slice(key.length) ?? [];
+    const currentRows = new Map((result[0]?.values ?? []).map(values => [
+        encodeRecordId(values.slice(0, key.length)),
+        Object.fromEntries(rowColumns.map((name, i) => [name, values[key.length + i]]))
+    ]));
+
+    const plan = { column, operation, operand, changes: [], problems: [], unchangedCount: 0 };
+    recordIds.forEach(recordId => {
+        if (!currentRows.has(recordId)) {
+            plan.problems.push({ recordId, oldValue: null, newValue: null, message: 'Record not found' });
+            return;
+        }
+        const row = currentRows.get(recordId);
+        const oldValue = row[column];
+
+        let newValue;
+        if (operation === 'set') {
+            // The bulk edit form gives option values as text, so compare them as text
+            newValue = allowed.find(value => String(value) === String(operand)) ?? operand;
+        } else if (typeof oldValue !== 'number') {
+            plan.problems.push({ recordId, oldValue, newValue: null, message: 'Current value is not a number' });
+            return;
+        } else {
+            newValue = {
+                add: oldValue + operand,
+                subtract: oldValue - operand,
+                multiply: oldValue * operand,
+                clamp: oldValue
+            }[operation];
+            if (operation === 'clamp' || (options.clampResults && numericAllowed.length > 0)) {
+                newValue = clampToOptions(newValue, numericAllowed);
+            }
+        }
+
+        if (INTEGER_TYPES.has(field.dataType) && typeof newValue === 'number') newValue = Math.round(newValue);
+        newValue = normalizeFloat32(field.dataType, newValue);
+
+        // Option values from JSON or queries may be text where the column holds numbers, so compare loosely
+        if (!allowed.some(value => value == newValue)) {
+            plan.problems.push({ recordId, oldValue, newValue, message: `${newValue} is not an allowed value for ${field.label}` });
+        } else if (field.dataType !== null && !isValidCDBValue(field.dataType, newValue)) {
+            plan.problems.push({ recordId, oldValue, newValue, message: `Expected ${ALLOWED_VALUES[field.dataType]}` });
+        } else if (newValue == oldValue) {
+            plan.unchangedCount++;
+        } else {
+            const { errors, warnings } = checkRules(task, { ...row, [column]: newValue }, [column]);
+            if (errors.length > 0) {
+                plan.problems.push({ recordId, oldValue, newValue, message: errors.join('; ') });
+            } else {
+                plan.changes.push({ recordId, oldValue, newValue, warnings });
+            }
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * Apply a plan from planBulkEdit in one transaction; nothing is written if any update fails
+ * Throws if the plan has problems (error.problems lists them). Returns the number of records updated.
+ */
+export function applyBulkEdit(task, db, plan) {
+    if (plan.problems.length > 0) {
+        const error = new Error(`Bulk edit has ${plan.problems.length} problem(s), nothing was changed`);
+        error.problems = plan.problems;
+        throw error;
+    }
+
+    db.run('SAVEPOINT bulk_edit');
+    try {
+        plan.changes.forEach(change => {
+            const query = buildUpdateQuery(task, plan.column, change.recordId, change.newValue);
+            db.run(query.sql, query.params);
+        });
+        db.run('RELEASE bulk_edit');
+    } catch (error) {
+        db.run('ROLLBACK TO bulk_edit');
+        db.run('RELEASE bulk_edit');
+        throw error;
+    }
+
+    return plan.changes.length;
+}
+
+// Form values arrive as text; compare numeric text as numbers
+function toComparable(value) {
+    return typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? Number(value) : value;
+}
+
+function describeRule(rule) {
+    if (rule.message) return rule.message;
+    const right = rule.right !== undefined ? generateLabel(rule.right) : JSON.stringify(rule.value);
+    return `${generateLabel(rule.left)} must be ${rule.op} ${right}`;
+}
+
+/**
+ * Check a task's rules against a record's values (column → value)
+ * Only rules involving one of the given columns are checked when columns is set, so an
+ * existing violation elsewhere in the record does not block unrelated edits.
+ * A rule naming a column the record does not have is an error, whatever its severity.
+ * Returns { errors: [message], warnings: [message] }
+ */
+export function checkRules(task, row, columns = null) {
+    const result = { errors: [], warnings: [] };
+
+    (task.rules ?? [])
+        .filter(rule => !columns || columns.includes(rule.left) || columns.includes(rule.right))
+        .forEach(rule => {
+            const unknown = [rule.left, rule.right].filter(column => column !== undefined && !(column in row));
+            if (unknown.length > 0) {
+                result.errors.push(`Rule column ${unknown.map(column => `'${column}'`).join(', ')} not found in ${task.main_table}`);
+                return;
+            }
+            const left = toComparable(row[rule.left]);
+            const right = toComparable(rule.right !== undefined ? row[rule.right] : rule.value);
+            if (left === null || left === undefined || right === null || right === undefined) return;
+            if (RULE_OPERATORS[rule.op](left, right)) return;
+
+            const message = describeRule(rule);
+            (rule.severity === 'warning' ? result.warnings : result.errors).push(message);
+        });
+
+    return result;
+}
+
+/**
+ * Check the task's rules for a record as it would be after setting one column, before the UPDATE runs
+ */
+export function checkRecordChange(task, db, recordId, column, value) {
+    const query = buildSelectRecordQuery(task, recordId);
+    const stmt = db.prepare(query.sql);
+    try {
+        stmt.bind(query.params);
+        if (!stmt.step()) throw new Error(`Record ${recordId} not found`);
+        return checkRules(task, { ...stmt.getAsObject(), [column]: value }, [column]);
+    } finally {
+        stmt.free();
+    }
+}
+
+/**
+ * Value of a computed field for one record: its SQL expression evaluated with the record as t
+ * Returns { currentValue, error }; a failing expression gives its SQLite error instead of a value.
+ */
+function computeField(task, db, keyValues, valueSpec) {
+    const keyCondition = getRecordKey(task).map(column => `t.${column} = ?`).join(' AND ');
+    try {
+        const result = db.exec(`SELECT (${valueSpec.sql}) FROM ${task.main_table} t WHERE ${keyCondition}`, keyValues);
+        const value = result[0]?.values[0]?.[0] ?? null;
+        const rounded = typeof value === 'number' && valueSpec.decimals !== undefined
+            ? Number(value.toFixed(valueSpec.decimals))
+            : value;
+        return { currentValue: rounded, error: null };
+    } catch (error) {
+        return { currentValue: null, error: error.message };
+    }
+}
+
+/**
+ * Recompute every computed field of a record, e.g. after one of its columns was saved
+ * Returns { column: { currentValue, error } }
+ */
+export function computeFieldValues(task, db, recordId) {
+    const keyValues = decodeRecordId(recordId);
+    const values = {};
+    task.fields
+        .map(groupName => task.column_groups[groupName])
+        .filter(group => group?.values.type === 'computed')
+        .forEach(group => {
+            values[group.columns[0]] = computeField(task, db, keyValues, group.values);
+        });
+    return values;
+}
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * pcmdb Command Line Test
+ *
+ * Runs pcmdb.js on a small database written for the test and checks that:
+ * 1. convert writes a CDB file that reads back with the same rows
+ * 2. dump-table prints the rows asked for, as CSV the way the editor's CSV export writes it
+ * 3. convert --to jsonl only removes table files its own database.json lists
+ * 4. malformed arguments print the usage and exit with status 2
+ * 5. failures exit with status 1, and so does diff when the files differ
+ *
+ * Needs no game files.
+ *
+ * Usage:
+ *   node test_cli.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import initSqlJs from 'sql.js';
+
+const PCMDB = new URL('./pcmdb.js', import.meta.url).pathname;
+
+const SAMPLE_ROWS = [[1, 'Adams', 68.5], [2, 'Brown, "B"', 72.25], [3, 'Clark', 61]];
+
+/**
+ * An SQLite file laid out as cdbToSQLite writes one: DB_STRUCTURE and CDB-encoded column types
+ */
+function writeSampleDatabase(SQL, filePath, rows = SAMPLE_ROWS) {
+    const db = new SQL.Database();
+    try {
+        db.run(`CREATE TABLE DB_STRUCTURE (TableName TEXT '274', ID INTEGER)`);
+        db.run(`INSERT INTO DB_STRUCTURE VALUES ('TST_sample', 3)`);
+        db.run(`CREATE TABLE TST_sample (IDsample 'INTEGER 12288', gene_sz_name 'TEXT 12306', value_f_weight 'REAL 12321')`);
+        rows.forEach(row => db.run(`INSERT INTO TST_sample VALUES (?, ?, ?)`, row));
+        fs.writeFileSync(filePath, db.export());
+    } finally {
+        db.close();
+    }
+}
+
+function pcmdb(...args) {
+    return spawnSync(process.execPath, [PCMDB, ...args], { encoding: 'utf8' });
+}
+
+async function runTests() {
+    console.log('='.repeat(70));
+    console.log('pcmdb Command Line Test');
+    console.log('='.repeat(70));
+    console.log('');
+
+    const SQL = await initSqlJs();
+    let passed = 0;
+    let total = 0;
+
+    const check = (label, run) => {
+        total++;
+        try {
+            const failure = run();
+            if (failure) {
+                console.log(`  ✗ ${label}: ${failure}`);
+            } else {
+                console.log(`  ✓ ${label}`);
+                passed++;
+            }
+        } catch (error) {
+            console.log(`  ✗ ${label}: ${error.message}`);
+        }
+    };
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pcmdb-test-'));
+    const sqliteFile = path.join(dir, 'sample.sqlite');
+    const cdbFile = path.join(dir, 'sample.cdb');
+    writeSampleDatabase(SQL, sqliteFile);
+
+    try {
+        console.log('Commands');
+        check('convert writes a CDB file that reads back with the same rows', () => {
+            const convert = pcmdb('convert', sqliteFile, '--to', 'cdb', '-o', cdbFile);
+            if (convert.status !== 0) return `convert: exit ${convert.status}: ${convert.stderr}`;
+            const dump = pcmdb('dump-table', cdbFile, 'TST_sample', '--format', 'json');
+            if (dump.status !== 0) return `dump-table: exit ${dump.status}: ${dump.stderr}`;
+            const rows = JSON.stringify(JSON.parse(dump.stdout).map(Object.values));
+            return rows === JSON.stringify(SAMPLE_ROWS) ? null : `read back ${rows}`;
+        });
+
+        check('--limit takes a whole number of rows', () => {
+            const run = pcmdb('dump-table', sqliteFile, 'TST_sample', '--format', 'json', '--limit', '2');
+            if (run.status !== 0) return `exit ${run.status}: ${run.stderr}`;
+            const rows = JSON.parse(run.stdout);
+            return rows.length === 2 ? null : `${rows.length} rows`;
+        });
+
+        check('dump-table --format csv quotes cells like the CSV export', () => {
+            const run = pcmdb('dump-table', sqliteFile, 'TST_sample', '--format', 'csv');
+            if (run.status !== 0) return `exit ${run.status}: ${run.stderr}`;
+            const expected = 'IDsample,gene_sz_name,value_f_weight\r\n1,Adams,68.5\r\n2,"Brown, ""B""",72.25\r\n3,Clark,61\r\n';
+            return run.stdout === expected ? null : JSON.stringify(run.stdout);
+        });
+
+        check('convert --to jsonl only replaces a JSON Lines directory', () => {
+            const foreignDir = path.join(dir, 'foreign');
+            fs.mkdirSync(foreignDir);
+            fs.writeFileSync(path.join(foreignDir, 'notes.jsonl'), '{}\n');
+            const refused = pcmdb('convert', sqliteFile, '--to', 'jsonl', '-o', foreignDir);
+            if (refused.status !== 1 || !fs.existsSync(path.join(foreignDir, 'notes.jsonl'))) return `non-empty directory: exit ${refused.status}`;
+
+            const jsonlDir = path.join(dir, 'jsonl');
+            const first = pcmdb('convert', sqliteFile, '--to', 'jsonl', '-o', jsonlDir);
+            if (first.status !== 0) return `convert: exit ${first.status}: ${first.stderr}`;
+            const headerPath = path.join(jsonlDir, 'database.json');
+            const header = JSON.parse(fs.readFileSync(headerPath, 'utf8'));
+            fs.writeFileSync(headerPath, JSON.stringify({ ...header, tables: [...header.tables, 'TST_removed'] }));
+            fs.writeFileSync(path.join(jsonlDir, 'TST_removed.jsonl'), '{}\n');
+            fs.writeFileSync(path.join(jsonlDir, 'notes.jsonl'), '{}\n');
+
+            const second = pcmdb('convert', sqliteFile, '--to', 'jsonl', '-o', jsonlDir);
+            if (second.status !== 0) return `second convert: exit ${second.status}: ${second.stderr}`;
+            const files = fs.readdirSync(jsonlDir).sort().join(', ');
+            return files === 'TST_sample.jsonl, database.json, notes.jsonl' ? null : `left ${files}`;
+        });
+        console.log('');
+
+        console.log('Exit status');
+        check('Malformed arguments are usage errors', () => {
+            const failures = [
+                ['dump-table', sqliteFile, 'TST_sample', '--limit', '5abc'],
+                ['dump-table', sqliteFile, 'TST_sample', '--limit', '-1'],
+                ['dump-table', sqliteFile],
+                ['info', sqliteFile, '--bogus'],
+                ['diff', cdbFile],
+                ['bogus']
+            ].map(args => ({ args, run: pcmdb(...args) }))
+                .filter(({ run }) => run.status !== 2 || !run.stderr.includes('Usage:'));
+            return failures.map(({ args, run }) => `${args.slice(-2).join(' ')}: exit ${run.status}`).join('; ') || null;
+        });
+
+        check('Failures and differences exit 1', () => {
+            const missingTable = pcmdb('dump-table', sqliteFile, 'TST_missing');
+            if (missingTable.status !== 1 || missingTable.stderr.includes('Usage:')) return `missing table: exit ${missingTable.status}`;
+
+            const identical = pcmdb('diff', cdbFile, cdbFile);
+            if (identical.status !== 0) return `diff of a file with itself: exit ${identical.status}`;
+            const otherSqlite = path.join(dir, 'other.sqlite');
+            const otherCdb = path.join(dir, 'other.cdb');
+            writeSampleDatabase(SQL, otherSqlite, SAMPLE_ROWS.slice(1));
+            pcmdb('convert', otherSqlite, '--to', 'cdb', '-o', otherCdb);
+            const different = pcmdb('diff', cdbFile, otherCdb);
+            return different.status === 1 ? null : `diff of different files: exit ${different.status}`;
+        });
+        console.log('');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('='.repeat(70));
+    console.log(`Results: ${passed}/${total} tests passed`);
+    console.log('='.repeat(70));
+
+    process.exit(passed === total ? 0 : 1);
+}
+
+runTests().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Table CSV Test
+ *
+ * Exports a fixture table with table_csv.js and checks that importing the CSV
+ * again changes nothing, that edited rows are applied by key and export to CDB,
+ * and that values not fitting their column type or rows with an unknown key
+ * are refused before anything changes.
+ *
+ * Needs no game files.
+ *
+ * Usage:
+ *   node test_csv.js
+ */
+
+import initSqlJs from 'sql.js';
+import { cdbToSQLite, sqliteToCDB } from './cdb_converter.js';
+import { FIXTURES, buildCDB } from './cdb_fixtures.js';
+import { formatCSV, parseCSV, exportTableCSV, planCSVImport, applyCSVImport } from './table_csv.js';
+
+async function runTests() {
+    console.log('='.repeat(70));
+    console.log('Table CSV Test');
+    console.log('='.repeat(70));
+    console.log('');
+
+    const SQL = await initSqlJs();
+    let passed = 0;
+    let total = 0;
+
+    const check = (label, run) => {
+        total++;
+        try {
+            const failure = run();
+            if (failure) {
+                console.log(`  ✗ ${label}: ${failure}`);
+            } else {
+                console.log(`  ✓ ${label}`);
+                passed++;
+            }
+        } catch (error) {
+            console.log(`  ✗ ${label}: ${error.message}`);
+        }
+    };
+
+    console.log('CSV export and import');
+    const csvDb = cdbToSQLite(buildCDB(FIXTURES.find(fixture => fixture.name === 'all_types')), SQL);
+    const csvText = exportTableCSV(csvDb, 'TST_all_types');
+    const editCSV = (line, column, value) => {
+        const [header, ...rows] = parseCSV(csvText);
+        rows[line - 2][header.indexOf(column)] = value;
+        return formatCSV(header, rows);
+    };
+
+    check('Importing the exported CSV changes nothing', () => {
+        const plan = planCSVImport(csvDb, 'TST_all_types', csvText);
+        if (plan.problemCount > 0) return plan.problems[0].message;
+        return plan.rowCount === 11 && plan.changes.length === 0 ? null : `${plan.rowCount} rows, ${plan.changes.length} changes`;
+    });
+
+    check('Edits are applied by key and export to CDB', () => {
+        const plan = planCSVImport(csvDb, 'TST_all_types', editCSV(3, 'value_short', '777'));
+        if (plan.changes.length !== 1) return `${plan.changes.length} changes`;
+        applyCSVImport(csvDb, plan);
+        const reread = cdbToSQLite(sqliteToCDB(csvDb), SQL);
+        try {
+            const value = reread.exec('SELECT value_short FROM TST_all_types WHERE IDtest = 2')[0].values[0][0];
+            return value === 777 ? null : `value_short of IDtest 2 is ${value}`;
+        } finally {
+            reread.close();
+        }
+    });
+
+    check('Values that do not fit the column type are refused', () => {
+        const plan = planCSVImport(csvDb, 'TST_all_types', editCSV(4, 'value_byte', '200'));
+        try {
+            applyCSVImport(csvDb, plan);
+            return 'import succeeded';
+        } catch (error) {
+            return error.problems?.[0]?.line === 4 && error.problems[0].column === 'value_byte' ? null : error.message;
+        }
+    });
+
+    check('Rows with an unknown key are refused', () => {
+        const plan = planCSVImport(csvDb, 'TST_all_types', editCSV(2, 'IDtest', '99'));
+        return plan.problemCount === 1 && plan.problems[0].message.includes('IDtest = 99') ? null : JSON.stringify(plan.problems);
+    });
+    csvDb.close();
+    console.log('');
+
+    console.log('='.repeat(70));
+    console.log(`Results: ${passed}/${total} tests passed`);
+    console.log('='.repeat(70));
+
+    process.exit(passed === total ? 0 : 1);
+}
+
+runTests().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
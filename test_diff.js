@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * CDB Diff Test
+ *
+ * Writes a small CDB file and edited copies of it, and checks that diffCDB and
+ * formatDiffReport report exactly what was changed: nothing for the same file,
+ * the changed values, added rows and changed table flags of an edited one,
+ * and unknown chunks whose bytes changed while their size stayed the same.
+ *
+ * Needs no game files.
+ *
+ * Usage:
+ *   node test_diff.js
+ */
+
+import initSqlJs from 'sql.js';
+import { sqliteToCDB } from './cdb_converter.js';
+import { diffCDB, formatDiffReport } from './cdb_diff.js';
+
+/**
+ * A whole chunk of a type this converter does not know (0x30), holding one 32-bit value,
+ * as cdbToSQLite stores it in CDB_UNKNOWN_CHUNKS
+ */
+function unknownChunk(value) {
+    const view = new DataView(new ArrayBuffer(32));
+    [0xAAAAAAAA, 32, 0x30, 0, 0, 0xBBBBBBBB, value, 0xCCCCCCCC].forEach((word, i) => view.setUint32(i * 4, word, true));
+    return new Uint8Array(view.buffer);
+}
+
+/**
+ * A CDB file with two tables, TST_sample (ID 3) and TST_other (ID 4), written from SQLite
+ * edit(db) changes the SQLite database before it is written
+ */
+function buildSample(SQL, edit = () => {}) {
+    const db = new SQL.Database();
+    try {
+        db.run(`CREATE TABLE DB_STRUCTURE (TableName TEXT '274', ID INTEGER)`);
+        db.run(`INSERT INTO DB_STRUCTURE VALUES ('TST_sample', 3), ('TST_other', 4)`);
+        db.run(`CREATE TABLE CDB_METADATA (Name TEXT, TableID INTEGER, Value INTEGER)`);
+        db.run(`INSERT INTO CDB_METADATA VALUES ('TABLE_FLAGS', 3, 65), ('TABLE_FLAGS', 4, 50)`);
+        db.run(`CREATE TABLE TST_sample (IDsample 'INTEGER 12288', gene_sz_name 'TEXT 12306', value_i_count 'INTEGER 12320')`);
+        db.run(`INSERT INTO TST_sample VALUES (1, 'Adams', 40), (2, 'Brown', 42), (3, 'Clark', 44)`);
+        db.run(`CREATE TABLE TST_other (IDother 'INTEGER 16384')`);
+        db.run(`INSERT INTO TST_other VALUES (1), (2)`);
+        edit(db);
+        return sqliteToCDB(db);
+    } finally {
+        db.close();
+    }
+}
+
+async function runTests() {
+    console.log('='.repeat(70));
+    console.log('CDB Diff Test');
+    console.log('='.repeat(70));
+    console.log('');
+
+    const SQL = await initSqlJs();
+    let passed = 0;
+    let total = 0;
+
+    const check = (label, run) => {
+        total++;
+        try {
+            const failure = run();
+            if (failure) {
+                console.log(`  ✗ ${label}: ${failure}`);
+            } else {
+                console.log(`  ✓ ${label}`);
+                passed++;
+            }
+        } catch (error) {
+            console.log(`  ✗ ${label}: ${error.message}`);
+        }
+    };
+
+    const original = buildSample(SQL);
+
+    console.log('Comparing CDB files');
+    check('A file has no differences with itself', () => {
+        const report = diffCDB(original, buildSample(SQL));
+        return report.identical && formatDiffReport(report) === 'No differences' ? null : formatDiffReport(report);
+    });
+
+    check('A changed value, an added row and a changed table are reported', () => {
+        const edited = buildSample(SQL, db => {
+            db.run(`UPDATE TST_sample SET value_i_count = 43 WHERE IDsample = 2`);
+            db.run(`INSERT INTO TST_sample VALUES (4, 'Davis', 46)`);
+            db.run(`UPDATE CDB_METADATA SET Value = 51 WHERE TableID = 4`);
+        });
+
+        const report = diffCDB(original, edited);
+        const found = report.tables.map(table => [
+            table.name,
+            ...table.changes.map(change => `${change.field} ${change.old}→${change.new}`),
+            ...table.rowsAdded.map(key => `+${key}`),
+            ...table.rowsRemoved.map(key => `-${key}`),
+            ...table.columns.flatMap(column => column.rowDiffs.map(diff => `${column.name}[${diff.key}] ${diff.old}→${diff.new}`))
+        ].join(' ')).join('; ');
+        const expected = 'TST_sample rowCount 3→4 +4 value_i_count[2] 42→43; TST_other tableFlags 50→51';
+        if (found !== expected || report.metadata.length > 0 || report.tablesAdded.length > 0 || report.tablesRemoved.length > 0) {
+            return `found ${found}`;
+        }
+        const text = formatDiffReport(report);
+        return text.includes('Rows added (IDsample): 4') && text.includes('IDsample 2: 42 → 43') ? null : text;
+    });
+
+    check('Unknown chunks are compared by their bytes', () => {
+        const withChunk = value => buildSample(SQL, db => {
+            db.run(`CREATE TABLE CDB_UNKNOWN_CHUNKS (TableID INTEGER, ColumnIndex INTEGER, After INTEGER, Data BLOB)`);
+            db.run(`INSERT INTO CDB_UNKNOWN_CHUNKS VALUES (4, NULL, 22, ?)`, [unknownChunk(value)]);
+        });
+        const same = diffCDB(withChunk(1), withChunk(1));
+        if (!same.identical) return `same chunk: ${formatDiffReport(same)}`;
+
+        const report = diffCDB(withChunk(1), withChunk(2));
+        const changes = report.tables.flatMap(table => table.changes.map(change => `${table.name} ${change.field} ${change.old} → ${change.new}`));
+        const expected = 'TST_other unknownChunks 0x30 (32 bytes) → 0x30 (32 bytes), contents changed';
+        return changes.join('; ') === expected ? null : formatDiffReport(report);
+    });
+    console.log('');
+
+    console.log('='.repeat(70));
+    console.log(`Results: ${passed}/${total} tests passed`);
+    console.log('='.repeat(70));
+
+    process.exit(passed === total ? 0 : 1);
+}
+
+runTests().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+
+/**
+ * CDB Reader/Writer Fuzz Test
+ *
+ * 1. Property test: random table schemas and values are written with CDBWriter
+ *    and read back with CDBReader.convertColumnData; failing cases are shrunk
+ *    to a minimal table before being reported.
+ * 2. Mutation test: fixtures (and any CDB files given on the command line) are
+ *    corrupted at random; the reader must either throw a plain Error with a
+ *    message, or return tables that are internally consistent - no engine
+ *    TypeError/RangeError, no hangs, no silently mismatched columns.
+ *
+ * Runs are deterministic for a given seed.
+ *
+ * Usage:
+ *   node test_fuzz.js [--seed <n>] [--runs <n>] [--mutations <n>] [file.cdb ...]
+ */
+
+import fs from 'fs';
+import { CDBReader, CDBWriter, CHUNK_TYPE, DATA_TYPE, MAGIC, readCDB, decompressCDB } from './cdb_converter.js';
+import { FIXTURES, buildCDB } from './cdb_fixtures.js';
+
+const DEFAULT_SEED = 20250101;
+const DEFAULT_RUNS = 300;
+const DEFAULT_MUTATIONS = 3000;
+const MAX_SHRINK_RUNS = 2000;
+const SLOW_PARSE_MS = 1000;
+const MAX_REPORTED_FAILURES = 10;
+
+// Row counts around the 1-, 2- and 4-byte padding boundaries are the interesting ones
+const EDGE_ROW_COUNTS = [0, 1, 2, 3, 4, 5, 7, 8, 9, 15, 16, 17, 31, 32, 33];
+
+/**
+ * Seeded PRNG (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: items => items[Math.floor(next() * items.length)],
+        chance: probability => next() < probability
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Property test
+// ---------------------------------------------------------------------------
+
+const STRING_ALPHABETS = [
+    'abcdefghijklmnopqrstuvwxyz ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+    '\'"\\,()\t\n;%_',
+    'éèàüößøåñçŠšŽžČč',
+    '日本語中文한국어',
+    '🚴🏆🇫🇷🚲'
+];
+
+function randomInt32(random) {
+    return random.chance(0.2)
+        ? random.pick([0, 1, -1, 2147483647, -2147483648, 255, 256, 65535, 65536])
+        : random.int(-2147483648, 2147483647);
+}
+
+function randomFloat32(random) {
+    if (random.chance(0.2)) {
+        return random.pick([0, -0, 1, -1, 0.5, 0.1, 1e-7, 3.4028234663852886e38, 1.401298464324817e-45]);
+    }
+    const magnitude = 10 ** random.int(-6, 8);
+    return Math.fround((random.next() * 2 - 1) * magnitude);
+}
+
+function randomString(random) {
+    const length = random.chance(0.2) ? 0 : random.int(1, 12);
+    const alphabet = Array.from(random.pick(STRING_ALPHABETS));
+    return Array.from({ length }, () => random.pick(alphabet)).join('');
+}
+
+// Value generators per DATA_TYPE; lists are generated as arrays and written as text
+const VALUE_GENERATORS = {
+    [DATA_TYPE.INTEGER]: randomInt32,
+    [DATA_TYPE.FLOAT]: random => Math.fround(randomFloat32(random)),
+    [DATA_TYPE.STRING]: randomString,
+    [DATA_TYPE.BOOLEAN]: random => random.int(0, 1),
+    [DATA_TYPE.INTEGER_BYTE]: random => random.int(-128, 127),
+    [DATA_TYPE.INTEGER_SHORT]: random => random.int(0, 65535),
+    [DATA_TYPE.FLOAT_LIST]: random => Array.from({ length: random.chance(0.3) ? 0 : random.int(1, 5) }, () => Math.fround(randomFloat32(random))),
+    [DATA_TYPE.INTEGER_LIST]: random => Array.from({ length: random.chance(0.3) ? 0 : random.int(1, 5) }, () => randomInt32(random))
+};
+
+const SIMPLEST_VALUE = {
+    [DATA_TYPE.STRING]: '',
+    [DATA_TYPE.FLOAT_LIST]: [],
+    [DATA_TYPE.INTEGER_LIST]: []
+};
+
+function isList(type) {
+    return type === DATA_TYPE.FLOAT_LIST || type === DATA_TYPE.INTEGER_LIST;
+}
+
+function generateCase(random) {
+    const rowCount = random.chance(0.5) ? random.pick(EDGE_ROW_COUNTS) : random.int(0, 40);
+    const types = Object.values(DATA_TYPE);
+    const columns = Array.from({ length: random.int(1, 6) }, (_, colIdx) => {
+        const type = random.pick(types);
+        return {
+            name: `col${colIdx}_${randomString(random)}`,
+            index: random.int(0, 255),
+            type,
+            values: Array.from({ length: rowCount }, () => VALUE_GENERATORS[type](random))
+        };
+    });
+    return { rowCount, columns };
+}
+
+/**
+ * Value as stored in SQLite, i.e. what sqliteToCDB hands to the writer
+ */
+function toSQLiteValue(type, value) {
+    return isList(type) ? `(${value.map(String).join(',')})` : value;
+}
+
+/**
+ * FLOAT_LIST text keeps 6 decimals, so elements are compared with that tolerance
+ */
+function floatListMatches(text, expected) {
+    const content = text.slice(1, -1);
+    const parsed = content === '' ? [] : content.split(',').map(Number);
+    return text.startsWith('(') && text.endsWith(')') && parsed.length === expected.length &&
+        parsed.every((value, i) => Math.abs(value - expected[i]) <= 5e-7 + Math.abs(expected[i]) * 2 ** -23);
+}
+
+function valueMatches(type, actual, expected) {
+    switch (type) {
+        case DATA_TYPE.FLOAT_LIST:
+            return floatListMatches(actual, expected);
+        case DATA_TYPE.INTEGER_LIST:
+            return actual === toSQLiteValue(type, expected);
+        default:
+            return Object.is(actual, expected);
+    }
+}
+
+function writeTable(testCase) {
+    const writer = new CDBWriter(1024);
+    writer.writeChunkOpen(CHUNK_TYPE.TABLE, 'FUZZ_table');
+    for (const [type, value] of [[CHUNK_TYPE.TABLE_ID, 1], [CHUNK_TYPE.ROW_COUNT, testCase.rowCount], [CHUNK_TYPE.TABLE_FLAGS, 33]]) {
+        writer.writeChunkOpen(type);
+        writer.write32(value);
+        writer.writeChunkClose();
+    }
+
+    writer.writeChunkOpen(CHUNK_TYPE.COLUMN_DEFINITIONS);
+    writer.write32(MAGIC.ARRAY_BEGIN);
+    writer.write32(testCase.columns.length);
+    testCase.columns.forEach(column => {
+        writer.writeChunkOpen(CHUNK_TYPE.COLUMN, column.name);
+        writer.writeChunkOpen(CHUNK_TYPE.COLUMN_INDEX);
+        writer.write32(column.index);
+        writer.writeChunkClose();
+        writer.writeChunkOpen(CHUNK_TYPE.COLUMN_DATA_TYPE, column.name);
+        writer.write32(column.type);
+        writer.writeChunkClose();
+        writer.writeColumnData(column.type, column.values.map(value => toSQLiteValue(column.type, value)));
+        writer.writeChunkClose();
+    });
+    writer.write32(MAGIC.ARRAY_END);
+    writer.writeChunkClose();
+    writer.writeChunkClose();
+
+    return writer.getData().slice();
+}
+
+/**
+ * Write and read back one case; returns a failure message or null
+ */
+function checkCase(testCase) {
+    try {
+        const data = writeTable(testCase);
+        const reader = new CDBReader(data.buffer);
+        const tableChunk = reader.readChunk();
+        if (reader.pos !== data.length) {
+            return `reader stopped at ${reader.pos} of ${data.length} bytes`;
+        }
+
+        const columns = tableChunk.children[CHUNK_TYPE.COLUMN_DEFINITIONS];
+        for (const [colIdx, column] of testCase.columns.entries()) {
+            const read = columns[colIdx];
+            if (read.name !== column.name || read.type !== column.type || read.columnIndex !== column.index) {
+                return `column ${colIdx} read back as ${read.name}/${read.type}/${read.columnIndex}`;
+            }
+
+            const values = reader.convertColumnData(read.columnChunk, tableChunk.children[CHUNK_TYPE.ROW_COUNT]);
+            if (values.length !== testCase.rowCount) {
+                return `column ${column.name}: ${values.length} values for ${testCase.rowCount} rows`;
+            }
+            for (const [rowIdx, value] of values.entries()) {
+                if (!valueMatches(column.type, value, column.values[rowIdx])) {
+                    return `column ${column.name} row ${rowIdx}: wrote ${JSON.stringify(toSQLiteValue(column.type, column.values[rowIdx]))}, read ${JSON.stringify(value)}`;
+                }
+            }
+        }
+        return null;
+    } catch (error) {
+        return `threw ${error.name}: ${error.message}`;
+    }
+}
+
+function withRows(testCase, keep) {
+    const rows = Array.from({ length: testCase.rowCount }, (_, i) => i).filter(keep);
+    return {
+        rowCount: rows.length,
+        columns: testCase.columns.map(column => ({ ...column, values: rows.map(i => column.values[i]) }))
+    };
+}
+
+function withValue(testCase, colIdx, rowIdx, value) {
+    const columns = testCase.columns.map((column, i) => i !== colIdx ? column : {
+        ...column,
+        values: column.values.map((old, j) => j === rowIdx ? value : old)
+    });
+    return { rowCount: testCase.rowCount, columns };
+}
+
+/**
+ * Smaller variants of a case, roughly biggest reduction first
+ */
+function* shrinkCandidates(testCase) {
+    if (testCase.columns.length > 1) {
+        for (let i = 0; i < testCase.columns.length; i++) {
+            yield { rowCount: testCase.rowCount, columns: testCase.columns.filter((_, j) => j !== i) };
+        }
+    }
+
+    if (testCase.rowCount > 0) {
+        const half = Math.floor(testCase.rowCount / 2);
+        yield withRows(testCase, i => i < half);
+        yield withRows(testCase, i => i >= half);
+        for (let i = 0; i < testCase.rowCount; i++) {
+            yield withRows(testCase, j => j !== i);
+        }
+    }
+
+    for (const [colIdx, column] of testCase.columns.entries()) {
+        if (column.name !== `col${colIdx}`) {
+            yield { rowCount: testCase.rowCount, columns: testCase.columns.map((col, i) => i === colIdx ? { ...col, name: `col${colIdx}` } : col) };
+        }
+
+        const simplest = SIMPLEST_VALUE[column.type] ?? 0;
+        for (const [rowIdx, value] of column.values.entries()) {
+            if (Array.isArray(value) || typeof value === 'string') {
+                if (value.length > 0) {
+                    yield withValue(testCase, colIdx, rowIdx, simplest);
+                    yield withValue(testCase, colIdx, rowIdx, value.slice(0, Math.floor(value.length / 2)));
+                    yield withValue(testCase, colIdx, rowIdx, value.slice(1));
+                }
+            } else if (!Object.is(value, simplest)) {
+                yield withValue(testCase, colIdx, rowIdx, simplest);
+            }
+        }
+    }
+}
+
+/**
+ * Greedily apply any smaller variant that still fails until none does
+ */
+function shrink(testCase) {
+    let current = testCase;
+    let runs = 0;
+    let improved = true;
+
+    while (improved && runs < MAX_SHRINK_RUNS) {
+        improved = false;
+        for (const candidate of shrinkCandidates(current)) {
+            runs++;
+            if (checkCase(candidate) !== null) {
+                current = candidate;
+                improved = true;
+                break;
+            }
+            if (runs >= MAX_SHRINK_RUNS) break;
+        }
+    }
+    return current;
+}
+
+function describeCase(testCase) {
+    const columns = testCase.columns.map(column =>
+        `      ${column.name} (type ${column.type}, index ${column.index}): ${JSON.stringify(column.values.map(value => toSQLiteValue(column.type, value)))}`
+    );
+    return [`    ROW_COUNT ${testCase.rowCount}`, ...columns].join('\n');
+}
+
+function runPropertyTest(seed, runs) {
+    const random = createRandom(seed);
+
+    for (let run = 0; run < runs; run++) {
+        const testCase = generateCase(random);
+        const failure = checkCase(testCase);
+        if (failure) {
+            const minimal = shrink(testCase);
+            console.log(`  ✗ Case ${run + 1}/${runs} failed: ${failure}`);
+            console.log(`    Shrunk to: ${checkCase(minimal)}`);
+            console.log(describeCase(minimal));
+            return false;
+        }
+    }
+
+    console.log(`  ✓ ${runs} random tables written and read back`);
+    return true;
+}
+
+// ---------------------------------------------------------------------------
+// Mutation test
+// ---------------------------------------------------------------------------
+
+const INTERESTING_WORDS = [0, 1, 4, 28, 0x7FFFFFFF, 0x80000000, 0xFFFFFFFF, MAGIC.CHUNK_BEGIN, MAGIC.CHUNK_END, MAGIC.ARRAY_BEGIN];
+
+const MUTATIONS = {
+    'flip bit': (bytes, random) => {
+        const copy = bytes.slice();
+        copy[random.int(0, copy.length - 1)] ^= 1 << random.int(0, 7);
+        return copy;
+    },
+    'random byte': (bytes, random) => {
+        const copy = bytes.slice();
+        copy[random.int(0, copy.length - 1)] = random.int(0, 255);
+        return copy;
+    },
+    // Aligned words are where sizes, counts, types and magic values live
+    'overwrite word': (bytes, random) => {
+        const copy = bytes.slice();
+        const offset = random.int(0, (copy.length >> 2) - 1) * 4;
+        const old = new DataView(copy.buffer).getUint32(offset, true);
+        const value = random.chance(0.5) ? random.pick(INTERESTING_WORDS) : (old + random.pick([-8, -4, -1, 1, 4, 8])) >>> 0;
+        new DataView(copy.buffer).setUint32(offset, value, true);
+        return copy;
+    },
+    'truncate': (bytes, random) => bytes.slice(0, random.int(0, bytes.length - 1)),
+    'delete word': (bytes, random) => {
+        const offset = random.int(0, (bytes.length >> 2) - 1) * 4;
+        return new Uint8Array([...bytes.subarray(0, offset), ...bytes.subarray(offset + 4)]);
+    },
+    'insert word': (bytes, random) => {
+        const offset = random.int(0, bytes.length >> 2) * 4;
+        const word = Array.from({ length: 4 }, () => random.int(0, 255));
+        return new Uint8Array([...bytes.subarray(0, offset), ...word, ...bytes.subarray(offset)]);
+    },
+    'duplicate span': (bytes, random) => {
+        const start = random.int(0, bytes.length - 1);
+        const end = Math.min(bytes.length, start + random.int(1, 64));
+        return new Uint8Array([...bytes.subarray(0, end), ...bytes.subarray(start, end), ...bytes.subarray(end)]);
+    }
+};
+
+/**
+ * Check that a successful parse is self-consistent; returns a problem or null
+ */
+function checkParsedDatabase(database) {
+    for (const table of database.tables) {
+        if (typeof table.name !== 'string' || !Number.isInteger(table.rowCount) || !Number.isInteger(table.tableId)) {
+            return `table ${JSON.stringify(table.name)} has invalid name, ROW_COUNT or TABLE_ID`;
+        }
+        for (const column of table.columns) {
+            if (typeof column.name !== 'string' || !Number.isInteger(column.columnIndex)) {
+                return `column ${JSON.stringify(column.name)} in '${table.name}' has invalid name or COLUMN_INDEX`;
+            }
+            if (!Array.isArray(column.data) || column.data.length !== table.rowCount) {
+                return `column '${table.name}.${column.name}' has ${column.data?.length} values for ROW_COUNT ${table.rowCount}`;
+            }
+            if (isList(column.type) && !column.data.every(value => /^\(.*\)$/.test(value))) {
+                return `column '${table.name}.${column.name}' has malformed list text`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse one mutated file
+ * Returns { rejected, problem } where problem is null when the outcome is acceptable
+ */
+function checkMutant(bytes) {
+    const start = performance.now();
+    let rejected = false;
+    let problem = null;
+
+    try {
+        problem = checkParsedDatabase(readCDB(bytes.slice().buffer));
+        if (problem) problem = `silent garbage: ${problem}`;
+    } catch (error) {
+        rejected = true;
+        if (!(error instanceof Error) || error instanceof TypeError || error instanceof RangeError || !error.message) {
+            problem = `unclean error: ${error?.name ?? typeof error}: ${error?.message ?? error}`;
+        }
+    }
+
+    const elapsed = performance.now() - start;
+    if (!problem && elapsed > SLOW_PARSE_MS) {
+        problem = `took ${Math.round(elapsed)} ms`;
+    }
+    return { rejected, problem };
+}
+
+function loadMutationSources(files) {
+    const sources = [];
+
+    FIXTURES.forEach(fixture => {
+        // Mutate the uncompressed layout, plus one zlib-wrapped file for the compression header
+        sources.push({ name: fixture.name, bytes: new Uint8Array(buildCDB({ ...fixture, compressionLevel: undefined })) });
+    });
+    sources.push({ name: 'multi_table_default (compressed)', bytes: new Uint8Array(buildCDB(FIXTURES.find(fixture => fixture.compressionLevel !== undefined))) });
+
+    files.forEach(filePath => {
+        const buffer = fs.readFileSync(filePath);
+        const data = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        sources.push({ name: filePath, bytes: new Uint8Array(decompressCDB(data)) });
+    });
+
+    return sources;
+}
+
+function runMutationTest(seed, iterations, files) {
+    const random = createRandom(seed ^ 0x5EED);
+    const sources = loadMutationSources(files);
+    const mutationNames = Object.keys(MUTATIONS);
+    const failures = [];
+    let rejected = 0;
+
+    for (let i = 0; i < iterations; i++) {
+        const source = sources[i % sources.length];
+        const applied = Array.from({ length: random.int(1, 3) }, () => random.pick(mutationNames));
+        const mutant = applied.reduce((bytes, name) => bytes.length >= 4 ? MUTATIONS[name](bytes, random) : bytes, source.bytes);
+
+        const result = checkMutant(mutant);
+        if (result.rejected) rejected++;
+        if (result.problem) {
+            failures.push(`${source.name} after ${applied.join(', ')} (iteration ${i}): ${result.problem}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        console.log(`  ✗ ${failures.length}/${iterations} mutated files were not handled cleanly`);
+        failures.slice(0, MAX_REPORTED_FAILURES).forEach(failure => console.log(`    - ${failure}`));
+        if (failures.length > MAX_REPORTED_FAILURES) {
+            console.log(`    … ${failures.length - MAX_REPORTED_FAILURES} more`);
+        }
+        return false;
+    }
+
+    console.log(`  ✓ ${iterations} mutated files from ${sources.length} sources: ${rejected} rejected with clean errors, ${iterations - rejected} parsed consistently`);
+    return true;
+}
+
+function parseOptions(argv) {
+    const options = { seed: DEFAULT_SEED, runs: DEFAULT_RUNS, mutations: DEFAULT_MUTATIONS, files: [] };
+    const numeric = { '--seed': 'seed', '--runs': 'runs', '--mutations': 'mutations' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (numeric[argv[i]]) {
+            const value = parseInt(argv[++i]);
+            if (isNaN(value) || value < 0) throw new Error(`Invalid value for ${argv[i - 1]}`);
+            options[numeric[argv[i - 1]]] = value;
+        } else {
+            options.files.push(argv[i]);
+        }
+    }
+    return options;
+}
+
+function runTests() {
+    const options = parseOptions(process.argv.slice(2));
+
+    console.log('='.repeat(70));
+    console.log(`CDB Reader/Writer Fuzz Test (seed ${options.seed})`);
+    console.log('='.repeat(70));
+    console.log('');
+
+    let passed = 0;
+
+    console.log('Property test: CDBWriter → CDBReader.convertColumnData');
+    if (runPropertyTest(options.seed, options.runs)) passed++;
+    console.log('');
+
+    console.log('Mutation test: corrupted files → readCDB');
+    if (runMutationTest(options.seed, options.mutations, options.files)) passed++;
+    console.log('');
+
+    console.log('='.repeat(70));
+    console.log(`Results: ${passed}/2 tests passed`);
+    console.log('='.repeat(70));
+
+    process.exit(passed === 2 ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Game-Version Profile Test
+ *
+ * Checks that detectProfile recognises the fixtures as PCM 2025, that DATABASE_FLAGS
+ * or a coincidental table alone do not make a match, and that a profile added with
+ * addProfile is detected and supplies the flags of new tables unless options.profile
+ * picks another.
+ *
+ * Needs no game files.
+ *
+ * Usage:
+ *   node test_profiles.js
+ */
+
+import initSqlJs from 'sql.js';
+import { cdbToSQLite, sqliteToCDB, readCDB, detectDatabaseProfile } from './cdb_converter.js';
+import { FIXTURES, buildCDB } from './cdb_fixtures.js';
+import { addProfile, detectProfile } from './cdb_profiles.js';
+
+async function runTests() {
+    console.log('='.repeat(70));
+    console.log('Game-Version Profile Test');
+    console.log('='.repeat(70));
+    console.log('');
+
+    const SQL = await initSqlJs();
+    let passed = 0;
+    let total = 0;
+
+    const check = (label, run) => {
+        total++;
+        try {
+            const failure = run();
+            if (failure) {
+                console.log(`  ✗ ${label}: ${failure}`);
+            } else {
+                console.log(`  ✓ ${label}`);
+                passed++;
+            }
+        } catch (error) {
+            console.log(`  ✗ ${label}: ${error.message}`);
+        }
+    };
+
+    const allTypes = buildCDB(FIXTURES.find(fixture => fixture.name === 'all_types'));
+    const level9 = buildCDB(FIXTURES.find(fixture => fixture.name === 'multi_table_level9'));
+    const exportedTableFlags = (db, options) => {
+        db.run(`CREATE TABLE IF NOT EXISTS TST_profile_added (value INTEGER)`);
+        const table = readCDB(sqliteToCDB(db, { onWarning: () => {}, ...options })).tables.find(t => t.name === 'TST_profile_added');
+        return table.tableFlags;
+    };
+
+    console.log('Detection');
+    check('Fixtures are detected as PCM 2025', () => {
+        const profileDb = cdbToSQLite(allTypes, SQL);
+        try {
+            const { profile, evidence } = detectDatabaseProfile(profileDb);
+            return profile?.id === 'pcm2025' ? null : `detected ${profile?.id} (${evidence.join(', ')})`;
+        } finally {
+            profileDb.close();
+        }
+    });
+
+    check('Matching DATABASE_FLAGS or a coincidental table alone is no match', () => {
+        const unknownTables = Array.from({ length: 100 }, (_, i) => ({ name: `TST_other_${i}`, tableId: 1000 + i, tableFlags: 7 }));
+        const found = [
+            detectProfile({ databaseFlags: 274, tables: [] }),
+            detectProfile({ databaseFlags: 274, tables: [{ name: 'TST_lucky', tableId: 3, tableFlags: 65 }, ...unknownTables] })
+        ].map(detection => detection.profile?.id ?? 'none').join(', ');
+        return found === 'none, none' ? null : `detected ${found}`;
+    });
+    console.log('');
+
+    // Registers a profile for the rest of the run, so these go last
+    console.log('Added profiles');
+    check('An added profile is detected and flags new tables', () => {
+        addProfile({ id: 'test_profile', databaseFlags: 275, tables: ['TST_all_types'], tableFlags: { 3: 65, 4: 50 }, defaultTableFlags: 99 });
+        const profileDb = cdbToSQLite(level9, SQL);
+        try {
+            const { profile } = detectDatabaseProfile(profileDb);
+            if (profile?.id !== 'test_profile') return `detected ${profile?.id}`;
+            const flags = exportedTableFlags(profileDb);
+            return flags === 99 ? null : `new table flags ${flags}`;
+        } finally {
+            profileDb.close();
+        }
+    });
+
+    check('options.profile overrides detection', () => {
+        const profileDb = cdbToSQLite(level9, SQL);
+        try {
+            const flags = exportedTableFlags(profileDb, { profile: 'pcm2025' });
+            return flags === 241 ? null : `new table flags ${flags}`;
+        } finally {
+            profileDb.close();
+        }
+    });
+    console.log('');
+
+    console.log('='.repeat(70));
+    console.log(`Results: ${passed}/${total} tests passed`);
+    console.log('='.repeat(70));
+
+    process.exit(passed === total ? 0 : 1);
+}
+
+runTests().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
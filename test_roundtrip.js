@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+
+/**
+ * Synthetic CDB Round-Trip Test
+ *
+ * For every fixture in cdb_fixtures.js:
+ * 1. The structural validator accepts it
+ * 2. cdbToSQLite produces the expected SQLite values
+ * 3. sqliteToCDB writes back the exact same bytes
+ * 4. The same holds after saving and reopening the SQLite file
+ * 5. Loading tables on demand (LazyCDBDatabase) gives the same values and bytes
+ * 6. The same bytes come back through the JSON and JSON Lines interchange formats
+ *
+ * On-demand loading must also decode the tables that views and triggers read.
+ * Then edits that do not fit their CDB column type must block the export,
+ * tables and columns added in SQLite must export with an assigned layout, leaving the database as it was,
+ * exporting with the source file must copy unchanged tables and columns as-is,
+ * options.compression must override the compression of the loaded file,
+ * float32 values must be shown in their shortest form and survive being reloaded,
+ * and file formats must be recognised from their first bytes.
+ *
+ * Needs no game files or external tools.
+ *
+ * Usage:
+ *   node test_roundtrip.js
+ */
+
+import initSqlJs from 'sql.js';
+import {
+    cdbToSQLite, sqliteToCDB, decompressCDB, getCompressionInfo, findInvalidValues, describeCompressionLevel,
+    databaseToJSON, jsonToDatabase, formatDatabaseJSON, formatDatabaseJSONL, parseDatabaseJSONL,
+    formatFloat32, normalizeFloat32, DATA_TYPE, detectFileFormat
+} from './cdb_converter.js';
+import { validateCDB } from './cdb_validator.js';
+import { FIXTURES, buildCDB } from './cdb_fixtures.js';
+import { LazyCDBDatabase } from './cdb_lazy.js';
+
+function firstDifference(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return i;
+    }
+    return a.length === b.length ? -1 : length;
+}
+
+function compareBytes(expected, actual) {
+    const expectedBytes = new Uint8Array(expected);
+    const actualBytes = new Uint8Array(actual);
+    if (firstDifference(expectedBytes, actualBytes) === -1) {
+        return null;
+    }
+
+    // Point at the decompressed offset, which is what the validator and CDB_FORMAT.md talk about
+    const expectedData = new Uint8Array(decompressCDB(expected));
+    const actualData = new Uint8Array(decompressCDB(actual));
+    const offset = firstDifference(expectedData, actualData);
+    if (offset === -1) {
+        return `compressed bytes differ (${expectedBytes.length} vs ${actualBytes.length} bytes), decompressed data is identical`;
+    }
+    return `differs at decompressed offset 0x${offset.toString(16)} (${expectedData.length} vs ${actualData.length} bytes)`;
+}
+
+function checkValues(db, fixture) {
+    for (const table of fixture.tables) {
+        const result = db.exec(`SELECT * FROM "${table.name}"`);
+        const rows = result.length > 0 ? result[0].values : [];
+        const columnNames = db.exec(`PRAGMA table_info("${table.name}")`)[0].values.map(row => row[1]);
+
+        const expectedNames = table.columns.map(col => col.name);
+        if (columnNames.join() !== expectedNames.join()) {
+            return `${table.name}: columns ${columnNames.join(', ')}, expected ${expectedNames.join(', ')}`;
+        }
+
+        for (const [colIdx, column] of table.columns.entries()) {
+            const expected = column.expected ?? column.values;
+            if (rows.length !== expected.length) {
+                return `${table.name}: ${rows.length} rows, expected ${expected.length}`;
+            }
+            for (const [rowIdx, row] of rows.entries()) {
+                if (!Object.is(row[colIdx], expected[rowIdx])) {
+                    return `${table.name}.${column.name} row ${rowIdx}: ${JSON.stringify(row[colIdx])}, expected ${JSON.stringify(expected[rowIdx])}`;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+async function runTests() {
+    console.log('='.repeat(70));
+    console.log('Synthetic CDB Round-Trip Test');
+    console.log('='.repeat(70));
+    console.log('');
+
+    const SQL = await initSqlJs();
+    let passed = 0;
+    let total = 0;
+
+    const check = (label, run) => {
+        total++;
+        try {
+            const failure = run();
+            if (failure) {
+                console.log(`  ✗ ${label}: ${failure}`);
+            } else {
+                console.log(`  ✓ ${label}`);
+                passed++;
+            }
+        } catch (error) {
+            console.log(`  ✗ ${label}: ${error.message}`);
+        }
+    };
+
+    for (const fixture of FIXTURES) {
+        console.log(`${fixture.name} - ${fixture.description}`);
+        const original = buildCDB(fixture);
+        let db = null;
+
+        check('Validator accepts fixture', () => {
+            const result = validateCDB(original);
+            return result.valid ? null : result.problems.map(problem => problem.message).join('; ');
+        });
+
+        check('cdbToSQLite values', () => {
+            db = cdbToSQLite(original, SQL, { onWarning: () => {} });
+            return checkValues(db, fixture);
+        });
+
+        if (db) {
+            check('sqliteToCDB is byte-exact', () => compareBytes(original, sqliteToCDB(db)));
+
+            check('Byte-exact after SQLite save and reopen', () => {
+                const reopened = new SQL.Database(db.export());
+                try {
+                    return compareBytes(original, sqliteToCDB(reopened));
+                } finally {
+                    reopened.close();
+                }
+            });
+            db.close();
+        }
+
+        check('On-demand loading decodes only queried tables', () => {
+            const lazy = new LazyCDBDatabase(original, SQL, { onWarning: () => {} });
+            try {
+                const [first] = fixture.tables;
+                lazy.exec(`SELECT * FROM "${first.name}"`);
+                if (lazy.pendingTableCount !== fixture.tables.length - 1) {
+                    return `${lazy.pendingTableCount} tables pending after querying ${first.name}`;
+                }
+                if (lazy.pendingRowCount(first.name) !== null) return `${first.name} still pending`;
+                return checkValues(lazy, fixture) ?? compareBytes(original, sqliteToCDB(new SQL.Database(lazy.export())));
+            } finally {
+                lazy.close();
+            }
+        });
+
+        check('Byte-exact through JSON and JSON Lines', () => {
+            const loaded = cdbToSQLite(original, SQL, { onWarning: () => {} });
+            const doc = databaseToJSON(loaded);
+            loaded.close();
+
+            const { header, tables } = formatDatabaseJSONL(doc);
+            const tableTexts = new Map(tables.map(table => [table.name, table.text]));
+            for (const parsed of [JSON.parse(formatDatabaseJSON(doc)), parseDatabaseJSONL(header, name => tableTexts.get(name))]) {
+                const imported = jsonToDatabase(parsed, SQL, { onWarning: () => {} });
+                try {
+                    const failure = checkValues(imported, fixture) ?? compareBytes(original, sqliteToCDB(imported));
+                    if (failure) return failure;
+                } finally {
+                    imported.close();
+                }
+            }
+            return null;
+        });
+        console.log('');
+    }
+
+    console.log('On-demand loading through views and triggers');
+    check('Views and triggers load the tables they read', () => {
+        const multiTable = FIXTURES.find(fixture => fixture.name === 'multi_table_default');
+        const [allTypesTable, emptyTable, packingTable] = multiTable.tables;
+        const lazy = new LazyCDBDatabase(buildCDB(multiTable), SQL, { onWarning: () => {} });
+        try {
+            // Created on the underlying database, so only the view and the trigger name these tables
+            lazy.db.run(`CREATE VIEW TST_view AS SELECT * FROM "${emptyTable.name}"`);
+            lazy.db.run(`CREATE TRIGGER TST_touch AFTER UPDATE ON "${allTypesTable.name}" BEGIN DELETE FROM "${packingTable.name}"; END`);
+
+            lazy.exec(`SELECT * FROM TST_view`);
+            if (lazy.pendingRowCount(emptyTable.name) !== null) return `${emptyTable.name} still pending after reading the view`;
+            if (lazy.pendingRowCount(packingTable.name) === null) return `${packingTable.name} loaded by the view`;
+
+            lazy.run(`UPDATE "${allTypesTable.name}" SET value_int = 1 WHERE rowid = 1`);
+            if (lazy.pendingRowCount(packingTable.name) !== null) return `${packingTable.name} still pending after firing the trigger`;
+            const left = lazy.exec(`SELECT COUNT(*) FROM "${packingTable.name}"`)[0].values[0][0];
+            return left === 0 ? null : `${left} rows left in ${packingTable.name} after the trigger emptied it`;
+        } finally {
+            lazy.close();
+        }
+    });
+    console.log('');
+
+    console.log('JSON interchange');
+    const jsonDoc = (() => {
+        const loaded = cdbToSQLite(buildCDB(FIXTURES.find(fixture => fixture.name === 'all_types')), SQL);
+        try {
+            return databaseToJSON(loaded);
+        } finally {
+            loaded.close();
+        }
+    })();
+
+    check('Lists are exported as arrays', () => {
+        const [table] = jsonDoc.tables;
+        const column = table.columns.findIndex(col => col.name === 'value_int_list');
+        const value = JSON.stringify(table.rows[2][column]);
+        return value === '[1,2,3]' ? null : `value_int_list row 3 is ${value}`;
+    });
+
+    check('Malformed documents are refused with the row at fault', () => {
+        const broken = structuredClone(jsonDoc);
+        broken.tables[0].rows[4].pop();
+        try {
+            jsonToDatabase(broken, SQL).close();
+            return 'import succeeded';
+        } catch (error) {
+            return error.message.includes('"TST_all_types" row 4') ? null : error.message;
+        }
+    });
+    console.log('');
+
+    console.log('Float32 values');
+    check('Shortest text reads back as the same float32', () => {
+        const samples = [0.1, 0.3, 3.14159, 1e-7, 3.4e38, -2.25, 72.3, 1 / 3, 16777217, 1e-45];
+        const wrong = samples.map(Math.fround).filter(value => Math.fround(Number(formatFloat32(value))) !== value);
+        if (wrong.length > 0) return `${wrong.join(', ')} do not round-trip`;
+        return formatFloat32(Math.fround(0.3)) === '0.3' ? null : `0.3 is shown as ${formatFloat32(Math.fround(0.3))}`;
+    });
+
+    check('FLOAT_LIST values keep every digit through CDB', () => {
+        const floatDb = cdbToSQLite(buildCDB(FIXTURES.find(fixture => fixture.name === 'all_types')), SQL);
+        try {
+            floatDb.run(`UPDATE TST_all_types SET value_float_list = '(0.1234567,0.0000001,2)' WHERE rowid = 1`);
+            const reread = cdbToSQLite(sqliteToCDB(floatDb), SQL);
+            try {
+                const value = reread.exec('SELECT value_float_list FROM TST_all_types WHERE rowid = 1')[0].values[0][0];
+                const expected = normalizeFloat32(DATA_TYPE.FLOAT_LIST, '(0.1234567,0.0000001,2)');
+                return value === expected && value === '(0.1234567,1e-7,2.0)' ? null : `read back as ${value}, expected ${expected}`;
+            } finally {
+                reread.close();
+            }
+        } finally {
+            floatDb.close();
+        }
+    });
+
+    check('Normalized FLOAT edits read back unchanged', () => {
+        const edited = normalizeFloat32(DATA_TYPE.FLOAT, '0.3');
+        return edited === Math.fround(0.3) && normalizeFloat32(DATA_TYPE.FLOAT, 'abc') === 'abc' ? null : `0.3 normalized to ${edited}`;
+    });
+    console.log('');
+
+    console.log('File format detection');
+    check('CDB, SQLite and JSON are recognised from their contents', () => {
+        const cdbData = buildCDB(FIXTURES.find(fixture => fixture.name === 'all_types'));
+        const formatDb = cdbToSQLite(cdbData, SQL);
+        try {
+            const found = [
+                detectFileFormat(cdbData),
+                detectFileFormat(decompressCDB(cdbData)),
+                detectFileFormat(formatDb.export()),
+                detectFileFormat(new TextEncoder().encode(formatDatabaseJSON(jsonDoc)))
+            ].join(', ');
+            return found === 'cdb, cdb, sqlite, json' ? null : `detected ${found}`;
+        } finally {
+            formatDb.close();
+        }
+    });
+
+    check('Other files are refused with what they appear to be', () => {
+        const messages = [new Uint8Array([0x50, 0x4B, 0x03, 0x04, 0x14]), new Uint8Array(0), new TextEncoder().encode('hello')].map(bytes => {
+            try {
+                return `accepted as ${detectFileFormat(bytes)}`;
+            } catch (error) {
+                return error.message;
+            }
+        });
+        return messages[0].includes('ZIP') && messages[1].includes('empty') && messages[2].includes('68 65 6C 6C 6F')
+            ? null : messages.join('; ');
+    });
+    console.log('');
+
+    console.log('Out-of-range edits');
+    const allTypes = FIXTURES.find(fixture => fixture.name === 'all_types');
+    const db = cdbToSQLite(buildCDB(allTypes), SQL);
+    db.run(`UPDATE TST_all_types SET value_byte = 128, value_short = -1, value_bool = 2 WHERE rowid = 1`);
+    db.run(`UPDATE TST_all_types SET value_int = 2147483648, value_int_list = '(1,x)', value_string = NULL WHERE rowid = 2`);
+
+    check('findInvalidValues reports every bad cell', () => {
+        const found = findInvalidValues(db).map(problem => `${problem.column}@${problem.rowid}`).sort().join(', ');
+        const expected = 'value_bool@1, value_byte@1, value_int@2, value_int_list@2, value_short@1, value_string@2';
+        return found === expected ? null : `found ${found}`;
+    });
+
+    check('sqliteToCDB refuses to export them', () => {
+        try {
+            sqliteToCDB(db);
+            return 'export succeeded';
+        } catch (error) {
+            return error.invalidValues?.length === 6 ? null : error.message;
+        }
+    });
+
+    check('allowInvalidValues overrides the check', () => {
+        sqliteToCDB(db, { allowInvalidValues: true });
+        return null;
+    });
+    db.close();
+
+    check('Whitespace inside lists reads back the same through CDB and JSON', () => {
+        const spaced = cdbToSQLite(buildCDB(allTypes), SQL);
+        try {
+            spaced.run(`UPDATE TST_all_types SET value_int_list = '( )', value_float_list = '( 1.5 , 2 )' WHERE rowid = 1`);
+            spaced.run(`UPDATE TST_all_types SET value_int_list = '( 7,-1 )', value_float_list = '(\t)' WHERE rowid = 2`);
+            if (findInvalidValues(spaced).length > 0) return 'reported as invalid';
+
+            const query = `SELECT value_int_list, value_float_list FROM TST_all_types WHERE rowid <= 2`;
+            const expected = '[["()","(1.5,2.0)"],["(7,-1)","()"]]';
+            const reread = cdbToSQLite(sqliteToCDB(spaced), SQL);
+            const imported = jsonToDatabase(databaseToJSON(spaced), SQL, { onWarning: () => {} });
+            try {
+                const viaCDB = JSON.stringify(reread.exec(query)[0].values);
+                const viaJSON = JSON.stringify(imported.exec(query)[0].values);
+                return viaCDB === expected && viaJSON === expected ? null : `CDB ${viaCDB}, JSON ${viaJSON}`;
+            } finally {
+                reread.close();
+                imported.close();
+            }
+        } finally {
+            spaced.close();
+        }
+    });
+    console.log('');
+
+    console.log('New tables and columns');
+    const layoutDb = cdbToSQLite(buildCDB(allTypes), SQL);
+    layoutDb.run(`ALTER TABLE TST_all_types ADD COLUMN added_byte INTEGER_BYTE`);
+    layoutDb.run(`ALTER TABLE TST_all_types ADD COLUMN added_text TEXT`);
+    layoutDb.run(`UPDATE TST_all_types SET added_byte = rowid, added_text = 'row ' || rowid WHERE rowid <= 3`);
+    layoutDb.run(`CREATE TABLE TST_added (name, weight REAL, tags, counts)`);
+    layoutDb.run(`INSERT INTO TST_added VALUES ('a', 1.5, '(1,2)', 3), ('b', -2, '()', NULL)`);
+    layoutDb.run(`CREATE INDEX TST_added_name ON TST_added (name)`);
+    layoutDb.run(`CREATE TRIGGER TST_all_types_touch AFTER UPDATE ON TST_all_types BEGIN SELECT 1; END`);
+    const schemaOf = db => JSON.stringify([
+        db.exec(`SELECT type, name, sql FROM sqlite_master ORDER BY name`)[0].values,
+        db.exec(`SELECT * FROM DB_STRUCTURE ORDER BY ID`)[0].values,
+        db.exec(`SELECT * FROM TST_added`)[0].values
+    ]);
+    const schemaBefore = schemaOf(layoutDb);
+    let exported = null;
+    let warning = '';
+
+    check('sqliteToCDB exports them and reports the layout', () => {
+        exported = sqliteToCDB(layoutDb, { onWarning: message => { warning = message; } });
+        return warning.includes(`'TST_added' with ID 4`) ? null : `warning: ${warning}`;
+    });
+
+    check('Exporting leaves the database as it was', () => {
+        databaseToJSON(layoutDb, { onWarning: () => {} });
+        if (schemaOf(layoutDb) !== schemaBefore) return 'schema, DB_STRUCTURE or rows changed';
+        return compareBytes(exported, sqliteToCDB(layoutDb, { onWarning: () => {} }));
+    });
+
+    check('Exported file reads back with the assigned types', () => {
+        const reread = cdbToSQLite(exported, SQL, { onWarning: () => {} });
+        try {
+            const types = reread.exec(`PRAGMA table_info(TST_added)`)[0].values.map(row => row[2]).join(', ');
+            const expectedTypes = 'TEXT 16386, REAL 16401, TEXT 16427, INTEGER 16432';
+            if (types !== expectedTypes) return `TST_added types ${types}`;
+
+            const added = JSON.stringify(reread.exec(`SELECT * FROM TST_added`)[0].values);
+            if (added !== '[["a",1.5,"(1,2)",3],["b",-2,"()",0]]') return `TST_added rows ${added}`;
+
+            const columns = JSON.stringify(reread.exec(`SELECT added_byte, added_text FROM TST_all_types WHERE rowid IN (3, 4)`)[0].values);
+            return columns === '[[3,"row 3"],[0,""]]' ? null : `TST_all_types new columns ${columns}`;
+        } finally {
+            reread.close();
+        }
+    });
+    layoutDb.close();
+    console.log('');
+
+    console.log('Patching the source file');
+    const multiTable = buildCDB(FIXTURES.find(fixture => fixture.name === 'multi_table_default'));
+
+    check('Tables never loaded on demand are copied from the source', () => {
+        const lazy = new LazyCDBDatabase(multiTable, SQL, { onWarning: () => {} });
+        try {
+            lazy.run(`UPDATE TST_packing_9 SET value_byte = 5 WHERE rowid = 2`);
+            const unloadedTables = lazy.pendingTableNames;
+            const patched = sqliteToCDB(lazy.db, { source: multiTable, unloadedTables });
+            const full = sqliteToCDB(new SQL.Database(lazy.export()));
+            return compareBytes(full, patched);
+        } finally {
+            lazy.close();
+        }
+    });
+
+    // Invalid UTF-8 decodes to U+FFFD, so a full rewrite cannot reproduce these bytes but a copy does
+    const packing = new Uint8Array(buildCDB(FIXTURES.find(fixture => fixture.name === 'packing')));
+    const invalidAt = packing.findIndex((byte, i) => byte === 0xC3 && packing[i + 1] === 0xA9);
+    packing[invalidAt + 1] = 0x28;
+    const patchDb = cdbToSQLite(packing.buffer, SQL);
+
+    check('Unchanged tables are copied byte for byte', () => {
+        if (!compareBytes(packing.buffer, sqliteToCDB(patchDb))) return 'full rewrite kept the invalid UTF-8, test proves nothing';
+        return compareBytes(packing.buffer, sqliteToCDB(patchDb, { source: packing.buffer }));
+    });
+
+    check('Only changed columns are rewritten', () => {
+        patchDb.run(`UPDATE TST_packing_1 SET value_byte = 0`);
+        patchDb.run(`UPDATE TST_packing_7 SET value_short = value_short + 1`);
+        const patched = new Uint8Array(sqliteToCDB(patchDb, { source: packing.buffer }));
+        if (patched[invalidAt] !== 0xC3 || patched[invalidAt + 1] !== 0x28) return 'invalid UTF-8 string column was rewritten';
+
+        const reread = cdbToSQLite(patched.buffer, SQL);
+        try {
+            const shorts = reread.exec(`SELECT value_short FROM TST_packing_7`)[0].values.map(row => row[0]);
+            const bytes = reread.exec(`SELECT value_byte FROM TST_packing_1`)[0].values.map(row => row[0]);
+            return shorts[0] === 4 && bytes[0] === 0 ? null : `read back ${bytes} / ${shorts}`;
+        } finally {
+            reread.close();
+        }
+    });
+    patchDb.close();
+    console.log('');
+
+    console.log('Output compression');
+    const compressedFixture = FIXTURES.find(fixture => fixture.compressionLevel === 9);
+    const compressedOriginal = buildCDB(compressedFixture);
+    const compressionDb = cdbToSQLite(compressedOriginal, SQL, { onWarning: () => {} });
+
+    check('Uncompressed export of a compressed file', () => {
+        const exported = sqliteToCDB(compressionDb, { compression: { compressed: false } });
+        return compareBytes(decompressCDB(compressedOriginal), exported);
+    });
+
+    check('Level override, other settings kept from the loaded file', () => {
+        const exported = sqliteToCDB(compressionDb, { compression: { level: 1 } });
+        const info = getCompressionInfo(exported);
+        if (!info.compressed || info.level !== 1) return `wrote ${JSON.stringify(info)}`;
+        return compareBytes(decompressCDB(compressedOriginal), decompressCDB(exported));
+    });
+
+    check('Levels read from the zlib header are shown as the range they stand for', () => {
+        const described = [0, 1, 4, 6, 8].map(level => {
+            const info = getCompressionInfo(sqliteToCDB(compressionDb, { compression: { level } }));
+            return describeCompressionLevel(info.level);
+        }).join('; ');
+        const expected = 'level 0; level 1; level 2-5 (written back at 5); level 6; level 7-9 (written back at 9)';
+        return described === expected ? null : described;
+    });
+
+    check('Invalid level is refused', () => {
+        try {
+            sqliteToCDB(compressionDb, { compression: { compressed: true, level: 12 } });
+            return 'export succeeded';
+        } catch (error) {
+            return error.message.includes('12') ? null : error.message;
+        }
+    });
+    compressionDb.close();
+    console.log('');
+
+    console.log('='.repeat(70));
+    console.log(`Results: ${passed}/${total} tests passed`);
+    console.log('='.repeat(70));
+
+    process.exit(passed === total ? 0 : 1);
+}
+
+runTests().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
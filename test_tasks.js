@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+/**
+ * Task Processor Test
+ *
+ * Runs task definitions against a small database written for the test and checks that:
+ * 1. records are listed, labelled, selected and updated by their whole key
+ * 2. keys that are not columns of the main table are refused
+ * 3. a task's filter and order pick the records it lists and exports
+ * 4. filters that would break out of the record query are refused
+ * 5. bulk edits work out the right new values, refuse values that are not allowed
+ *    and change either every record or none
+ * 6. rules on the edited column give errors or warnings, comparing typed-in numbers as numbers
+ * 7. computed fields show their value or SQL error, and are left out of bulk edit and CSV export
+ *
+ * Needs no game files.
+ *
+ * Usage:
+ *   node test_tasks.js
+ */
+
+import initSqlJs from 'sql.js';
+import {
+    validateTask, getRecordKey, encodeRecordId, decodeRecordId, buildSelectRecordQuery, buildUpdateQuery,
+    buildRecordQuery, findDisplayIndices, formatRecordLabel, planBulkEdit, applyBulkEdit,
+    checkRules, checkRecordChange, getBulkEditableFields, buildFieldDefinitions, computeFieldValues
+} from './task_processor.js';
+import { exportTaskCSV } from './csv_exchange.js';
+import { parseCSV } from './table_csv.js';
+
+async function runTests() {
+    console.log('='.repeat(70));
+    console.log('Task Processor Test');
+    console.log('='.repeat(70));
+    console.log('');
+
+    const SQL = await initSqlJs();
+    let passed = 0;
+    let total = 0;
+
+    const check = (label, run) => {
+        total++;
+        try {
+            const failure = run();
+            if (failure) {
+                console.log(`  ✗ ${label}: ${failure}`);
+            } else {
+                console.log(`  ✓ ${label}`);
+                passed++;
+            }
+        } catch (error) {
+            console.log(`  ✗ ${label}: ${error.message}`);
+        }
+    };
+
+    const refusal = (task, taskName = 'test') => {
+        try {
+            validateTask(task, taskName);
+            return 'accepted';
+        } catch (error) {
+            return error.message;
+        }
+    };
+
+    const taskDb = new SQL.Database();
+
+    console.log('Task records');
+    taskDb.run(`CREATE TABLE TST_stage (race TEXT, stage TEXT, value INTEGER)`);
+    taskDb.run(`INSERT INTO TST_stage VALUES ('Tour', '1', 5), ('Tour', '2', 6), ('O''Neil "Jr", 1', '1', 7)`);
+    taskDb.run(`CREATE TABLE TST_result (IDrace INTEGER, IDstage INTEGER, value INTEGER)`);
+    taskDb.run(`INSERT INTO TST_result VALUES (12, 34, 1), (12, 35, 2), (13, 34, 3)`);
+    const keyedTask = (mainTable, key) => ({
+        name: 'Keyed', main_table: mainTable, record_identifier: 'record', fields: ['result'],
+        column_groups: {
+            record: { columns: [...key], key, values: { type: 'readonly' } },
+            result: { columns: ['value'], values: { type: 'list', options: [1, 2, 3, 5, 6, 7, 8] } }
+        }
+    });
+
+    check('Two-column text keys select and update one record', () => {
+        const stageTask = keyedTask('TST_stage', ['race', 'stage']);
+        validateTask(stageTask, 'stages');
+        const keyValues = ['O\'Neil "Jr", 1', '1'];
+        const recordId = encodeRecordId(keyValues);
+        if (JSON.stringify(decodeRecordId(recordId)) !== JSON.stringify(keyValues)) return `decoded as ${decodeRecordId(recordId)}`;
+
+        const select = buildSelectRecordQuery(stageTask, recordId);
+        const selected = JSON.stringify(taskDb.exec(select.sql, select.params)[0]?.values);
+        if (selected !== JSON.stringify([[...keyValues, 7]])) return `selected ${selected}`;
+
+        const update = buildUpdateQuery(stageTask, 'value', recordId, 8);
+        taskDb.run(update.sql, update.params);
+        const values = JSON.stringify(taskDb.exec(`SELECT value FROM TST_stage ORDER BY rowid`)[0].values);
+        return values === '[[5],[6],[8]]' ? null : `values after the update ${values}`;
+    });
+
+    check('Records without a name column are labelled by their whole key', () => {
+        const resultTask = keyedTask('TST_result', ['IDrace', 'IDstage']);
+        const result = taskDb.exec(buildRecordQuery(resultTask))[0];
+        const keyIndices = getRecordKey(resultTask).map(column => result.columns.indexOf(column));
+        const displayIndices = findDisplayIndices(resultTask, result.columns);
+        const labels = result.values.map(row => formatRecordLabel(resultTask, row, result.columns, keyIndices, displayIndices)).join('; ');
+        return labels === 'ID: 12, 34; ID: 12, 35; ID: 13, 34' ? null : labels;
+    });
+
+    check('Keys that are not arrays of main-table columns are refused', () => {
+        const messages = ['IDrace', [], ['TST_result.IDrace']].map(key => {
+            const task = keyedTask('TST_result', ['IDrace']);
+            task.column_groups.record.key = key;
+            return refusal(task);
+        });
+        return messages[0].includes('key must be a non-empty array') && messages[1].includes('key must be a non-empty array') &&
+            messages[2].includes('unqualified columns of main_table') ? null : messages.join('; ');
+    });
+    console.log('');
+
+    console.log('Task filters and order');
+    taskDb.run(`CREATE TABLE TST_team (IDteam INTEGER, gene_sz_name TEXT)`);
+    taskDb.run(`INSERT INTO TST_team VALUES (1, 'Zeta'), (2, 'Alpha')`);
+    // Declared with CDB column types (table 1, columns 0-4) as an exported table would be
+    taskDb.run(`CREATE TABLE TST_rider (IDrider 'INTEGER 4096', gene_sz_name 'TEXT 4114', fkIDteam 'INTEGER 4128',
+        charac_i_mountain 'INTEGER 4144', limit_i_mountain 'INTEGER 4160')`);
+    taskDb.run(`INSERT INTO TST_rider VALUES (1, 'Adams', 1, 70, 75), (2, 'Brown', 2, 60, 80), (3, 'Clark', 1, 80, 80), (4, 'Davis', NULL, 50, 60)`);
+    const riderTask = (extra = {}) => ({
+        name: 'Riders',
+        main_table: 'TST_rider',
+        record_identifier: 'record',
+        filter: 'charac_i_mountain >= 60',
+        order_by: ['TST_team.gene_sz_name', 'charac_i_mountain DESC'],
+        fields: ['climbing'],
+        column_groups: {
+            record: {
+                columns: ['IDrider'],
+                display: ['gene_sz_name'],
+                values: { type: 'join', table: 'TST_team', local_key: 'fkIDteam', foreign_key: 'IDteam' }
+            },
+            climbing: {
+                columns: ['charac_i_mountain', 'limit_i_mountain'],
+                values: { type: 'list', options: Array.from({ length: 36 }, (_, i) => 50 + i) }
+            }
+        },
+        ...extra
+    });
+    const listedIds = task => taskDb.exec(buildRecordQuery(task))[0].values.map(row => row[0]);
+
+    check('A filtered, ordered task lists the right records in the right order', () => {
+        validateTask(riderTask(), 'riders');
+        const ids = listedIds(riderTask()).join(', ');
+        return ids === '2, 3, 1' ? null : `listed ${ids}`;
+    });
+
+    check('Filters that would break out of the query are refused', () => {
+        const refused = ['1; DROP TABLE TST_rider', 'IDrider = 1 -- all', 'IDrider /* x */ = 1', `gene_sz_name = 'x`, '(IDrider = 1', 'IDrider = 1)']
+            .filter(filter => refusal(riderTask({ filter })).includes('Invalid task definition'));
+        if (refused.length !== 6) return `only ${refused.length} of 6 refused`;
+        const quoted = riderTask({ filter: `t.gene_sz_name != 'a;b -- (c'` });
+        return refusal(quoted) === 'accepted' && listedIds(quoted).length === 4 ? null : 'quoted text was refused';
+    });
+
+    check('A task\'s CSV export has the records it lists, in its order', () => {
+        const [header, ...rows] = parseCSV(exportTaskCSV(taskDb, riderTask()));
+        if (header.join() !== 'IDrider,charac_i_mountain,limit_i_mountain') return `header ${header.join()}`;
+        const ids = rows.map(row => row[0]).join(', ');
+        return ids === listedIds(riderTask()).join(', ') ? null : `exported ${ids}`;
+    });
+    console.log('');
+
+    console.log('Bulk edit');
+    const riderIds = (...ids) => ids.map(id => encodeRecordId([id]));
+    const plan = (column, operation, operand, ids, options) =>
+        planBulkEdit(riderTask(), taskDb, riderIds(...ids), column, operation, operand, options);
+    const describePlan = ({ changes, problems }) => [
+        ...changes.map(change => `${decodeRecordId(change.recordId)}: ${change.oldValue}→${change.newValue}`),
+        ...problems.map(problem => `${decodeRecordId(problem.recordId)}: ${problem.message}`)
+    ].join(', ');
+    const mountain = () => taskDb.exec('SELECT charac_i_mountain FROM TST_rider ORDER BY IDrider')[0].values.join(' ');
+
+    check('Add, multiply, set and clamp work out the right new values', () => {
+        taskDb.run('UPDATE TST_rider SET limit_i_mountain = 90 WHERE IDrider = 3');
+        const clamped = plan('limit_i_mountain', 'clamp', null, [1, 2, 3]);
+        taskDb.run('UPDATE TST_rider SET limit_i_mountain = 80 WHERE IDrider = 3');
+        const got = [
+            describePlan(plan('charac_i_mountain', 'add', 5, [1, 2])),
+            describePlan(plan('charac_i_mountain', 'multiply', 1.25, [2])),
+            describePlan(plan('charac_i_mountain', 'set', '55', [3])),
+            `${describePlan(clamped)} (${clamped.unchangedCount} unchanged)`
+        ].join('; ');
+        const expected = '1: 70→75, 2: 60→65; 2: 60→75; 3: 80→55; 3: 90→85 (2 unchanged)';
+        return got === expected ? null : got;
+    });
+
+    check('Results outside the allowed values are problems unless clamped', () => {
+        const got = `${describePlan(plan('charac_i_mountain', 'multiply', 1.5, [1, 2]))}; ` +
+            describePlan(plan('charac_i_mountain', 'multiply', 1.5, [1, 2], { clampResults: true }));
+        const expected = '1: 105 is not an allowed value for Mountain, 2: 90 is not an allowed value for Mountain; 1: 70→85, 2: 60→85';
+        return got === expected ? null : got;
+    });
+
+    check('A plan with problems is refused and changes nothing', () => {
+        const withProblem = plan('charac_i_mountain', 'add', 10, [1, 2, 3]);
+        try {
+            applyBulkEdit(riderTask(), taskDb, withProblem);
+            return 'applied';
+        } catch (error) {
+            if (error.problems?.length !== 1) return `problems: ${describePlan(withProblem)}`;
+        }
+        return mountain() === '70 60 80 50' ? null : `values now ${mountain()}`;
+    });
+
+    check('A failing UPDATE rolls back every record of a bulk edit', () => {
+        const addOne = plan('charac_i_mountain', 'add', 1, [2, 3, 1]);
+        taskDb.run(`CREATE TRIGGER TST_locked BEFORE UPDATE ON TST_rider WHEN NEW.IDrider = 1 BEGIN SELECT RAISE(ABORT, 'locked'); END`);
+        try {
+            applyBulkEdit(riderTask(), taskDb, addOne);
+            return 'applied';
+        } catch (error) {
+            if (!error.message.includes('locked')) return error.message;
+        } finally {
+            taskDb.run('DROP TRIGGER TST_locked');
+        }
+        if (mountain() !== '70 60 80 50') return `values after the failure ${mountain()}`;
+        const count = applyBulkEdit(riderTask(), taskDb, addOne);
+        return count === 3 && mountain() === '71 61 81 50' ? null : `applied ${count}, values ${mountain()}`;
+    });
+
+    check('Set takes an option by its exact text and refuses anything else', () => {
+        const set = describePlan(plan('charac_i_mountain', 'set', 55, [3]));
+        if (set !== '3: 81→55') return `set 55: ${set}`;
+        const accepted = ['', ' ', '55.0'].filter(operand => plan('charac_i_mountain', 'set', operand, [3]).problems.length === 0);
+        return accepted.length === 0 ? null : `accepted ${accepted.map(operand => `'${operand}'`).join(', ')}`;
+    });
+
+    check('Bulk edit builds only the fields it can change', () => {
+        const ratioSql = 'charac_i_mountain * 1.0 / limit_i_mountain';
+        const task = riderTask({
+            fields: ['name', 'climbing', 'ratio'],
+            column_groups: {
+                ...riderTask().column_groups,
+                name: { columns: ['gene_sz_name'], values: { type: 'readonly' } },
+                ratio: { columns: ['ratio'], values: { type: 'computed', sql: ratioSql } }
+            }
+        });
+        const queries = [];
+        const watchedDb = Object.create(taskDb, {
+            exec: { value: (sql, params) => (queries.push(sql), taskDb.exec(sql, params)) }
+        });
+        const columns = getBulkEditableFields(task, watchedDb).map(field => field.column).join(', ');
+        if (columns !== 'charac_i_mountain, limit_i_mountain') return `fields ${columns}`;
+        return queries.some(sql => sql.includes(ratioSql)) ? 'ran the computed SQL' : null;
+    });
+    console.log('');
+
+    console.log('Task rules');
+    // Mountain is now 71, 61, 81 against limits 75, 80, 80: rider 3 already breaks the first rule
+    const ruledTask = (rules = [
+        { left: 'charac_i_mountain', op: '<=', right: 'limit_i_mountain' },
+        { left: 'charac_i_mountain', op: '>=', value: 55, severity: 'warning', message: 'Unusually low' }
+    ]) => riderTask({ rules });
+    const ruling = ({ errors, warnings }) => `errors [${errors.join('; ')}] warnings [${warnings.join('; ')}]`;
+    const change = (id, column, value, task = ruledTask()) =>
+        ruling(checkRecordChange(task, taskDb, encodeRecordId([id]), column, value));
+
+    check('Failed rules are errors or warnings by their severity', () => {
+        const got = [change(2, 'charac_i_mountain', 52), change(2, 'charac_i_mountain', 90), change(2, 'charac_i_mountain', 70)].join(', ');
+        const expected = 'errors [] warnings [Unusually low], errors [Mountain must be <= Limit Mountain] warnings [], errors [] warnings []';
+        return got === expected ? null : got;
+    });
+
+    check('Numbers typed as text compare as numbers', () => {
+        const got = [
+            ruling(checkRules(ruledTask(), { charac_i_mountain: '100', limit_i_mountain: '80' })),
+            ruling(checkRules(ruledTask(), { charac_i_mountain: '9', limit_i_mountain: '80' }))
+        ].join(', ');
+        const expected = 'errors [Mountain must be <= Limit Mountain] warnings [], errors [] warnings [Unusually low]';
+        return got === expected ? null : got;
+    });
+
+    check('Rules pass on NULL but not on a column the table lacks', () => {
+        const misspelt = ruledTask([{ left: 'charac_i_mountain', op: '<=', right: 'limit_i_mountian', severity: 'warning' }]);
+        const got = [change(1, 'limit_i_mountain', null), change(1, 'charac_i_mountain', 72, misspelt)].join(', ');
+        const expected = "errors [] warnings [], errors [Rule column 'limit_i_mountian' not found in TST_rider] warnings []";
+        return got === expected ? null : got;
+    });
+
+    check('Only rules on the edited column are checked', () => {
+        const got = [change(3, 'gene_sz_name', 'Clarke'), change(3, 'limit_i_mountain', 85), change(3, 'limit_i_mountain', 79)].join(', ');
+        const expected = 'errors [] warnings [], errors [] warnings [], errors [Mountain must be <= Limit Mountain] warnings []';
+        return got === expected ? null : got;
+    });
+    console.log('');
+
+    console.log('Computed fields');
+    const computedTask = (values) => riderTask({
+        fields: ['climbing', 'ratio'],
+        column_groups: { ...riderTask().column_groups, ratio: { columns: ['ratio'], values: { type: 'computed', ...values } } }
+    });
+    const computed = (task, id) => {
+        const recordId = encodeRecordId([id]);
+        const query = buildSelectRecordQuery(task, recordId);
+        const stmt = taskDb.prepare(query.sql);
+        stmt.bind(query.params);
+        stmt.step();
+        const field = buildFieldDefinitions(task, taskDb, stmt.getAsObject()).find(candidate => candidate.column === 'ratio');
+        stmt.free();
+        const refreshed = computeFieldValues(task, taskDb, recordId).ratio;
+        const shown = `${field.currentValue} (${field.error})`;
+        return shown === `${refreshed.currentValue} (${refreshed.error})` ? shown : `${shown} but refreshed as ${refreshed.currentValue}`;
+    };
+
+    check('Computed fields show their value for the record, rounded to decimals', () => {
+        const sql = 'charac_i_mountain * 1.0 / limit_i_mountain';
+        const got = [computed(computedTask({ sql }), 1), computed(computedTask({ sql, decimals: 2 }), 1), computed(computedTask({ sql: 'fkIDteam' }), 3)].join(', ');
+        const expected = `${71 / 75} (null), 0.95 (null), 1 (null)`;
+        return got === expected ? null : got;
+    });
+
+    check('A failing computed field shows its SQL error instead of a value', () => {
+        const got = computed(computedTask({ sql: 'charac_i_mountian + 1' }), 1);
+        return got === 'null (no such column: charac_i_mountian)' ? null : got;
+    });
+
+    check('Computed fields are left out of bulk edit and the task CSV export', () => {
+        const task = computedTask({ sql: 'limit_i_mountain - charac_i_mountain' });
+        const editable = getBulkEditableFields(task, taskDb).map(field => field.column).join(', ');
+        if (editable !== 'charac_i_mountain, limit_i_mountain') return `bulk edit offers ${editable}`;
+        const header = parseCSV(exportTaskCSV(taskDb, task))[0].join(', ');
+        return header === 'IDrider, charac_i_mountain, limit_i_mountain' ? null : `CSV header ${header}`;
+    });
+    console.log('');
+
+    taskDb.close();
+
+    console.log('='.repeat(70));
+    console.log(`Results: ${passed}/${total} tests passed`);
+    console.log('='.repeat(70));
+
+    process.exit(passed === total ? 0 : 1);
+}
+
+runTests().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
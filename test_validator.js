@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * CDB Validator Test
+ *
+ * Writes a small CDB file, damages copies of it and checks that validateCDB
+ * reports each kind of damage with the right severity, chunk path and offset:
+ * 1. the undamaged file, which must have no problems at all
+ * 2. a truncated file
+ * 3. a chunk without its CHUNK_BEGIN magic
+ * 4. a chunk whose size runs past its parent
+ * 5. a ROW_COUNT that does not match the number of values
+ * 6. a blob size field that does not match the string lengths
+ *
+ * Offsets refer to the decompressed data, as in the validator's reports.
+ *
+ * Needs no game files.
+ *
+ * Usage:
+ *   node test_validator.js
+ */
+
+import initSqlJs from 'sql.js';
+import { sqliteToCDB, decompressCDB } from './cdb_converter.js';
+import { validateCDB } from './cdb_validator.js';
+
+/**
+ * Decompressed CDB data of one table, TST_sample, with an INTEGER, a STRING and a FLOAT column
+ */
+function buildSample(SQL) {
+    const db = new SQL.Database();
+    try {
+        db.run(`CREATE TABLE DB_STRUCTURE (TableName TEXT '274', ID INTEGER)`);
+        db.run(`INSERT INTO DB_STRUCTURE VALUES ('TST_sample', 3)`);
+        db.run(`CREATE TABLE TST_sample (IDsample 'INTEGER 12288', gene_sz_name 'TEXT 12306', value_f_weight 'REAL 12321')`);
+        db.run(`INSERT INTO TST_sample VALUES (1, 'Adams', 68.5), (2, 'Brown', 72.25)`);
+        return decompressCDB(sqliteToCDB(db));
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Missing reports, each expected as [severity, offset, path, part of the message]
+ */
+function missingReports(problems, expected) {
+    return expected
+        .filter(([severity, offset, path, message]) => !problems.some(problem =>
+            problem.severity === severity && problem.offset === offset && problem.path === path && problem.message.includes(message)))
+        .map(([severity, offset, path, message]) => `no ${severity} at ${offset} on '${path}' (${message})`)
+        .join('; ') || null;
+}
+
+async function runTests() {
+    console.log('='.repeat(70));
+    console.log('CDB Validator Test');
+    console.log('='.repeat(70));
+    console.log('');
+
+    const SQL = await initSqlJs();
+    let passed = 0;
+    let total = 0;
+
+    const check = (label, run) => {
+        total++;
+        try {
+            const failure = run();
+            if (failure) {
+                console.log(`  ✗ ${label}: ${failure}`);
+            } else {
+                console.log(`  ✓ ${label}`);
+                passed++;
+            }
+        } catch (error) {
+            console.log(`  ✗ ${label}: ${error.message}`);
+        }
+    };
+
+    const data = buildSample(SQL);
+    const original = validateCDB(data);
+
+    // Chunk of the undamaged file by the names in its path, below the wrapper
+    const chunk = (...names) => names.reduce(
+        (node, name) => node.children.find(child => (child.description ?? child.typeName) === name),
+        original.tree
+    );
+    const table = ['DATABASE_TABLES', 'TST_sample'];
+    const column = name => [...table, 'COLUMN_DEFINITIONS', name];
+
+    const damaged = edit => {
+        const copy = data.slice(0);
+        edit(new DataView(copy));
+        return validateCDB(copy).problems;
+    };
+
+    console.log('Intact file');
+    check('The undamaged file has no problems', () =>
+        original.valid && original.problems.length === 0 ? null : `${original.problems.length} problem(s)`);
+    console.log('');
+
+    console.log('Damaged files');
+    check('A truncated file reports every chunk it cuts short', () => {
+        const nameColumn = chunk(...column('gene_sz_name'));
+        const values = chunk(...column('gene_sz_name'), 'COLUMN_VALUES');
+        const problems = validateCDB(data.slice(0, values.dataOffset + 8)).problems;
+        return missingReports(problems, [
+            ['error', 4, original.tree.path, 'runs past end of file'],
+            ['error', nameColumn.offset + 4, nameColumn.path, 'runs past its parent'],
+            ['error', values.offset, nameColumn.path, 'Truncated chunk']
+        ]);
+    });
+
+    check('A missing CHUNK_BEGIN is reported where the chunk starts', () => {
+        const sample = chunk(...table);
+        const problems = damaged(view => view.setUint32(sample.offset, 0, true));
+        return missingReports(problems, [
+            ['error', sample.offset, chunk('DATABASE_TABLES').path, 'Expected CHUNK_BEGIN'],
+            ['error', sample.offset + 4, chunk('DATABASE_TABLES').path, 'Array ended after 0 of 1 elements']
+        ]);
+    });
+
+    check('A chunk running past its parent is reported at its size field', () => {
+        const index = chunk(...column('IDsample'), 'COLUMN_INDEX');
+        const problems = damaged(view => view.setUint32(index.offset + 4, 200, true));
+        return missingReports(problems, [
+            ['error', index.offset + 4, index.path, 'Chunk size 200 runs past its parent']
+        ]);
+    });
+
+    check('A ROW_COUNT that does not match the values is reported for each column', () => {
+        const rowCount = chunk(...table, 'ROW_COUNT');
+        const problems = damaged(view => view.setUint32(rowCount.dataOffset, 3, true));
+        const expected = ['IDsample', 'gene_sz_name', 'value_f_weight'].map(name => {
+            const values = chunk(...column(name), 'COLUMN_VALUES');
+            return ['error', values.dataOffset, values.path, 'ROW_COUNT 3 needs 12 value bytes (12 padded), found 8'];
+        });
+        return missingReports(problems, expected) ?? (problems.length === 3 ? null : `${problems.length} problems`);
+    });
+
+    check('A blob size that does not match the string lengths is reported at the size field', () => {
+        const blob = chunk(...column('gene_sz_name'), 'COLUMN_BLOB_DATA');
+        const problems = damaged(view => view.setUint32(blob.dataOffset, 15, true));
+        return missingReports(problems, [
+            ['error', blob.dataOffset, blob.path, 'Blob size field is 15, values require 12']
+        ]) ?? (problems.length === 1 ? null : `${problems.length} problems`);
+    });
+    console.log('');
+
+    console.log('='.repeat(70));
+    console.log(`Results: ${passed}/${total} tests passed`);
+    console.log('='.repeat(70));
+
+    process.exit(passed === total ? 0 : 1);
+}
+
+runTests().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});